@@ -0,0 +1,295 @@
+// ============================================================================
+//  VeeBoard QR codes: byte-mode QR encoder (ISO/IEC 18004) for the
+//  two-factor setup link, drawn locally so the secret never leaves the page
+// ============================================================================
+
+const QrCode = (() => {
+  // Error correction level M, indexed by version (1-40)
+  const ECC_CODEWORDS_PER_BLOCK = [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+  ]
+  const NUM_ERROR_CORRECTION_BLOCKS = [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+  ]
+  const FORMAT_LEVEL_M = 0
+
+  const getBit = (value, index) => ((value >>> index) & 1) !== 0
+
+  function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2
+      result -= (25 * numAlign - 10) * numAlign - 55
+      if (version >= 7) result -= 36
+    }
+    return result
+  }
+
+  function dataCodewords(version) {
+    return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version]
+  }
+
+  // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+  function gfMultiply(x, y) {
+    let z = 0
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d)
+      z ^= ((y >>> i) & 1) * x
+    }
+    return z
+  }
+
+  function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0)
+    result[degree - 1] = 1
+    let root = 1
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root)
+        if (j + 1 < result.length) result[j] ^= result[j + 1]
+      }
+      root = gfMultiply(root, 0x02)
+    }
+    return result
+  }
+
+  function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0)
+    for (const byte of data) {
+      const factor = byte ^ result.shift()
+      result.push(0)
+      divisor.forEach((coefficient, i) => { result[i] ^= gfMultiply(coefficient, factor) })
+    }
+    return result
+  }
+
+  function encodeData(bytes) {
+    let version = 1
+    const countBits = (v) => (v < 10 ? 8 : 16)
+    while (4 + countBits(version) + bytes.length * 8 > dataCodewords(version) * 8) {
+      version++
+      if (version > 40) throw new Error("QR code data too long")
+    }
+    const capacity = dataCodewords(version) * 8
+    const bits = []
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1)
+    }
+    push(0b0100, 4)
+    push(bytes.length, countBits(version))
+    bytes.forEach((byte) => push(byte, 8))
+    push(0, Math.min(4, capacity - bits.length))
+    push(0, (8 - (bits.length % 8)) % 8)
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8)
+    const codewords = []
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+    }
+    return { version, codewords }
+  }
+
+  // Splits the data into blocks, appends each block's error correction and interleaves them
+  function addErrorCorrection(version, data) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version]
+    const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version]
+    const rawCodewords = Math.floor(rawDataModules(version) / 8)
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks)
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks)
+    const divisor = reedSolomonDivisor(blockEccLength)
+    const blocks = []
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+      const block = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1))
+      offset += block.length
+      const ecc = reedSolomonRemainder(block, divisor)
+      if (i < numShortBlocks) block.push(0)
+      blocks.push(block.concat(ecc))
+    }
+    const result = []
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i])
+      })
+    }
+    return result
+  }
+
+  function alignmentPositions(version, size) {
+    if (version === 1) return []
+    const numAlign = Math.floor(version / 7) + 2
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2
+    const result = [6]
+    for (let position = size - 7; result.length < numAlign; position -= step) result.splice(1, 0, position)
+    return result
+  }
+
+  function createMatrix(version) {
+    const size = version * 4 + 17
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false))
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false))
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark
+      isFunction[y][x] = true
+    }
+
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0)
+      setFunction(i, 6, i % 2 === 0)
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy))
+          const x = cx + dx
+          const y = cy + dy
+          if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4)
+        }
+      }
+    }
+    const positions = alignmentPositions(version, size)
+    const last = positions.length - 1
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+        }
+      })
+    })
+    if (version >= 7) {
+      let remainder = version
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25)
+      const bits = (version << 12) | remainder
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3)
+        const b = Math.floor(i / 3)
+        setFunction(a, b, getBit(bits, i))
+        setFunction(b, a, getBit(bits, i))
+      }
+    }
+    return { size, modules, isFunction, setFunction }
+  }
+
+  function drawFormatBits({ size, setFunction }, mask) {
+    const data = (FORMAT_LEVEL_M << 3) | mask
+    let remainder = data
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+    const bits = ((data << 10) | remainder) ^ 0x5412
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i))
+    setFunction(8, 7, getBit(bits, 6))
+    setFunction(8, 8, getBit(bits, 7))
+    setFunction(7, 8, getBit(bits, 8))
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i))
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i))
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i))
+    setFunction(8, size - 8, true)
+  }
+
+  function drawCodewords({ size, modules, isFunction }, codewords) {
+    let i = 0
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j
+          const upward = ((right + 1) & 2) === 0
+          const y = upward ? size - 1 - vertical : vertical
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7))
+            i++
+          }
+        }
+      }
+    }
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+  ]
+
+  function applyMask({ size, modules, isFunction }, mask) {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x]
+      }
+    }
+  }
+
+  // The standard penalty rules: long runs, 2x2 blocks, finder-like patterns and dark/light balance
+  function penalty({ size, modules }) {
+    let score = 0
+    const lines = []
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i])
+      lines.push(modules.map((row) => row[i]))
+    }
+    const finderLike = [true, false, true, true, true, false, true]
+    for (const line of lines) {
+      let run = 1
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++
+        } else {
+          if (run >= 5) score += run - 2
+          run = 1
+        }
+      }
+      for (let i = 0; i + 7 <= size; i++) {
+        if (!finderLike.every((dark, k) => line[i + k] === dark)) continue
+        const lightBefore = i >= 4 && [1, 2, 3, 4].every((k) => !line[i - k])
+        const lightAfter = i + 11 <= size && [7, 8, 9, 10].every((k) => !line[i + k])
+        if (lightBefore || lightAfter) score += 40
+      }
+    }
+    let dark = 0
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++
+        if (x + 1 < size && y + 1 < size) {
+          const color = modules[y][x]
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3
+        }
+      }
+    }
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10
+    return score
+  }
+
+  // Returns the module grid as rows of booleans, true for dark
+  function encode(text) {
+    const { version, codewords } = encodeData([...new TextEncoder().encode(text)])
+    const data = addErrorCorrection(version, codewords)
+    let best = null
+    for (let mask = 0; mask < MASKS.length; mask++) {
+      const matrix = createMatrix(version)
+      drawFormatBits(matrix, mask)
+      drawCodewords(matrix, data)
+      applyMask(matrix, mask)
+      const score = penalty(matrix)
+      if (!best || score < best.score) best = { score, modules: matrix.modules }
+    }
+    return best.modules
+  }
+
+  function toSvg(text, { border = 4 } = {}) {
+    const modules = encode(text)
+    const size = modules.length + border * 2
+    let path = ""
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path += `M${x + border},${y + border}h1v1h-1z`
+      })
+    })
+    return `<svg class="qr-code" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`
+  }
+
+  return { encode, toSvg }
+})()
@@ -6,6 +6,9 @@ const CONFIG = {
   version: "0.4.0"
 }
 
+/* Board roles, from least to most access */
+const BOARD_ROLES = ["viewer", "commenter", "member", "admin"]
+
 /* Live sync echo guard */
 const Sync = {
   suppressEchoUntil: 0,
@@ -120,6 +123,19 @@ const Utils = {
   },
   // Return current UTC time in ISO 8601 format
   nowIso: () => new Date().toISOString(),
+  // Short "Browser on OS" label for a session's user agent
+  // Digits are an authenticator code; anything else is taken as a recovery code
+  parseSecondFactor: (value = "") => {
+    const code = String(value || "").trim()
+    return /^[\d\s]+$/.test(code) ? { totpCode: code.replace(/\s+/g, "") } : { recoveryCode: code }
+  },
+  describeUserAgent: (userAgent = "") => {
+    const browsers = [["Edge", /Edg\//], ["Opera", /OPR\//], ["Firefox", /Firefox\//], ["Chrome", /Chrome\//], ["Safari", /Safari\//]]
+    const systems = [["iOS", /iPhone|iPad/], ["Android", /Android/], ["Windows", /Windows/], ["macOS", /Mac OS X/], ["Linux", /Linux/]]
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0] || ""
+    const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0] || ""
+    return [browser, system].filter(Boolean).join(" · ")
+  },
   getPasswordValidationError: (password, { allowEmpty = false } = {}) => {
     const value = (password || "").trim()
     if (!value) return allowEmpty ? "" : "required"
@@ -232,6 +248,7 @@ const I18n = {
       // Re-render board to update dynamic text like "(Overdue)"
       if (typeof UI !== "undefined" && UI.renderBoard) UI.renderBoard()
       if (typeof Notifications !== "undefined" && Notifications.render) Notifications.render()
+      if (typeof UI !== "undefined" && UI.updatePendingIndicator) UI.updatePendingIndicator()
       if (typeof CloudflareBackend !== "undefined" && typeof DbSettings !== "undefined") {
         const config = DbSettings.get()
         if (config.cfUserToken) {
@@ -323,14 +340,19 @@ const BACKEND_ERROR_MAP = {
   "Current board access is managed by approval/removal.": "board_access_managed",
   "You can assign only boards where you are admin.": "assign_only_admin_boards",
   "User is not on the current board.": "user_not_on_board",
-  "Admin user cannot be removed from that board.": "admin_cannot_be_removed_from_board",
+  "A board needs at least one admin.": "last_admin_error",
   "Only admin can modify users.": "admin_only_modify_users",
   "User email is required.": "user_email_required",
-  "Changing account email is not supported.": "email_change_not_supported",
+  "Current password is incorrect.": "current_password_incorrect",
+  "User not found.": "user_missing",
   "Password is required for a new user.": "password_required_new_user",
+  "Origin not allowed.": "origin_not_allowed",
+  "Demote this admin before removing them.": "demote_admin_before_delete",
+  "This account is also on boards you do not administer. Only its owner can change the email.": "account_not_managed_email",
+  "This person already has an account. Send them an invite link instead.": "existing_account_invite_required",
+  "This account is also on boards you do not administer. Only its owner can change the password.": "account_not_managed_password",
   "Only admin can delete users.": "admin_only_delete_users",
   "Missing user email.": "missing_user_email",
-  "Admin user cannot be deleted.": "admin_user_cannot_be_deleted",
   "Only admin can modify users list.": "admin_only_modify_users_list",
   "Only admin can modify board structure.": "admin_only_modify_board_structure",
   "You can edit or delete only your own cards.": "own_card_only_error",
@@ -339,6 +361,19 @@ const BACKEND_ERROR_MAP = {
   "New cards must belong to the current user.": "new_cards_must_belong_to_user",
   "You can add only your own comments.": "own_comments_only",
   "Only admins can perform remote deletion": "admins_only_remote_deletion",
+  "Board was changed by someone else.": "board_conflict",
+  "Only admin can view board history.": "admin_only_view_history",
+  "Revision not found.": "revision_not_found",
+  "Card not found.": "card_not_found",
+  "Card already exists.": "card_already_exists",
+  "Card title is required.": "card_title_required",
+  "Column not found.": "column_not_found",
+  "Column already exists.": "column_already_exists",
+  "Column title is required.": "column_title_required",
+  "Archive column cannot be changed.": "archive_column_cannot_be_changed",
+  "Comment not found.": "comment_not_found",
+  "Comment already exists.": "comment_already_exists",
+  "Comment text is required.": "comment_text_required",
 
   // CloudflareBackend fallback strings
   "Cloudflare load failed": "cloudflare_load_failed",
@@ -349,8 +384,55 @@ const BACKEND_ERROR_MAP = {
   "Upload failed": "upload_failed",
   "User save failed": "user_save_failed",
   "Failed to load users": "users_load_failed",
+  "Failed to load activity": "activity_load_failed",
+  "Failed to load board history": "history_load_failed",
+  "Failed to restore revision": "history_restore_failed",
   "Profile save failed": "profile_save_failed",
   "Board access update failed": "board_access_update_failed",
+  "Too many failed attempts. Try again later.": "too_many_attempts",
+  "Only admin can clear lockouts.": "lockout_clear_failed",
+  "Failed to load two-factor settings": "two_factor_load_failed",
+  "Two-factor setup failed": "two_factor_setup_failed",
+  "Two-factor update failed": "two_factor_update_failed",
+  "Enter the code from your authenticator app.": "two_factor_code_required",
+  "Invalid verification code.": "invalid_verification_code",
+  "This board requires two-factor authentication. Set it up to continue.": "two_factor_setup_required",
+  "Two-factor authentication is already enabled.": "two_factor_already_enabled",
+  "Two-factor authentication is not enabled.": "two_factor_not_enabled",
+  "Two-factor authentication is required on one of your boards.": "two_factor_required_elsewhere",
+  "Only admin can change security settings.": "admin_only_security_settings",
+  "Enable two-factor authentication on your account first.": "two_factor_enable_first",
+  "Unknown two-factor requirement.": "two_factor_requirement_unknown",
+  "Lockout clear failed": "lockout_clear_failed",
+  "Session is required.": "session_required",
+  "Only admin can reset passwords.": "password_reset_failed",
+  "This reset link is invalid or has expired.": "password_reset_invalid",
+  "Password reset failed": "password_reset_failed",
+  "Password is required.": "password_missing",
+  "Unknown role.": "unknown_role",
+  "Failed to load API tokens": "api_tokens_load_failed",
+  "API token update failed": "api_token_update_failed",
+  "Token name is required.": "api_token_name_required",
+  "Choose at least one scope.": "api_token_scope_required",
+  "Unknown scope.": "api_token_update_failed",
+  "This API token does not allow this request.": "api_token_scope_denied",
+  "Viewers can only read this board.": "viewer_only_error",
+  "Commenters can only add comments.": "commenter_only_error",
+  "Your account is suspended on this board.": "suspended_error",
+  "Admin user cannot be suspended.": "admin_user_cannot_be_suspended",
+  "You cannot suspend yourself.": "cannot_suspend_self",
+  "Cards can only be handed to another approved board member.": "reassign_user_invalid",
+  "Only admin can transfer ownership.": "ownership_transfer_failed",
+  "Ownership can only go to another approved board member.": "ownership_target_invalid",
+  "Ownership transfer failed": "ownership_transfer_failed",
+  "Only admin can manage invites.": "invites_admin_only",
+  "This invite link is invalid or has expired.": "invite_invalid",
+  "Failed to load invites": "invites_load_failed",
+  "Invite update failed": "invite_update_failed",
+  "Invite failed": "invite_accept_failed",
+  "Failed to load sessions": "sessions_load_failed",
+  "Session revoke failed": "session_revoke_failed",
+  "Only admin can revoke other users' sessions.": "session_revoke_failed",
   "Failed to create board": "board_create_failed",
   "Failed to rename board": "board_rename_failed",
   "Failed to switch board": "board_switch_failed",
@@ -363,7 +445,7 @@ const BACKEND_ERROR_MAP = {
 
 /**
  * @module Meta
- * Client identity and monotonic sequence for conflict resolution in future syncs.
+ * Client identity and monotonic sequence, used by the worker to pick the latest card metadata when merging concurrent saves.
  */
 const Meta = {
   CLIENT_ID_KEY: "vee-board-client-id",
@@ -402,6 +484,7 @@ const DbSettings = {
         cfUserEmail: "",
         cfUserName: "",
         cfUserToken: "",
+        cfRefreshToken: "",
         cfBoardSessions: {},
       }
       const sanitize = (id) => (id || "").replace(/[^a-z0-9_-]/gi, "") || "default"
@@ -414,12 +497,13 @@ const DbSettings = {
       return {
         ...defaults,
         ...saved,
-        cfWorkerUrl: saved.cfWorkerUrl || defaultWorkerUrl,
+        // The served app may only talk to its own origin (see connect-src in _headers)
+        cfWorkerUrl: defaultWorkerUrl || saved.cfWorkerUrl || "",
         cfBoardId: sanitize(saved.cfBoardId),
         cfBoardSessions: sanitizedSessions,
       }
     } catch {
-      return { cfWorkerUrl: "", cfBoardId: "default", cfUserEmail: "", cfUserName: "", cfUserToken: "", cfBoardSessions: {} }
+      return { cfWorkerUrl: "", cfBoardId: "default", cfUserEmail: "", cfUserName: "", cfUserToken: "", cfRefreshToken: "", cfBoardSessions: {} }
     }
   },
   set(v) {
@@ -432,15 +516,17 @@ const DbSettings = {
         cfUserEmail: v.cfUserEmail || "",
         cfUserName: v.cfUserName || "",
         cfUserToken: v.cfUserToken || "",
+        cfRefreshToken: v.cfRefreshToken || "",
         isAdmin: v.isAdmin !== undefined ? !!v.isAdmin : !!existingSession.isAdmin,
       }
     }
     localStorage.setItem(this.KEY, JSON.stringify({
-      cfWorkerUrl: cfWorkerUrl || this.defaultWorkerUrl(),
+      cfWorkerUrl: this.defaultWorkerUrl() || cfWorkerUrl,
       cfBoardId,
       cfUserEmail: v.cfUserEmail || "",
       cfUserName: v.cfUserName || "",
       cfUserToken: v.cfUserToken || "",
+      cfRefreshToken: v.cfUserToken ? v.cfRefreshToken || "" : "",
       cfBoardSessions,
     }))
   },
@@ -449,6 +535,18 @@ const DbSettings = {
     if (!session?.cfUserToken) return null
     return session
   },
+  updateSessionTokens(boardId, { cfUserToken, cfRefreshToken }) {
+    const config = this.get()
+    const id = boardId || "default"
+    if (config.cfBoardSessions[id]) {
+      config.cfBoardSessions[id] = { ...config.cfBoardSessions[id], cfUserToken, cfRefreshToken }
+    }
+    if (config.cfBoardId === id) {
+      config.cfUserToken = cfUserToken
+      config.cfRefreshToken = cfRefreshToken
+    }
+    this.set(config)
+  },
 }
 
 const CloudflareBackend = {
@@ -466,38 +564,118 @@ const CloudflareBackend = {
     }
     return headers
   },
-  getAuthenticatedImageUrl(url, config = DbSettings.get()) {
-    if (!config.cfUserToken || !url) return url
+  refreshing: {},
+  // Access tokens are short-lived; a 401 is retried once with a token renewed through /refresh
+  async request(config, url, init = {}) {
+    const response = await fetch(url, init)
+    if (response.status !== 401 || !init.headers?.["X-User-Token"]) return response
+    const token = await this.refreshSession(config)
+    if (!token) return response
+    return fetch(url, { ...init, headers: { ...init.headers, "X-User-Token": token } })
+  },
+  async refreshSession(config) {
+    const boardId = (config.cfBoardId || "default").replace(/[^a-z0-9_-]/gi, "") || "default"
+    if (!this.refreshing[boardId]) {
+      const rotate = () => this.rotateSession(config, boardId)
+      // Tabs share one refresh token, so only one of them may spend it at a time
+      const pending = navigator.locks
+        ? navigator.locks.request(`vee-board-refresh-${boardId}`, rotate)
+        : rotate()
+      this.refreshing[boardId] = pending.finally(() => {
+        delete this.refreshing[boardId]
+      })
+    }
+    const token = await this.refreshing[boardId]
+    if (token) config.cfUserToken = token
+    return token
+  },
+  async rotateSession(config, boardId) {
+    const session = DbSettings.getBoardSession(boardId)
+    if (!session) return ""
+    if (session.cfUserToken !== config.cfUserToken) return session.cfUserToken
+    if (!session.cfRefreshToken) return ""
     const cfWorkerUrl = this.resolveWorkerUrl(config)
-    if (!cfWorkerUrl) return url
+    try {
+      const response = await fetch(`${cfWorkerUrl}/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken: session.cfRefreshToken }),
+      })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok || !data.token) return ""
+      DbSettings.updateSessionTokens(boardId, { cfUserToken: data.token, cfRefreshToken: data.refreshToken || "" })
+      return data.token
+    } catch {
+      return ""
+    }
+  },
+  imageUrls: new Map(),
+  // Worker images are fetched with the session header and shown from blob: URLs, so the access token never ends up in a URL
+  getImageObjectUrl(url, config = DbSettings.get()) {
+    if (!config.cfUserToken || !url || /^(blob|data):/.test(url)) return Promise.resolve(url)
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) return Promise.resolve(url)
+    let imageConfig = config
+    let target
     try {
       const worker = new URL(cfWorkerUrl)
-      const u = new URL(url, worker.origin)
-      if (u.pathname === "/image" && u.searchParams.get("key")) {
-        u.protocol = worker.protocol
-        u.host = worker.host
-        const key = u.searchParams.get("key")
+      target = new URL(url, worker.origin)
+      if (target.pathname === "/image" && target.searchParams.get("key")) {
+        target.protocol = worker.protocol
+        target.host = worker.host
+        const key = target.searchParams.get("key")
         const keyBoardId = key.indexOf("/") > 0 ? key.slice(0, key.indexOf("/")) : null
-        const imageBoardId = u.searchParams.get("boardId") || keyBoardId || config.cfBoardId || "default"
+        const imageBoardId = target.searchParams.get("boardId") || keyBoardId || config.cfBoardId || "default"
         const boardSession = DbSettings.getBoardSession(imageBoardId, config)
-        u.searchParams.set("token", boardSession?.cfUserToken || config.cfUserToken)
-        u.searchParams.set("boardId", boardSession?.cfUserToken ? imageBoardId : (config.cfBoardId || "default"))
-        return u.toString()
-      }
-      if (u.origin === worker.origin) {
-        u.searchParams.set("token", config.cfUserToken)
-        return u.toString()
+        if (boardSession) imageConfig = { ...config, cfBoardId: imageBoardId, cfUserToken: boardSession.cfUserToken }
+        target.searchParams.delete("boardId")
+        target.searchParams.delete("token")
+      } else if (target.origin !== worker.origin) {
+        return Promise.resolve(url)
       }
-    } catch {}
-    return url
+    } catch {
+      return Promise.resolve(url)
+    }
+
+    const cacheKey = `${imageConfig.cfBoardId || "default"}|${target}`
+    if (!this.imageUrls.has(cacheKey)) {
+      const pending = this.request(imageConfig, target.toString(), { headers: this.buildHeaders(imageConfig) })
+        .then((response) => {
+          if (!response.ok) throw new Error(`Image request failed with ${response.status}`)
+          return response.blob()
+        })
+        .then((blob) => URL.createObjectURL(blob))
+        .catch((e) => {
+          console.warn("Image load failed:", e)
+          this.imageUrls.delete(cacheKey)
+          return ""
+        })
+      this.imageUrls.set(cacheKey, pending)
+    }
+    return this.imageUrls.get(cacheKey)
   },
-  async load(config) {
+  // Fills in the image once it has loaded; the returned promise resolves to the blob: URL
+  loadImage(img, url) {
+    const pending = this.getImageObjectUrl(url)
+    pending.then((src) => {
+      if (src) img.src = src
+    })
+    return pending
+  },
+  clearImageCache() {
+    this.imageUrls.forEach((pending) => pending.then((src) => src && URL.revokeObjectURL(src)))
+    this.imageUrls.clear()
+  },
+  async load(config, { since = null, etag = "" } = {}) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) return null
 
-    const response = await fetch(`${cfWorkerUrl}/load`, {
-      headers: this.buildHeaders(config)
+    const query = Number.isInteger(since) ? `?since=${encodeURIComponent(since)}` : ""
+    const response = await this.request(config, `${cfWorkerUrl}/load${query}`, {
+      headers: this.buildHeaders(config, etag ? { "If-None-Match": etag } : {}),
+      cache: "no-store",
     })
+    if (response.status === 304) return { notModified: true }
     if (!response.ok) {
       let message = "Cloudflare load failed"
       try {
@@ -509,12 +687,14 @@ const CloudflareBackend = {
       throw error
     }
 
-    return await response.json()
+    const data = await response.json()
+    data.etag = response.headers.get("ETag") || ""
+    return data
   },
   async listBoards(config) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/boards`, {
+    const response = await this.request(config, `${cfWorkerUrl}/boards`, {
       headers: this.buildHeaders(config),
     })
     const data = await response.json().catch(() => ({}))
@@ -524,7 +704,7 @@ const CloudflareBackend = {
   async createBoard(config, name) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/boards`, {
+    const response = await this.request(config, `${cfWorkerUrl}/boards`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify({ name }),
@@ -536,7 +716,7 @@ const CloudflareBackend = {
   async switchBoard(config, boardId) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/board-session`, {
+    const response = await this.request(config, `${cfWorkerUrl}/board-session`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify({ boardId }),
@@ -548,7 +728,7 @@ const CloudflareBackend = {
   async renameBoard(config, boardId, name) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/boards`, {
+    const response = await this.request(config, `${cfWorkerUrl}/boards`, {
       method: "PUT",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify({ boardId, name }),
@@ -560,7 +740,7 @@ const CloudflareBackend = {
   async deleteBoard(config, boardId) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/boards`, {
+    const response = await this.request(config, `${cfWorkerUrl}/boards`, {
       method: "DELETE",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify({ boardId }),
@@ -569,17 +749,19 @@ const CloudflareBackend = {
     if (!response.ok) throw new Error(data?.error || "Failed to delete board")
     return data
   },
-  async authenticate(config, email, pinCode) {
+  async authenticate(config, email, pinCode, secondFactor = {}) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
     const response = await fetch(`${cfWorkerUrl}/auth`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
-      body: JSON.stringify({ email, pinCode }),
+      body: JSON.stringify({ email, pinCode, ...secondFactor }),
     })
     const data = await response.json().catch(() => ({}))
     if (!response.ok) {
-      throw new Error(data?.error || "Authentication failed")
+      const error = new Error(data?.error || "Authentication failed")
+      error.data = data
+      throw error
     }
     return data
   },
@@ -595,18 +777,19 @@ const CloudflareBackend = {
     if (!response.ok) throw new Error(data?.error || "Signup failed")
     return data
   },
-  async save(state, config) {
+  async save(state, config, baseRevision = 0, resolveConflicts = "") {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) return
-    const response = await fetch(`${cfWorkerUrl}/save`, {
+    const response = await this.request(config, `${cfWorkerUrl}/save`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
-      body: JSON.stringify(state),
+      body: JSON.stringify({ ...state, baseRevision, ...(resolveConflicts ? { resolveConflicts } : {}) }),
     })
     if (!response.ok) {
       let message = "Cloudflare save failed"
+      let data = null
       try {
-        const data = await response.json()
+        data = await response.json()
         if (data?.error) message = data.error
       } catch {
         try {
@@ -616,22 +799,77 @@ const CloudflareBackend = {
       }
       const error = new Error(message)
       error.status = response.status
+      error.data = data
+      throw error
+    }
+    return await response.json().catch(() => ({}))
+  },
+  async sendMutation(config, method, path, body = null) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}${path}`, {
+      method,
+      headers: this.buildHeaders(config, body ? { "Content-Type": "application/json" } : {}),
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const error = new Error(data?.error || "Cloudflare save failed")
+      error.status = response.status
+      error.data = data
       throw error
     }
+    return data
   },
-  async subscribe(config, handler) {
-    // Cloudflare D1 doesn't support push.
-    // Sync-on-focus (visibilitychange) is used instead in App.setupEventListeners.
-    return () => {}
+  async subscribe(config, handler, since = () => 0) {
+    // Long-polls /changes; the worker answers as soon as the board revision moves past `since`
+    let active = true
+    let controller = null
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+    const poll = async () => {
+      let retryDelay = 1000
+      while (active) {
+        const cfg = DbSettings.get()
+        const cfWorkerUrl = this.resolveWorkerUrl(cfg)
+        // Hidden tabs catch up through the visibilitychange reload instead
+        if (!cfWorkerUrl || !cfg.cfUserToken || document.visibilityState === "hidden") {
+          await wait(2000)
+          continue
+        }
+        controller = new AbortController()
+        try {
+          const response = await this.request(cfg, `${cfWorkerUrl}/changes?since=${encodeURIComponent(since())}`, {
+            headers: this.buildHeaders(cfg),
+            signal: controller.signal,
+          })
+          if (!response.ok) throw new Error(`Live updates failed: ${response.status}`)
+          const data = await response.json()
+          retryDelay = 1000
+          const current = DbSettings.get()
+          if (!active || current.cfBoardId !== cfg.cfBoardId || current.cfUserToken !== cfg.cfUserToken) continue
+          if (data.changed && (await handler(data)) === false) await wait(1000)
+        } catch (e) {
+          if (!active) return
+          console.warn("Live updates failed:", e)
+          await wait(retryDelay)
+          retryDelay = Math.min(retryDelay * 2, 30000)
+        }
+      }
+    }
+    poll()
+    return () => {
+      active = false
+      controller?.abort()
+    }
   },
-  async uploadImage(file, config, originalName) {
+  async uploadImage(file, config, originalName, { avatar = false } = {}) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
     const headers = this.buildHeaders(config, { "Content-Type": file.type })
     if (originalName) {
       headers["X-Original-Filename"] = originalName
     }
-    const response = await fetch(`${cfWorkerUrl}/upload`, {
+    const response = await this.request(config, `${cfWorkerUrl}/upload${avatar ? "?purpose=avatar" : ""}`, {
       method: "POST",
       headers,
       body: file,
@@ -645,15 +883,16 @@ const CloudflareBackend = {
   async deleteImage(key, config) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) return
-    await fetch(`${cfWorkerUrl}/delete-image?key=${encodeURIComponent(key)}`, {
+    await this.request(config, `${cfWorkerUrl}/delete-image?key=${encodeURIComponent(key)}`, {
       method: "DELETE",
-      headers: this.buildHeaders(config)
+      headers: this.buildHeaders(config),
+      keepalive: true,
     })
   },
   async upsertUser(user, config, previousEmail = "") {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/user`, {
+    const response = await this.request(config, `${cfWorkerUrl}/user`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify({ ...user, previousEmail }),
@@ -665,7 +904,7 @@ const CloudflareBackend = {
   async updateProfile(profile, config) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/profile`, {
+    const response = await this.request(config, `${cfWorkerUrl}/profile`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify(profile),
@@ -677,28 +916,61 @@ const CloudflareBackend = {
   async listUsers(config) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/users`, {
+    const response = await this.request(config, `${cfWorkerUrl}/users`, {
       headers: this.buildHeaders(config),
     })
     const data = await response.json().catch(() => ({}))
     if (!response.ok) throw new Error(data?.error || "Failed to load users")
     return data
   },
+  async listHistory(config) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/history`, {
+      headers: this.buildHeaders(config),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Failed to load board history")
+    return data
+  },
+  async getHistoryRevision(config, revision) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/history/${encodeURIComponent(revision)}`, {
+      headers: this.buildHeaders(config),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Failed to load board history")
+    return data
+  },
+  async restoreHistoryRevision(config, revision) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/history/${encodeURIComponent(revision)}/restore`, {
+      method: "POST",
+      headers: this.buildHeaders(config),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Failed to restore revision")
+    return data
+  },
   async getStorageUsage(config) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/storage`, {
+    const response = await this.request(config, `${cfWorkerUrl}/storage`, {
       headers: this.buildHeaders(config),
     })
     const data = await response.json().catch(() => ({}))
     if (!response.ok) throw new Error(data?.error || "Failed to load storage info")
     return data
   },
-  async deleteUser(email, config) {
+  async deleteUser(email, config, reassignTo) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     const { cfBoardId } = config
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/user?email=${encodeURIComponent(email)}&boardId=${encodeURIComponent(cfBoardId || "default")}`, {
+    const params = new URLSearchParams({ email, boardId: cfBoardId || "default" })
+    if (reassignTo !== undefined) params.set("reassignTo", reassignTo)
+    const response = await this.request(config, `${cfWorkerUrl}/user?${params}`, {
       method: "DELETE",
       headers: this.buildHeaders(config),
     })
@@ -706,10 +978,240 @@ const CloudflareBackend = {
     if (!response.ok) throw new Error(data?.error || "User delete failed")
     return data
   },
+  async listInvites(config) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/invites`, {
+      headers: this.buildHeaders(config),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Failed to load invites")
+    return data
+  },
+  async createInvite(config, options) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/invites`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify(options),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Invite update failed")
+    return data
+  },
+  async revokeInvite(config, id) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/invites`, {
+      method: "DELETE",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ id }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Invite update failed")
+    return data
+  },
+  async previewInvite(config, token) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await fetch(`${cfWorkerUrl}/invites/preview?token=${encodeURIComponent(token)}`)
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Invite failed")
+    return data
+  },
+  // Signed-in users join with their session; otherwise the credentials log in or create the account
+  async acceptInvite(config, token, credentials = {}) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/invites/accept`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ ...credentials, token }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const error = new Error(data?.error || "Invite failed")
+      error.data = data
+      throw error
+    }
+    return data
+  },
+  async createPasswordReset(email, config, { sendTelegram = false } = {}) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/password-reset`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ email, sendTelegram }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Password reset failed")
+    return data
+  },
+  async previewPasswordReset(config, token) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await fetch(`${cfWorkerUrl}/password-reset?token=${encodeURIComponent(token)}`)
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Password reset failed")
+    return data
+  },
+  async completePasswordReset(config, token, pinCode) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await fetch(`${cfWorkerUrl}/password-reset/complete`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token, pinCode }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Password reset failed")
+    return data
+  },
+  async listSessions(config) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/sessions`, {
+      headers: this.buildHeaders(config),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Failed to load sessions")
+    return data
+  },
+  async revokeSessions(config, target) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/sessions`, {
+      method: "DELETE",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify(target),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Session revoke failed")
+    return data
+  },
+  async listApiTokens(config) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/api-tokens`, {
+      headers: this.buildHeaders(config),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Failed to load API tokens")
+    return data
+  },
+  async createApiToken(config, options) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/api-tokens`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify(options),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "API token update failed")
+    return data
+  },
+  async revokeApiToken(config, id) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/api-tokens`, {
+      method: "DELETE",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ id }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "API token update failed")
+    return data
+  },
+  async clearLockout(email, config) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/lockouts`, {
+      method: "DELETE",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ email }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Lockout clear failed")
+    return data
+  },
+  async getTwoFactor(config) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/two-factor`, {
+      headers: this.buildHeaders(config),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Failed to load two-factor settings")
+    return data
+  },
+  // Without a session the email and password authorize the setup, for boards that require 2FA before login
+  async startTwoFactorSetup(config, credentials = {}) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/two-factor/setup`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify(credentials),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Two-factor setup failed")
+    return data
+  },
+  async enableTwoFactor(config, code, credentials = {}) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/two-factor/enable`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ ...credentials, code }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Two-factor setup failed")
+    return data
+  },
+  async regenerateRecoveryCodes(config, secondFactor) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/two-factor/recovery-codes`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify(secondFactor),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Two-factor update failed")
+    return data
+  },
+  async disableTwoFactor(config, secondFactor) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/two-factor`, {
+      method: "DELETE",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify(secondFactor),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Two-factor update failed")
+    return data
+  },
+  async setTwoFactorPolicy(config, requirement) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/two-factor/policy`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ requirement }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Two-factor update failed")
+    return data
+  },
   async setUserBoardAccess(email, boardId, hasAccess, config) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/user-board-access`, {
+    const response = await this.request(config, `${cfWorkerUrl}/user-board-access`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify({ email, boardId, hasAccess }),
@@ -718,10 +1220,34 @@ const CloudflareBackend = {
     if (!response.ok) throw new Error(data?.error || "Board access update failed")
     return data
   },
+  async transferOwnership(email, config) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const response = await this.request(config, `${cfWorkerUrl}/transfer-ownership`, {
+      method: "POST",
+      headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
+      body: JSON.stringify({ email }),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Ownership transfer failed")
+    return data
+  },
+  async listActivity(config, cardId = "", limit = 50) {
+    const cfWorkerUrl = this.resolveWorkerUrl(config)
+    if (!cfWorkerUrl) throw new Error("Cloudflare not configured")
+    const params = new URLSearchParams({ limit: String(limit) })
+    if (cardId) params.set("cardId", cardId)
+    const response = await this.request(config, `${cfWorkerUrl}/activity?${params}`, {
+      headers: this.buildHeaders(config),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data?.error || "Failed to load activity")
+    return data
+  },
   async listNotifications(config, limit = 50) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl || !config.cfUserToken) return { notifications: [], unreadCount: 0 }
-    const response = await fetch(`${cfWorkerUrl}/notifications?limit=${encodeURIComponent(limit)}`, {
+    const response = await this.request(config, `${cfWorkerUrl}/notifications?limit=${encodeURIComponent(limit)}`, {
       headers: this.buildHeaders(config),
     })
     const data = await response.json().catch(() => ({}))
@@ -731,7 +1257,7 @@ const CloudflareBackend = {
   async markNotificationsRead(config, payload = {}) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl || !config.cfUserToken) return { notifications: [], unreadCount: 0 }
-    const response = await fetch(`${cfWorkerUrl}/notifications/read`, {
+    const response = await this.request(config, `${cfWorkerUrl}/notifications/read`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify(payload),
@@ -743,7 +1269,7 @@ const CloudflareBackend = {
   async getTelegramSettings(config) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl || !config.cfUserToken) return { available: false, enabled: false, linked: false }
-    const response = await fetch(`${cfWorkerUrl}/telegram/settings`, {
+    const response = await this.request(config, `${cfWorkerUrl}/telegram/settings`, {
       headers: this.buildHeaders(config),
     })
     const data = await response.json().catch(() => ({}))
@@ -753,7 +1279,7 @@ const CloudflareBackend = {
   async updateTelegramSettings(config, settings = {}) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl || !config.cfUserToken) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/telegram/settings`, {
+    const response = await this.request(config, `${cfWorkerUrl}/telegram/settings`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify(settings),
@@ -765,7 +1291,7 @@ const CloudflareBackend = {
   async createTelegramLink(config) {
     const cfWorkerUrl = this.resolveWorkerUrl(config)
     if (!cfWorkerUrl || !config.cfUserToken) throw new Error("Cloudflare not configured")
-    const response = await fetch(`${cfWorkerUrl}/telegram/link`, {
+    const response = await this.request(config, `${cfWorkerUrl}/telegram/link`, {
       method: "POST",
       headers: this.buildHeaders(config, { "Content-Type": "application/json" }),
       body: JSON.stringify({ language: I18n.current }),
@@ -776,12 +1302,100 @@ const CloudflareBackend = {
   }
 }
 
+/**
+ * @module OfflineQueue
+ * IndexedDB copy of the last known board and of the changes the worker has not accepted yet, so both survive a reload while offline.
+ */
+const OfflineQueue = {
+  DB_NAME: "vee-board-offline",
+  STORE_NAME: "boards",
+  RETRY_MS: 15000,
+  dbPromise: null,
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available"))
+        const request = indexedDB.open(this.DB_NAME, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore(this.STORE_NAME)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+    }
+    return this.dbPromise
+  },
+
+  async run(mode, action) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE_NAME, mode)
+      const request = action(tx.objectStore(this.STORE_NAME))
+      tx.oncomplete = () => resolve(request.result)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  },
+
+  // Queued changes are replayed with the session they were made under, so the key includes the user
+  key(config) {
+    return [config.cfWorkerUrl, config.cfBoardId, config.cfUserEmail].join("|")
+  },
+
+  async read(config) {
+    try {
+      return await this.run("readonly", (store) => store.get(this.key(config))) || null
+    } catch (e) {
+      console.warn("Offline queue read failed:", e)
+      return null
+    }
+  },
+
+  async write(config, entry) {
+    try {
+      await this.run("readwrite", (store) => store.put(entry, this.key(config)))
+    } catch (e) {
+      console.warn("Offline queue write failed:", e)
+    }
+  },
+
+  // Drops stored boards with nothing pending; unsent changes stay under their user and board until that user signs in to it again
+  async clearSynced() {
+    try {
+      await this.run("readwrite", (store) => {
+        const request = store.openCursor()
+        request.onsuccess = () => {
+          const cursor = request.result
+          if (!cursor) return
+          if (!cursor.value?.ops?.length) cursor.delete()
+          cursor.continue()
+        }
+        return request
+      })
+    } catch (e) {
+      console.warn("Offline queue clear failed:", e)
+    }
+  },
+}
+
 /**
  * @module Store
  * Manages the application state and persistence to Cloudflare D1.
  */
 const Store = {
   isAdmin: false,
+  revision: 0,
+  etag: "",
+  loadedBoardId: "",
+  outbox: [],
+  flushing: false,
+  offline: false,
+  retryTimer: null,
+  undoStack: [],
+  redoStack: [],
+  undoLimit: 50,
+  replaying: false,
+  pendingImageCleanup: new Map(),
+  conflictResolution: "",
   state: {
     columns: [],
     users: [],
@@ -792,14 +1406,47 @@ const Store = {
     let data = this.createEmptyState()
 
     if (cfg.cfWorkerUrl) {
+      if (this.loadedBoardId !== cfg.cfBoardId) {
+        this.clearUndoHistory()
+        // Changes queued for another board stay stored under that board until it is opened again
+        this.outbox = []
+        const saved = await OfflineQueue.read(cfg)
+        if (saved?.ops?.length) {
+          this.loadedBoardId = cfg.cfBoardId
+          this.outbox = saved.ops
+          this.applyState({ ...saved.state, revision: saved.revision })
+          await this.flushOutbox()
+          return this.state
+        }
+      }
+      // The server copy does not have the queued changes yet, so keep the local board
+      if (this.outbox.length) return this.state
+
       try {
-        data = await CloudflareBackend.load(cfg) || this.createEmptyState()
+        // After the first load of a board, ask only for what changed since our revision
+        const known = this.etag && this.loadedBoardId === cfg.cfBoardId
+        const result = await CloudflareBackend.load(cfg, known ? { since: this.revision, etag: this.etag } : {})
+        if (result?.notModified) return this.state
+        if (result?.delta) {
+          this.applyBoardDelta(result.delta)
+          if (result.delta.users) this.applyUsers(result.delta.users)
+          this.revision = result.revision
+          this.etag = result.etag
+          this.persistOffline()
+          return this.state
+        }
+        data = result || this.createEmptyState()
       } catch (e) {
         if (e?.status === 401 || e?.status === 403) {
           console.warn("Cloudflare session rejected during load:", e)
           if (typeof UI !== "undefined" && UI.clearCloudflareSession) {
             UI.clearCloudflareSession()
           }
+        } else if (this.isOfflineError(e)) {
+          console.warn("Cloudflare unreachable, using the offline copy:", e)
+          this.setOffline(true)
+          const saved = await OfflineQueue.read(cfg)
+          if (saved?.state) data = { ...saved.state, revision: saved.revision }
         } else {
           console.warn("Cloudflare load failed:", e)
           if (typeof UI !== "undefined" && UI.showAlert) {
@@ -809,6 +1456,20 @@ const Store = {
       }
     }
 
+    this.loadedBoardId = cfg.cfBoardId
+    this.applyState(data)
+    this.persistOffline()
+    return this.state
+  },
+
+  applyState(data) {
+    this.revision = Number(data?.revision) || 0
+    this.etag = data?.etag || ""
+    if (data) {
+      delete data.revision
+      delete data.etag
+    }
+
     try {
       this.validateState(data)
     } catch {
@@ -830,25 +1491,26 @@ const Store = {
       })
     }
     
-    // Ensure users array exists
-    if (!this.state.users) {
-      this.state.users = []
-    }
-    this.state.users = this.state.users.map((user) => ({
+    this.applyUsers(this.state.users || [])
+
+    this.state.columns.forEach((col) => {
+      col.cards.forEach((card) => this.normalizeCard(card))
+    })
+    
+    return this.state
+  },
+
+  applyUsers(users = []) {
+    this.state.users = users.map((user) => ({
       ...user,
       email: (user.email || "").trim().toLowerCase(),
       avatarUrl: user.avatarUrl || "",
       avatarKey: user.avatarKey || "",
       isAdmin: !!user.isAdmin,
       isApproved: user.isApproved !== false,
+      isSuspended: !!user.isSuspended,
     }))
     this.isAdmin = !!this.getCurrentUserProfile()?.isAdmin
-
-    this.state.columns.forEach((col) => {
-      col.cards.forEach((card) => this.normalizeCard(card))
-    })
-    
-    return this.state
   },
 
   addUser(user) {
@@ -860,24 +1522,163 @@ const Store = {
   },
 
   saveState: async function () {
+    return this.queueSync({ type: "save" })
+  },
+
+  queueSync(op) {
     const cfg = DbSettings.get()
     if (!cfg.cfWorkerUrl) return
+    // A full save sends the state as it is when its turn comes, so one waiting save covers later ones
+    if (op.type === "save" && this.outbox.some((item, index) => item.type === "save" && !(this.flushing && index === 0))) return
+    this.outbox.push(op)
+    this.persistOffline()
+    return this.flushOutbox()
+  },
+
+  persistOffline() {
+    const cfg = DbSettings.get()
+    if (cfg.cfWorkerUrl && this.hasCloudflareSession()) {
+      OfflineQueue.write(cfg, { revision: this.revision, state: this.state, ops: this.outbox })
+    }
+    if (typeof UI !== "undefined" && UI.updatePendingIndicator) UI.updatePendingIndicator()
+  },
+
+  isOfflineError(e) {
+    return !e?.status && (e instanceof TypeError || navigator.onLine === false)
+  },
+
+  setOffline(offline) {
+    this.offline = offline
+    clearTimeout(this.retryTimer)
+    // The online event is not reliable on flaky connections, so keep retrying on a timer as well
+    if (offline) {
+      this.retryTimer = setTimeout(() => this.outbox.length ? this.flushOutbox() : this.refreshFromServer(), OfflineQueue.RETRY_MS)
+    }
+    if (typeof UI !== "undefined" && UI.updatePendingIndicator) UI.updatePendingIndicator()
+  },
+
+  flushOutbox: async function () {
+    if (this.flushing) return
+    const cfg = DbSettings.get()
+    // Changes are sent one at a time so each carries the revision returned by the previous one
+    this.flushing = true
+    let conflicts = null
     try {
-      Sync.muteNext(900)
-      await CloudflareBackend.save(this.state, cfg)
+      while (this.outbox.length) {
+        Sync.muteNext(900)
+        await this.sendSyncOp(this.outbox[0], cfg)
+        this.outbox.shift()
+        if (this.offline) this.setOffline(false)
+        this.persistOffline()
+      }
     } catch (e) {
-      if (e?.status === 401) {
-        console.warn("Cloudflare save rejected:", e)
-        if (typeof UI !== "undefined" && UI.clearCloudflareSession) {
-          UI.clearCloudflareSession()
-          if (UI.renderBoard) UI.renderBoard()
+      const failed = this.outbox[0]
+      if (this.isOfflineError(e)) {
+        // Keep the queue as it is and replay it once the worker is reachable again
+        console.warn("Cloudflare unreachable, keeping changes queued:", e)
+        this.setOffline(true)
+        return
+      }
+      this.outbox = []
+      this.persistOffline()
+      if (e?.status === 409 && e.data?.conflicts?.length) {
+        conflicts = e.data.conflicts
+      } else if (e?.status === 409 && e.data?.state) {
+        console.warn("Cloudflare save conflict:", e)
+        this.adoptServerState(e.data.state)
+        if (typeof UI !== "undefined" && UI.showAlert) {
+          UI.showAlert(I18n.t("board_conflict"))
         }
       } else {
-        console.warn("Cloudflare save failed:", e)
+        if (e?.status === 401) {
+          console.warn("Cloudflare save rejected:", e)
+          if (typeof UI !== "undefined" && UI.clearCloudflareSession) {
+            UI.clearCloudflareSession()
+            if (UI.renderBoard) UI.renderBoard()
+          }
+        } else {
+          console.warn("Cloudflare save failed:", e)
+          // The rejected change is already applied locally, so take the board back from the server
+          if (failed?.type === "request") await this.refreshFromServer(cfg)
+        }
+        if (typeof UI !== "undefined" && UI.showAlert) {
+          UI.showAlert(I18n.serverError(e.message) || I18n.t("cloudflare_save_failed"))
+        }
       }
-      if (typeof UI !== "undefined" && UI.showAlert) {
-        UI.showAlert(I18n.serverError(e.message) || I18n.t("cloudflare_save_failed"))
+    } finally {
+      this.flushing = false
+    }
+
+    if (conflicts && typeof UI !== "undefined" && UI.confirmSaveConflicts) {
+      const keepMine = await UI.confirmSaveConflicts(conflicts)
+      this.conflictResolution = keepMine ? "mine" : "theirs"
+      return this.saveState()
+    }
+    if (this.outbox.length) return this.flushOutbox()
+  },
+
+  sendSyncOp: async function (op, cfg) {
+    if (op.type === "save") {
+      const resolveConflicts = this.conflictResolution
+      this.conflictResolution = ""
+      const result = await CloudflareBackend.save(this.state, cfg, this.revision, resolveConflicts)
+      // The worker merged our save with someone else's. If more local edits are queued, keep the
+      // old base revision so the next save is merged against it too.
+      if (result?.state) {
+        if (this.outbox.length === 1) this.adoptServerState(result.state)
+      } else if (Number.isInteger(result?.revision)) {
+        this.revision = result.revision
       }
+      return
+    }
+    const result = await CloudflareBackend.sendMutation(cfg, op.method, op.path, op.body)
+    if (result?.revision === this.revision + 1) {
+      this.revision = result.revision
+    } else if (this.outbox.length === 1) {
+      // Someone else saved in between, so our copy is missing their changes
+      await this.refreshFromServer(cfg)
+    }
+  },
+
+  queueRequest(method, path, body = null) {
+    return this.queueSync({ type: "request", method, path, body })
+  },
+
+  refreshFromServer: async function (cfg = DbSettings.get()) {
+    try {
+      const data = await CloudflareBackend.load(cfg)
+      if (this.offline) this.setOffline(false)
+      if (data) this.adoptServerState(data)
+    } catch (e) {
+      console.warn("Cloudflare refresh failed:", e)
+      if (this.isOfflineError(e)) this.setOffline(true)
+    }
+  },
+
+  cardPath(cardId, ...rest) {
+    return "/" + ["cards", cardId, ...rest].map(encodeURIComponent).join("/")
+  },
+
+  columnPath(colId = "") {
+    return colId ? `/columns/${encodeURIComponent(colId)}` : "/columns"
+  },
+
+  cardMeta(card) {
+    const meta = {}
+    for (const key of ["lastChanged", "lastChangedBy", "seq", "contentChangedAt", "contentChangedBy", "contentChangedByEmail", "positionChangedAt"]) {
+      if (card[key] !== undefined) meta[key] = card[key]
+    }
+    return meta
+  },
+
+  adoptServerState(data) {
+    this.applyState(data)
+    this.persistOffline()
+    if (typeof UI === "undefined") return
+    if (UI.renderBoard) UI.renderBoard()
+    const form = Utils.qs("#cardDetailForm")
+    if (UI.cardDetailDialog?.open && form?.dataset.editMode !== "true" && form?.dataset.isNew !== "true") {
+      UI.renderCardDetail()
     }
   },
 
@@ -926,6 +1727,7 @@ const Store = {
       avatarUrl: "",
       avatarKey: "",
       isAdmin: !!this.isAdmin,
+      role: this.isAdmin ? "admin" : "member",
       isApproved: true,
     }
   },
@@ -944,8 +1746,24 @@ const Store = {
     return !!this.isAdmin
   },
 
+  getCurrentUserRole() {
+    const currentUser = this.getCurrentUserProfile()
+    if (!currentUser) return ""
+    return BOARD_ROLES.includes(currentUser.role) ? currentUser.role : (currentUser.isAdmin ? "admin" : "member")
+  },
+
+  currentUserHasRole(role) {
+    const currentRole = this.getCurrentUserRole()
+    return !currentRole || BOARD_ROLES.indexOf(currentRole) >= BOARD_ROLES.indexOf(role)
+  },
+
+  canCurrentUserCreateCard() {
+    return this.currentUserHasRole("member")
+  },
+
   canCurrentUserEditCard(card) {
     if (this.isCurrentUserAdmin()) return true
+    if (!this.currentUserHasRole("member")) return false
     const currentUser = this.getCurrentUserProfile()
     return !!currentUser && !!card && (
       ((card.createdByEmail || "").trim().toLowerCase() && (card.createdByEmail || "").trim().toLowerCase() === currentUser.email) ||
@@ -955,6 +1773,7 @@ const Store = {
 
   canCurrentUserMoveCard(card) {
     if (this.isCurrentUserAdmin()) return true
+    if (!this.currentUserHasRole("member")) return false
     const currentUser = this.getCurrentUserProfile()
     if (!currentUser || !card) return false
     const ownerEmail = (card.createdByEmail || "").trim().toLowerCase()
@@ -970,6 +1789,7 @@ const Store = {
   },
 
   canCurrentUserEditComment(comment) {
+    if (!this.currentUserHasRole("commenter")) return false
     const currentUser = this.getCurrentUserProfile()
     return !!currentUser && !!comment && (
       ((comment.authorEmail || "").trim().toLowerCase() && (comment.authorEmail || "").trim().toLowerCase() === currentUser.email) ||
@@ -978,7 +1798,7 @@ const Store = {
   },
 
   canCurrentUserComment() {
-    return !!this.getCurrentUserName()
+    return !!this.getCurrentUserName() && this.currentUserHasRole("commenter")
   },
 
   canCurrentUserManageBoardStructure() {
@@ -1070,13 +1890,26 @@ const Store = {
     // Add new column before the archive column
     const archiveIndex = this.state.columns.findIndex((c) => c.isArchive)
     this.state.columns.splice(archiveIndex, 0, newColumn)
-    this.saveState()
+    this.queueRequest("POST", this.columnPath(), { id: newColumn.id, title, index: archiveIndex })
+    let removed = null
+    this.recordUndo("add_column", () => {
+      removed = this.columnPosition(newColumn.id)
+      return this.deleteColumn(newColumn.id)
+    }, () => !!removed && this.restoreColumn(removed.column, removed.index))
     return newColumn
   },
 
   updateColumn(colId, { title, isDone }) {
     const col = this.findColumn(colId)
     if (col && !col.isArchive) {
+      const previous = { title: col.title, isDone: !!col.isDone }
+      const previousDoneId = this.state.columns.find((c) => c.isDone)?.id || ""
+      this.recordUndo("edit_column", () => {
+        if (!this.updateColumn(colId, previous)) return false
+        const previousDone = isDone && previousDoneId !== colId ? this.findColumn(previousDoneId) : null
+        if (previousDone) this.updateColumn(previousDoneId, { title: previousDone.title, isDone: true })
+        return true
+      }, () => !!this.updateColumn(colId, { title, isDone }))
       col.title = title
 
       // Rule: Only one column can be the "Done" column.
@@ -1087,16 +1920,38 @@ const Store = {
       }
       col.isDone = isDone
 
-      this.saveState()
+      this.queueRequest("PATCH", this.columnPath(colId), { title, isDone: !!isDone })
+      return col
+    }
+    return null
+  },
+
+  deleteColumn(colId) {
+    const col = this.findColumn(colId)
+    if (!col || col.isArchive) return false
+    const removed = this.columnPosition(colId)
+    this.state.columns = this.state.columns.filter((c) => c.id !== colId)
+    this.queueRequest("DELETE", this.columnPath(colId))
+    this.recordUndo("column_deleted", () => this.restoreColumn(removed.column, removed.index), () => this.deleteColumn(colId), { toast: true })
+    return true
+  },
+
+  // Brings back a deleted column; the worker takes its contents from the board history
+  restoreColumn(column, index) {
+    if (this.findColumn(column.id)) return false
+    const restored = {
+      ...structuredClone(column),
+      cards: column.cards.filter((card) => !this.findCard(card.id).card).map((card) => structuredClone(card)),
     }
+    if (restored.isDone) this.state.columns.forEach((c) => { c.isDone = false })
+    this.state.columns.splice(Math.min(index, this.state.columns.length), 0, restored)
+    this.queueRequest("POST", this.columnPath(), { restore: column.id, index })
+    return true
   },
 
-  deleteColumn(colId) {
-    const col = this.findColumn(colId)
-    if (col && !col.isArchive) {
-      this.state.columns = this.state.columns.filter((c) => c.id !== colId)
-      this.saveState()
-    }
+  columnPosition(colId) {
+    const index = this.state.columns.findIndex((c) => c.id === colId)
+    return index === -1 ? null : { column: structuredClone(this.state.columns[index]), index }
   },
 
   addCard(colId, cardData) {
@@ -1125,7 +1980,12 @@ const Store = {
         this.addUser(newCard.assignedUser)
       }
       col.cards.unshift(newCard)
-      this.saveState()
+      this.queueRequest("POST", "/cards", { colId, index: 0, card: newCard })
+      let removed = null
+      this.recordUndo("add_card", () => {
+        removed = this.cardPosition(newCard.id)
+        return this.deleteCard(newCard.id)
+      }, () => !!removed && this.restoreCard(removed.colId, removed.index, removed.card))
       return newCard
     }
   },
@@ -1134,6 +1994,16 @@ const Store = {
     const { card } = this.findCard(cardId)
     if (card) {
       const currentUser = this.getCurrentUserProfile()
+      const previous = structuredClone({
+        title: card.title,
+        description: card.description,
+        tags: card.tags,
+        due: card.due,
+        assignedUser: card.assignedUser || null,
+        attachments: card.attachments || [],
+      })
+      const next = structuredClone({ ...previous, ...cardData, comments: undefined })
+      this.recordUndo("edit_card", () => !!this.updateCard(cardId, previous), () => !!this.updateCard(cardId, next))
       card.title = cardData.title
       card.description = cardData.description
       card.tags = cardData.tags
@@ -1159,33 +2029,51 @@ const Store = {
       card.contentChangedAt = card.lastChanged
       card.contentChangedBy = currentUser?.name || currentUser?.email || ""
       card.contentChangedByEmail = currentUser?.email || ""
-      this.saveState()
+      this.queueRequest("PATCH", this.cardPath(cardId), {
+        title: card.title,
+        description: card.description,
+        tags: card.tags,
+        due: card.due,
+        assignedUser: card.assignedUser,
+        attachments: card.attachments,
+        meta: this.cardMeta(card),
+      })
       return card
     }
   },
 
+  syncCardAttachments(cardId) {
+    const { card } = this.findCard(cardId)
+    if (!card) return
+    this.queueRequest("PATCH", this.cardPath(cardId), { attachments: card.attachments || [] })
+  },
+
   deleteCard(cardId) {
-    let colToUpdate = null
-    let cardToDelete = null
-    for (const col of this.state.columns) {
-      const cardIndex = col.cards.findIndex((c) => c.id === cardId)
-      if (cardIndex !== -1) {
-        cardToDelete = col.cards[cardIndex]
-        col.cards.splice(cardIndex, 1)
-        colToUpdate = col
-        break
-      }
-    }
-    if (colToUpdate) {
-      this.saveState()
-      // Cleanup images from R2 if any
-      if (cardToDelete && cardToDelete.attachments && cardToDelete.attachments.length > 0) {
-        const cfg = DbSettings.get()
-        cardToDelete.attachments.forEach(att => {
-          if (att.key) CloudflareBackend.deleteImage(att.key, cfg).catch(console.error)
-        })
-      }
-    }
+    const removed = this.cardPosition(cardId)
+    if (!removed) return false
+    this.findColumn(removed.colId).cards.splice(removed.index, 1)
+    this.queueRequest("DELETE", this.cardPath(cardId))
+    // Images are removed from R2 only once the delete can no longer be undone
+    const keys = (removed.card.attachments || []).map((att) => att.key).filter(Boolean)
+    if (keys.length) this.pendingImageCleanup.set(cardId, keys)
+    this.recordUndo("card_deleted", () => this.restoreCard(removed.colId, removed.index, removed.card), () => this.deleteCard(cardId), { toast: true })
+    return true
+  },
+
+  // Brings back a deleted card; the worker takes it, comments included, from the board history
+  restoreCard(colId, index, card) {
+    const col = this.findColumn(colId)
+    if (!col || this.findCard(card.id).card) return false
+    col.cards.splice(Math.min(index, col.cards.length), 0, structuredClone(card))
+    this.pendingImageCleanup.delete(card.id)
+    this.queueRequest("POST", "/cards", { colId, index, restore: card.id })
+    return true
+  },
+
+  cardPosition(cardId) {
+    const { card, col } = this.findCard(cardId)
+    if (!card) return null
+    return { colId: col.id, index: col.cards.indexOf(card), card: structuredClone(card) }
   },
 
   addComment(cardId, text, parentCommentId = "") {
@@ -1215,7 +2103,19 @@ const Store = {
     card.lastChanged = now
     card.lastChangedBy = Meta.clientId
     card.seq = Meta.nextSeq()
-    this.saveState()
+    this.queueRequest("POST", this.cardPath(cardId, "comments"), {
+      id: comment.id,
+      text: comment.text,
+      parentId: parentCommentId || "",
+      createdAt: comment.createdAt,
+      updatedAt: comment.updatedAt,
+      meta: this.cardMeta(card),
+    })
+    let removed = null
+    this.recordUndo("add_comment", () => {
+      removed = structuredClone(this.findComment(this.findCard(cardId).card, comment.id).comment || null)
+      return this.deleteComment(cardId, comment.id)
+    }, () => !!removed && this.restoreComment(cardId, removed, parentCommentId))
     return comment
   },
 
@@ -1224,12 +2124,18 @@ const Store = {
     if (!card) return null
     const comment = this.findComment(card, commentId).comment
     if (!comment) return null
+    const previousText = comment.text
+    this.recordUndo("edit_comment", () => !!this.updateComment(cardId, commentId, previousText), () => !!this.updateComment(cardId, commentId, text))
     comment.text = text
     comment.updatedAt = Utils.nowIso()
     card.lastChanged = comment.updatedAt
     card.lastChangedBy = Meta.clientId
     card.seq = Meta.nextSeq()
-    this.saveState()
+    this.queueRequest("PATCH", this.cardPath(cardId, "comments", commentId), {
+      text,
+      updatedAt: comment.updatedAt,
+      meta: this.cardMeta(card),
+    })
     return comment
   },
 
@@ -1240,11 +2146,28 @@ const Store = {
     const siblings = entry.siblings
     const index = siblings ? siblings.findIndex((entry) => entry.id === commentId) : -1
     if (index === -1) return false
-    siblings.splice(index, 1)
+    const [removed] = siblings.splice(index, 1)
+    const parentId = entry.parent?.id || ""
+    card.lastChanged = Utils.nowIso()
+    card.lastChangedBy = Meta.clientId
+    card.seq = Meta.nextSeq()
+    this.queueRequest("DELETE", this.cardPath(cardId, "comments", commentId), { meta: this.cardMeta(card) })
+    this.recordUndo("comment_deleted", () => this.restoreComment(cardId, removed, parentId), () => this.deleteComment(cardId, commentId), { toast: true })
+    return true
+  },
+
+  // Brings back a deleted comment with its replies; the worker takes it from the board history
+  restoreComment(cardId, comment, parentId = "") {
+    const { card } = this.findCard(cardId)
+    if (!card || this.findComment(card, comment.id).comment) return false
+    const parent = parentId ? this.findComment(card, parentId).comment : null
+    if (parentId && !parent) return false
+    const siblings = parent ? (parent.replies = parent.replies || []) : (card.comments = card.comments || [])
+    siblings.push(structuredClone(comment))
     card.lastChanged = Utils.nowIso()
     card.lastChangedBy = Meta.clientId
     card.seq = Meta.nextSeq()
-    this.saveState()
+    this.queueRequest("POST", this.cardPath(cardId, "comments"), { restore: comment.id, parentId, meta: this.cardMeta(card) })
     return true
   },
 
@@ -1256,6 +2179,17 @@ const Store = {
     const cardIndex = fromCol.cards.findIndex((c) => c.id === cardId)
     if (cardIndex === -1) return
 
+    const moveBack = () => {
+      const { col } = this.findCard(cardId)
+      return !!col && this.moveCard(cardId, col.id, fromColId, cardIndex)
+    }
+    const moveAgain = () => {
+      const { col } = this.findCard(cardId)
+      return !!col && this.moveCard(cardId, col.id, toColId, toIndex)
+    }
+    const archived = toCol.isArchive && !fromCol.isArchive
+    this.recordUndo(archived ? "card_archived" : "move_card", moveBack, moveAgain, { toast: archived })
+
     const [card] = fromCol.cards.splice(cardIndex, 1)
     // Mark move as a modification for future sync/merge logic
     if (card) {
@@ -1271,14 +2205,65 @@ const Store = {
       toCol.cards.splice(toIndex, 0, card)
     }
 
-    this.saveState()
+    this.queueRequest("PATCH", this.cardPath(cardId), { colId: toColId, index: toIndex, meta: this.cardMeta(card) })
+    return true
   },
 
   reorderColumns(columnOrder) {
+    const previousOrder = this.state.columns.map((c) => c.id)
+    this.recordUndo("reorder_columns", () => this.reorderColumns(previousOrder), () => this.reorderColumns(columnOrder))
     this.state.columns.sort(
       (a, b) => columnOrder.indexOf(a.id) - columnOrder.indexOf(b.id)
     )
-    this.saveState()
+    this.queueRequest("PUT", this.columnPath(), { order: columnOrder })
+    return true
+  },
+
+  recordUndo(label, undo, redo, { toast = false } = {}) {
+    if (this.replaying) return
+    this.undoStack.push({ label, undo, redo })
+    if (this.undoStack.length > this.undoLimit) this.undoStack.shift()
+    this.redoStack = []
+    if (toast && typeof UI !== "undefined" && UI.showUndoToast) UI.showUndoToast(label)
+  },
+
+  // Undo and redo call the regular mutators, so they are queued and permission-checked like any other change
+  replayUndo(from, to, direction) {
+    const entry = from.pop()
+    if (!entry) return null
+    this.replaying = true
+    let applied = false
+    try {
+      applied = entry[direction]() !== false
+    } finally {
+      this.replaying = false
+    }
+    if (applied) to.push(entry)
+    return applied ? entry : null
+  },
+
+  undo() {
+    return this.replayUndo(this.undoStack, this.redoStack, "undo")
+  },
+
+  redo() {
+    return this.replayUndo(this.redoStack, this.undoStack, "redo")
+  },
+
+  clearUndoHistory() {
+    this.undoStack = []
+    this.redoStack = []
+    this.flushImageCleanup()
+  },
+
+  flushImageCleanup() {
+    if (!this.pendingImageCleanup.size) return
+    const cfg = DbSettings.get()
+    for (const [cardId, keys] of this.pendingImageCleanup) {
+      if (this.findCard(cardId).card) continue
+      keys.forEach((key) => CloudflareBackend.deleteImage(key, cfg).catch(console.error))
+    }
+    this.pendingImageCleanup.clear()
   },
 
   validateState(data) {
@@ -1364,7 +2349,7 @@ const Store = {
       ],
     }
   },
-  startRealtime() {
+  startRealtime: async function () {
     try {
       if (this._unsubscribe) {
         this._unsubscribe()
@@ -1373,11 +2358,47 @@ const Store = {
 
       const cfg = DbSettings.get()
       if (!cfg.cfWorkerUrl) return
-      // Cloudflare sync is handled via visibilitychange in setupEventListeners
+      this._unsubscribe = await CloudflareBackend.subscribe(cfg, (data) => this.applyRemoteChanges(data), () => this.revision)
     } catch (e) {
       console.warn("Realtime sync failed to start:", e)
     }
   },
+
+  applyRemoteChanges(data) {
+    // Our own writes are still in flight, or the user is dragging; try again on the next poll
+    if (this.flushing || this.outbox.length || Sync.shouldIgnore()) return false
+    if (typeof Dnd !== "undefined" && (Dnd.cardDrag || Dnd.colDrag)) return false
+    if (!Number.isInteger(data?.revision) || data.revision === this.revision) return true
+    if (data.state) {
+      this.adoptServerState(data.state)
+      return true
+    }
+    const changes = this.applyBoardDelta(data.delta)
+    this.revision = data.revision
+    if (typeof UI !== "undefined" && UI.patchBoard) UI.patchBoard(changes)
+    return true
+  },
+
+  applyBoardDelta(delta = {}) {
+    const columnShells = () => JSON.stringify(this.state.columns.map(({ cards, ...column }) => column))
+    const previousShells = columnShells()
+    const cards = new Map()
+    this.state.columns.forEach((col) => col.cards.forEach((card) => cards.set(card.id, card)))
+    ;(delta.cards || []).forEach((card) => cards.set(card.id, this.normalizeCard(card)))
+    this.state.columns = (delta.columns || []).map(({ cardIds = [], ...column }) => ({
+      ...column,
+      cards: cardIds.map((cardId) => cards.get(cardId)).filter(Boolean),
+    }))
+    ;["attachmentMaxSize", "attachmentAllowAnyType"].forEach((key) => {
+      if (key in delta) this.state[key] = delta[key]
+    })
+    return {
+      changedCardIds: (delta.cards || []).map((card) => card.id),
+      removedCardIds: delta.removedCards || [],
+      structureChanged: columnShells() !== previousShells,
+    }
+  },
+
 }
 DOMPurify.addHook("afterSanitizeAttributes", function (node) {
   if ("target" in node) {
@@ -1549,6 +2570,7 @@ const Notifications = {
           cfUserEmail: switched.user?.email || cfg.cfUserEmail || "",
           cfUserName: switched.user?.name || cfg.cfUserName || "",
           cfUserToken: switched.token || "",
+          cfRefreshToken: switched.refreshToken || "",
           isAdmin: !!switched.isAdmin,
         }
         DbSettings.set(nextCfg)
@@ -1611,9 +2633,16 @@ const UI = {
   editingCommentId: "",
   replyToCommentId: "",
   authMode: "login",
+  pendingLogin: null,
+  pendingInvite: null,
+  pendingReset: null,
   adminUsers: [],
   adminBoards: [],
+  adminInvites: [],
   accessibleBoards: [],
+  historyRevisions: [],
+  cardDetailTab: "comments",
+  historySelected: null,
   pendingProfileAvatarFile: null,
   pendingProfileAvatarRemoved: false,
   pendingCardAttachments: [],
@@ -1708,6 +2737,14 @@ const UI = {
     this.updateBoardNameLabel()
   },
 
+  updatePendingIndicator() {
+    const indicator = Utils.qs("#pendingChanges")
+    if (!indicator) return
+    const count = Store.outbox.length
+    indicator.hidden = !Store.offline
+    indicator.textContent = count ? I18n.t("changes_pending", { count }) : I18n.t("offline")
+  },
+
   updateBoardNameLabel() {
     const label = Utils.qs("#boardNameLabel")
     const switcher = Utils.qs("#boardSwitcher")
@@ -1756,16 +2793,23 @@ const UI = {
   },
 
   clearCloudflareSession({ keepUserName = true } = {}) {
+    Store.clearUndoHistory()
     const cfg = DbSettings.get()
     const nextCfg = {
       ...cfg,
       cfUserEmail: "",
       cfUserToken: "",
+      cfRefreshToken: "",
       cfBoardSessions: {},
     }
     if (!keepUserName) nextCfg.cfUserName = ""
     DbSettings.set(nextCfg)
     Store.isAdmin = false
+    Store.etag = ""
+    Store.outbox = []
+    Store.loadedBoardId = ""
+    OfflineQueue.clearSynced()
+    CloudflareBackend.clearImageCache()
     this.accessibleBoards = []
     this.updateAdminPanelVisibility()
     this.updateAuthButtonsVisibility()
@@ -1796,7 +2840,7 @@ const UI = {
     const currentUser = Store.getCurrentUserProfile()
     if (currentUser?.avatarUrl) {
       const img = document.createElement("img")
-      img.src = CloudflareBackend.getAuthenticatedImageUrl(currentUser.avatarUrl)
+      CloudflareBackend.loadImage(img, currentUser.avatarUrl)
       img.alt = ""
       img.className = "menu-avatar-img"
       this.menuBtn.innerHTML = ""
@@ -1890,7 +2934,7 @@ const UI = {
     if (avatarUrl) {
       preview.classList.remove("placeholder")
       const img = document.createElement("img")
-      img.src = CloudflareBackend.getAuthenticatedImageUrl(avatarUrl)
+      CloudflareBackend.loadImage(img, avatarUrl)
       img.alt = ""
       preview.innerHTML = ""
       preview.appendChild(img)
@@ -1954,6 +2998,10 @@ const UI = {
   },
 
   renderLoginGate() {
+    if (this.pendingLogin && this.authMode.startsWith("two-factor")) {
+      this.renderTwoFactorGate()
+      return
+    }
     const cfg = DbSettings.get()
     const isSignup = this.authMode === "signup"
     const isOwnerBootstrap = (Store.state.users || []).length === 0
@@ -2022,6 +3070,202 @@ const UI = {
       this.authMode = "login"
       this.renderLoginGate()
     })
+    this.finishLoginGateRender()
+  },
+
+  // Second login step: a code for accounts with 2FA, or enrollment when the board requires it
+  renderTwoFactorGate() {
+    const pending = this.pendingLogin
+    const codeField = (id) => `
+      <label>
+        <span>${I18n.t("verification_code")}</span>
+        <input id="${id}" type="text" autocomplete="one-time-code" data-i18n-placeholder="verification_code_placeholder" placeholder="Code from your app">
+      </label>
+    `
+    let content = ""
+    if (this.authMode === "two-factor") {
+      content = `
+        <h2>${I18n.t("two_factor")}</h2>
+        <p>${I18n.t("two_factor_login_hint")}</p>
+        <form id="boardTwoFactorForm" class="board-login-form">
+          ${codeField("boardTwoFactorCode")}
+          <button type="submit" class="btn primary">${I18n.t("verify")}</button>
+        </form>
+      `
+    } else if (this.authMode === "two-factor-setup") {
+      content = `
+        <h2>${I18n.t("two_factor_setup")}</h2>
+        <p>${I18n.t("two_factor_setup_required")}</p>
+        <div id="boardTwoFactorSetup" class="two-factor-setup">${I18n.t("two_factor_loading")}</div>
+        <form id="boardTwoFactorSetupForm" class="board-login-form">
+          ${codeField("boardTwoFactorSetupCode")}
+          <button type="submit" class="btn primary">${I18n.t("two_factor_confirm")}</button>
+        </form>
+      `
+    } else {
+      content = `
+        <h2>${I18n.t("recovery_codes")}</h2>
+        <div id="boardRecoveryCodes" class="two-factor-setup"></div>
+        <button type="button" id="twoFactorContinueBtn" class="btn primary">${I18n.t("continue")}</button>
+      `
+    }
+    this.board.innerHTML = `
+      <section class="board-login-gate">
+        ${content}
+        ${this.authMode === "two-factor-codes" ? "" : `
+          <div class="board-auth-switch">
+            <button type="button" id="twoFactorBackBtn" class="board-auth-link">&larr; ${I18n.t("back")}</button>
+          </div>
+        `}
+      </section>
+    `
+    Utils.qs("#boardTwoFactorForm", this.board)?.addEventListener("submit", App.handleTwoFactorLogin.bind(App))
+    Utils.qs("#boardTwoFactorSetupForm", this.board)?.addEventListener("submit", App.handleTwoFactorSetupLogin.bind(App))
+    const setupContainer = Utils.qs("#boardTwoFactorSetup", this.board)
+    if (setupContainer) {
+      // The secret is kept for the pending login, so re-rendering does not replace the one already scanned
+      const setup = pending.setup || CloudflareBackend.startTwoFactorSetup(DbSettings.get(), { email: pending.email, pinCode: pending.pinCode })
+      pending.setup = setup
+      Promise.resolve(setup).then((result) => {
+        if (setupContainer.isConnected) this.renderTwoFactorSecret(setupContainer, result)
+      }).catch((err) => {
+        pending.setup = null
+        setupContainer.textContent = I18n.serverError(err.message) || I18n.t("two_factor_setup_failed")
+      })
+    }
+    const codesContainer = Utils.qs("#boardRecoveryCodes", this.board)
+    if (codesContainer) this.renderRecoveryCodes(codesContainer, pending.auth?.recoveryCodes || [])
+    Utils.qs("#twoFactorContinueBtn", this.board)?.addEventListener("click", () => {
+      App.completeLogin(pending.email, pending.auth)
+    })
+    Utils.qs("#twoFactorBackBtn", this.board)?.addEventListener("click", () => {
+      this.pendingLogin = null
+      this.authMode = "login"
+      this.renderBoard()
+    })
+    Utils.qs("#boardTwoFactorCode, #boardTwoFactorSetupCode", this.board)?.focus()
+    this.finishLoginGateRender()
+  },
+
+  // Landing screen for invite links: joins with the current session, or signs in or up on the spot
+  renderInviteGate() {
+    const invite = this.pendingInvite
+    if (!invite.preview && !invite.error && !invite.loading) {
+      invite.loading = CloudflareBackend.previewInvite(DbSettings.get(), invite.token)
+        .then((preview) => { invite.preview = preview })
+        .catch((err) => { invite.error = I18n.serverError(err.message) || I18n.t("invite_invalid") })
+        .finally(() => {
+          if (this.pendingInvite === invite) this.renderBoard()
+        })
+    }
+    const cfg = DbSettings.get()
+    const preview = invite.preview
+    const isSignedIn = Store.hasCloudflareSession()
+    const isSignup = invite.mode !== "login"
+    let content = `
+      <h2>${I18n.t("invite_title")}</h2>
+      <p>${invite.error ? Utils.escapeHtml(invite.error) : I18n.t("invite_loading")}</p>
+    `
+    if (preview) {
+      content = `
+        <h2>${I18n.t("invite_join_board", { board: Utils.escapeHtml(preview.boardName || preview.boardId) })}</h2>
+        <p>${I18n.t("invite_role_hint", { role: I18n.t(`role_${preview.role}`) })}</p>
+      `
+      if (isSignedIn) {
+        content += `
+          <p>${I18n.t("invite_signed_in_as", { email: Utils.escapeHtml(cfg.cfUserEmail || "") })}</p>
+          <button type="button" id="inviteJoinBtn" class="btn primary">${I18n.t("invite_join")}</button>
+        `
+      } else {
+        content += `
+          <form id="boardInviteForm" class="board-login-form">
+            <label>
+              <span>${I18n.t("email_label")}</span>
+              <input id="boardInviteEmail" type="email" autocomplete="email" data-i18n-placeholder="email_placeholder" placeholder="Enter your email">
+            </label>
+            ${isSignup ? `
+              <label>
+                <span>${I18n.t("display_name")}</span>
+                <input id="boardInviteName" type="text" autocomplete="name" data-i18n-placeholder="display_name_placeholder" placeholder="How others should see you">
+              </label>
+            ` : ""}
+            <label>
+              <span>${I18n.t(isSignup ? "new_password" : "pin_code")}</span>
+              <input id="boardInvitePinCode" type="password" data-i18n-placeholder="${isSignup ? "signup_password_placeholder" : "login_password_placeholder"}" placeholder="Enter your password">
+            </label>
+            <button type="submit" class="btn primary">${I18n.t("invite_join")}</button>
+          </form>
+        `
+      }
+    }
+    this.board.innerHTML = `
+      <section class="board-login-gate">
+        ${content}
+        <div class="board-auth-switch">
+          <button type="button" id="inviteDismissBtn" class="board-auth-link">&larr; ${I18n.t("back")}</button>
+          ${preview && !isSignedIn ? `<button type="button" id="inviteModeBtn" class="board-auth-link">${I18n.t(isSignup ? "invite_have_account" : "invite_create_account")}</button>` : ""}
+        </div>
+      </section>
+    `
+    const inviteForm = Utils.qs("#boardInviteForm", this.board)
+    if (inviteForm) {
+      if (isSignup) this.enhancePasswordField(Utils.qs("#boardInvitePinCode", inviteForm))
+      inviteForm.addEventListener("submit", App.handleInviteAccept.bind(App))
+    }
+    Utils.qs("#inviteJoinBtn", this.board)?.addEventListener("click", App.handleInviteAccept.bind(App))
+    Utils.qs("#inviteModeBtn", this.board)?.addEventListener("click", () => {
+      invite.mode = isSignup ? "login" : "signup"
+      this.renderInviteGate()
+    })
+    Utils.qs("#inviteDismissBtn", this.board)?.addEventListener("click", () => {
+      App.clearInvite()
+      this.renderBoard()
+    })
+    this.finishLoginGateRender()
+  },
+
+  renderPasswordResetGate() {
+    const reset = this.pendingReset
+    if (!reset.preview && !reset.error && !reset.loading) {
+      reset.loading = CloudflareBackend.previewPasswordReset(DbSettings.get(), reset.token)
+        .then((preview) => { reset.preview = preview })
+        .catch((err) => { reset.error = I18n.serverError(err.message) || I18n.t("password_reset_invalid") })
+        .finally(() => {
+          if (this.pendingReset === reset) this.renderBoard()
+        })
+    }
+    const preview = reset.preview
+    this.board.innerHTML = `
+      <section class="board-login-gate">
+        <h2>${I18n.t("password_reset_title")}</h2>
+        ${preview ? `
+          <p>${I18n.t("password_reset_hint", { email: Utils.escapeHtml(preview.email) })}</p>
+          <form id="boardPasswordResetForm" class="board-login-form">
+            <label>
+              <span>${I18n.t("new_password")}</span>
+              <input id="boardResetPinCode" type="password" autocomplete="new-password" data-i18n-placeholder="signup_password_placeholder" placeholder="Choose a password">
+            </label>
+            <button type="submit" class="btn primary">${I18n.t("password_reset_save")}</button>
+          </form>
+        ` : `<p>${reset.error ? Utils.escapeHtml(reset.error) : I18n.t("password_reset_loading")}</p>`}
+        <div class="board-auth-switch">
+          <button type="button" id="passwordResetBackBtn" class="board-auth-link">&larr; ${I18n.t("back")}</button>
+        </div>
+      </section>
+    `
+    const resetForm = Utils.qs("#boardPasswordResetForm", this.board)
+    if (resetForm) {
+      this.enhancePasswordField(Utils.qs("#boardResetPinCode", resetForm))
+      resetForm.addEventListener("submit", App.handlePasswordReset.bind(App))
+    }
+    Utils.qs("#passwordResetBackBtn", this.board)?.addEventListener("click", () => {
+      App.clearPasswordReset()
+      this.renderBoard()
+    })
+    this.finishLoginGateRender()
+  },
+
+  finishLoginGateRender() {
     this.updateTagFilters()
     this.applyFilters()
     this.updateMenuButtonAvatar()
@@ -2031,12 +3275,32 @@ const UI = {
     if (typeof I18n !== "undefined") I18n.updatePage()
   },
 
+  renderTwoFactorSecret(container, setup = {}) {
+    const secret = (setup.secret || "").replace(/(.{4})/g, "$1 ").trim()
+    container.innerHTML = `
+      <p class="two-factor-hint">${I18n.t("two_factor_scan_hint")}</p>
+      <div class="two-factor-qr">${setup.otpauthUri ? QrCode.toSvg(setup.otpauthUri) : ""}</div>
+      <a class="btn secondary" href="${Utils.escapeHtml(setup.otpauthUri || "")}">${I18n.t("two_factor_open_app")}</a>
+      <p class="two-factor-hint">${I18n.t("two_factor_manual_hint")}</p>
+      <code class="two-factor-secret">${Utils.escapeHtml(secret)}</code>
+    `
+  },
+
+  renderRecoveryCodes(container, codes = []) {
+    container.innerHTML = `
+      <p class="two-factor-hint">${I18n.t("recovery_codes_hint")}</p>
+      <ol class="two-factor-recovery-codes">
+        ${codes.map((code) => `<li><code>${Utils.escapeHtml(code)}</code></li>`).join("")}
+      </ol>
+    `
+  },
+
   createAvatarNode(user, options = {}) {
     const { subtle = false } = options
     const resolvedUser = Store.resolveUser(user) || {}
     if (resolvedUser.avatarUrl) {
       const img = document.createElement("img")
-      img.src = CloudflareBackend.getAuthenticatedImageUrl(resolvedUser.avatarUrl)
+      CloudflareBackend.loadImage(img, resolvedUser.avatarUrl)
       img.alt = ""
       img.className = `avatar-image${subtle ? " avatar-image--subtle" : ""}`
       return img
@@ -2080,7 +3344,7 @@ const UI = {
       avatarPreview.className = "profile-avatar-preview admin-user-avatar";
       if (u.avatarUrl) {
         const img = document.createElement("img")
-        img.src = CloudflareBackend.getAuthenticatedImageUrl(u.avatarUrl)
+        CloudflareBackend.loadImage(img, u.avatarUrl)
         img.alt = ""
         avatarPreview.innerHTML = ""
         avatarPreview.append(img)
@@ -2124,15 +3388,41 @@ const UI = {
       };
 
       const { wrap: approvedWrap, inp: approvedInp } = createToggle(I18n.t("approved_user"), !!u.isApproved, isSelf);
-      const { wrap: adminWrap, inp: adminInp } = createToggle(I18n.t("admin_role"), !!u.isAdmin, isSelf);
-      badges.append(approvedWrap, adminWrap);
+      const currentRole = BOARD_ROLES.includes(u.role) ? u.role : (u.isAdmin ? "admin" : "member");
+      const roleSelect = document.createElement("select");
+      roleSelect.className = "admin-user-role";
+      roleSelect.setAttribute("aria-label", I18n.t("role_label"));
+      roleSelect.disabled = isSelf;
+      BOARD_ROLES.forEach((role) => {
+        const option = document.createElement("option");
+        option.value = role;
+        option.textContent = I18n.t(`role_${role}`);
+        roleSelect.append(option);
+      });
+      roleSelect.value = currentRole;
+      // Suspended users keep their cards and comments; restoring them is the same toggle
+      const { wrap: suspendedWrap, inp: suspendedInp } = createToggle(I18n.t("suspended_user"), !!u.isSuspended, isSelf || isProtectedAdmin);
+      badges.append(approvedWrap, suspendedWrap, roleSelect);
 
       header.append(avatarContainer, identity, badges);
 
-      // --- Body: Password Reset ---
+      // --- Body: Email + Password Reset ---
       const body = document.createElement("div");
       body.className = "admin-user-body";
 
+      // Your own email is changed from Profile, where the password is confirmed
+      const emailField = document.createElement("label");
+      emailField.className = "admin-user-field";
+      const emailLabel = document.createElement("span");
+      emailLabel.className = "admin-user-field-label";
+      emailLabel.textContent = I18n.t("email_label");
+      const emailInp = document.createElement("input");
+      emailInp.type = "email";
+      emailInp.className = "admin-user-input";
+      emailInp.value = u.email || "";
+      emailInp.disabled = isSelf || !u.canManageAccount;
+      emailField.append(emailLabel, emailInp);
+
       const passwordField = document.createElement("label");
       passwordField.className = "admin-user-field";
       const passwordLabel = document.createElement("span");
@@ -2144,6 +3434,8 @@ const UI = {
       pinInp.placeholder = I18n.t("password_leave_blank_hint");
       passwordField.append(passwordLabel, pinInp);
       this.enhancePasswordField(pinInp, { allowEmpty: true });
+      // Accounts that are also on boards this admin does not control keep their own password
+      passwordField.hidden = !u.canManageAccount;
 
       const boardAccess = document.createElement("div");
       boardAccess.className = "admin-user-board-access";
@@ -2179,7 +3471,106 @@ const UI = {
       });
       boardAccess.append(boardAccessLabel, boardList);
 
-      body.append(passwordField, boardAccess);
+      body.append(emailField, passwordField);
+
+      if (!isSelf && u.canManageAccount) {
+        const reset = document.createElement("div");
+        reset.className = "admin-user-reset";
+        const resetActions = document.createElement("div");
+        resetActions.className = "admin-user-lockout";
+        const resetLinkInput = document.createElement("input");
+        resetLinkInput.type = "text";
+        resetLinkInput.readOnly = true;
+        resetLinkInput.className = "admin-user-input";
+        resetLinkInput.hidden = true;
+        const createReset = async (sendTelegram) => {
+          try {
+            const result = await CloudflareBackend.createPasswordReset(u.email, cfg, { sendTelegram });
+            const link = new URL(window.location.pathname, window.location.origin);
+            link.searchParams.set("reset", result.token);
+            resetLinkInput.value = link.toString();
+            resetLinkInput.hidden = false;
+            resetLinkInput.select();
+            if (sendTelegram) {
+              UI.showAlert(I18n.t(result.telegramSent ? "password_reset_telegram_sent" : "password_reset_telegram_failed"));
+            }
+          } catch (err) {
+            UI.showAlert(I18n.serverError(err.message) || I18n.t("password_reset_failed"));
+          }
+        };
+        const resetBtn = document.createElement("button");
+        resetBtn.className = "btn-link";
+        resetBtn.type = "button";
+        resetBtn.textContent = I18n.t("password_reset_create");
+        resetBtn.addEventListener("click", () => createReset(false));
+        resetActions.append(resetBtn);
+        if (u.telegramLinked) {
+          const telegramBtn = document.createElement("button");
+          telegramBtn.className = "btn-link";
+          telegramBtn.type = "button";
+          telegramBtn.textContent = I18n.t("password_reset_telegram");
+          telegramBtn.addEventListener("click", () => createReset(true));
+          resetActions.append(telegramBtn);
+        }
+        reset.append(resetActions, resetLinkInput);
+        body.append(reset);
+      }
+
+      body.append(boardAccess);
+
+      if (u.loginAttempts) {
+        const lockout = document.createElement("div");
+        lockout.className = "admin-user-lockout";
+        const lockoutText = document.createElement("span");
+        lockoutText.textContent = u.loginAttempts.lockedUntil
+          ? I18n.t("locked_until", { count: u.loginAttempts.failedAttempts, date: new Date(u.loginAttempts.lockedUntil).toLocaleString() })
+          : I18n.t("failed_login_attempts", { count: u.loginAttempts.failedAttempts });
+        const unlockBtn = document.createElement("button");
+        unlockBtn.className = "btn-link";
+        unlockBtn.type = "button";
+        unlockBtn.textContent = I18n.t("unlock");
+        unlockBtn.addEventListener("click", async () => {
+          try {
+            const result = await CloudflareBackend.clearLockout(u.email, cfg);
+            UI.adminUsers = result.users || UI.adminUsers;
+            UI.renderAdminUsers();
+          } catch (err) {
+            UI.showAlert(I18n.serverError(err.message) || I18n.t("lockout_clear_failed"));
+          }
+        });
+        lockout.classList.toggle("is-locked", !!u.loginAttempts.lockedUntil);
+        lockout.append(lockoutText, unlockBtn);
+        body.append(lockout);
+      }
+
+      if (u.sessionCount > 0 && !isSelf) {
+        const sessions = document.createElement("div");
+        sessions.className = "admin-user-lockout";
+        const sessionsText = document.createElement("span");
+        sessionsText.textContent = I18n.t("active_sessions", { count: u.sessionCount });
+        const revokeBtn = document.createElement("button");
+        revokeBtn.className = "btn-link error";
+        revokeBtn.type = "button";
+        revokeBtn.textContent = I18n.t("sign_out_of_board");
+        revokeBtn.addEventListener("click", async () => {
+          try {
+            const result = await CloudflareBackend.revokeSessions(cfg, { email: u.email });
+            UI.adminUsers = result.users || UI.adminUsers;
+            UI.renderAdminUsers();
+          } catch (err) {
+            UI.showAlert(I18n.serverError(err.message) || I18n.t("session_revoke_failed"));
+          }
+        });
+        sessions.append(sessionsText, revokeBtn);
+        body.append(sessions);
+      }
+
+      const twoFactor = document.createElement("div");
+      twoFactor.className = "admin-user-lockout";
+      const twoFactorText = document.createElement("span");
+      twoFactorText.textContent = I18n.t(u.twoFactorEnabled ? "two_factor_on" : "two_factor_off");
+      twoFactor.append(twoFactorText);
+      body.append(twoFactor);
       row.append(header, body);
 
       // --- Footer: Actions ---
@@ -2194,24 +3585,35 @@ const UI = {
       const delBtn = document.createElement("button");
       delBtn.className = "btn-link error admin-user-delete";
       delBtn.textContent = I18n.t("delete_user");
-      if (isProtectedAdmin) delBtn.style.display = "none";
+      // Admins have to be demoted before they can be removed
+      if (isSelf || isProtectedAdmin) delBtn.style.display = "none";
 
-      footerContainer.append(delBtn, saveBtn);
+      const transferBtn = document.createElement("button");
+      transferBtn.className = "btn-link admin-user-transfer";
+      transferBtn.type = "button";
+      transferBtn.textContent = I18n.t("transfer_ownership");
+      if (isSelf || !u.isApproved || u.isSuspended) transferBtn.style.display = "none";
+
+      footerContainer.append(delBtn, transferBtn, saveBtn);
       row.append(footerContainer);
 
       const updateSaveVisibility = () => {
         const hasChanges =
+          emailInp.value.trim().toLowerCase() !== (u.email || "") ||
           pinInp.value.trim() !== "" ||
           approvedInp.checked !== !!u.isApproved ||
-          adminInp.checked !== !!u.isAdmin;
+          suspendedInp.checked !== !!u.isSuspended ||
+          roleSelect.value !== currentRole;
         saveBtn.style.visibility = hasChanges ? "visible" : "hidden";
-        const footerHasContent = hasChanges || !isProtectedAdmin;
+        const footerHasContent = hasChanges || !isSelf;
         footerContainer.style.display = footerHasContent ? "flex" : "none";
       };
 
+      emailInp.addEventListener("input", updateSaveVisibility);
       pinInp.addEventListener("input", updateSaveVisibility);
       approvedInp.addEventListener("change", updateSaveVisibility);
-      adminInp.addEventListener("change", updateSaveVisibility);
+      suspendedInp.addEventListener("change", updateSaveVisibility);
+      roleSelect.addEventListener("change", updateSaveVisibility);
       updateSaveVisibility();
 
       const saveChanges = async () => {
@@ -2226,10 +3628,11 @@ const UI = {
         if (cfg.cfWorkerUrl) {
           try {
             const result = await CloudflareBackend.upsertUser({
-              email: u.email,
+              email: emailInp.value.trim().toLowerCase() || u.email,
               name: u.name || "",
               isApproved: approvedInp.checked,
-              isAdmin: adminInp.checked,
+              isSuspended: suspendedInp.checked,
+              role: roleSelect.value,
               pinCode: nextPin || undefined,
               avatarUrl: u.avatarUrl || "",
               avatarKey: u.avatarKey || "",
@@ -2247,18 +3650,48 @@ const UI = {
       };
       
       saveBtn.addEventListener("click", () => { saveChanges(); });
+
+      transferBtn.addEventListener("click", async () => {
+        const choice = await UI.showConfirm(I18n.t("transfer_ownership_confirm", { id: u.name || u.email }), {
+          title: I18n.t("transfer_ownership"),
+          deleteText: I18n.t("transfer"),
+          showArchiveButton: false,
+        });
+        if (choice !== "delete") return;
+        try {
+          const result = await CloudflareBackend.transferOwnership(u.email, cfg);
+          UI.adminUsers = result.users || UI.adminUsers;
+          Utils.qs("#adminDialog")?.close();
+          await Store.loadState();
+          UI.renderBoard();
+          UI.showAlert(I18n.t("ownership_transferred", { id: u.name || u.email }));
+        } catch (err) {
+          UI.showAlert(I18n.serverError(err.message) || I18n.t("ownership_transfer_failed"));
+        }
+      });
       
       delBtn.addEventListener("click", async () => {
-        if (isProtectedAdmin) return
-        const choice = await UI.showConfirm(I18n.t("delete_user_confirm", { id: u.email || u.name }), {
+        if (isSelf) return
+        const created = u.cardCounts?.created || 0
+        const assigned = u.cardCounts?.assigned || 0
+        const hasCards = created + assigned > 0
+        let message = I18n.t("delete_user_confirm", { id: u.email || u.name })
+        if (hasCards) message += ` ${I18n.t("delete_user_cards", { created, assigned })}`
+        const replacements = (UI.adminUsers || [])
+          .filter((other) => other.email !== u.email && other.isApproved && !other.isSuspended)
+          .map((other) => ({ value: other.email, label: other.name ? `${other.name} (${other.email})` : other.email }))
+        const choice = await UI.showConfirm(message, {
           title: I18n.t("delete_user"),
           deleteText: I18n.t("delete"),
           showArchiveButton: false,
+          options: hasCards ? [{ value: "", label: I18n.t("reassign_cards_unassign") }, ...replacements] : [],
+          optionsLabel: I18n.t("reassign_cards_to"),
         })
         if (choice !== "delete") return
+        const reassignTo = hasCards ? Utils.qs("#confirmSelect").value : undefined
         const avatarKey = u.avatarKey
         if (cfg.cfWorkerUrl) {
-          CloudflareBackend.deleteUser(u.email, cfg)
+          CloudflareBackend.deleteUser(u.email, cfg, reassignTo)
             .then(async (result) => {
               UI.adminUsers = result.users || [];
               await Store.loadState();
@@ -2266,7 +3699,7 @@ const UI = {
               UI.renderAdminUsers();
               UI.updateMenuButtonAvatar();
               await Notifications.refresh();
-              if (avatarKey) {
+              if (avatarKey && result.accountDeleted) {
                 CloudflareBackend.deleteImage(avatarKey, cfg).catch(console.error)
               }
             })
@@ -2277,6 +3710,47 @@ const UI = {
     });
   },
 
+  renderAdminInvites() {
+    const list = Utils.qs("#adminInviteList");
+    if (!list) return;
+    list.innerHTML = "";
+    if (!this.adminInvites.length) {
+      list.textContent = I18n.t("invites_empty");
+      return;
+    }
+    this.adminInvites.forEach((invite) => {
+      const row = document.createElement("div");
+      row.className = "profile-session";
+      const info = document.createElement("div");
+      info.className = "profile-session-info";
+      const role = document.createElement("strong");
+      role.textContent = I18n.t(`role_${invite.role}`);
+      const details = document.createElement("span");
+      details.className = "profile-telegram-status";
+      details.textContent = [
+        invite.maxUses === 1 ? I18n.t("invite_single_use") : I18n.t("invite_uses", { count: invite.useCount }),
+        I18n.t("invite_expires", { date: this.formatDateTime(invite.expiresAt) }),
+        invite.createdBy,
+      ].filter(Boolean).join(" · ");
+      info.append(role, details);
+      const revokeBtn = document.createElement("button");
+      revokeBtn.type = "button";
+      revokeBtn.className = "btn-link error";
+      revokeBtn.textContent = I18n.t("invite_revoke");
+      revokeBtn.addEventListener("click", async () => {
+        try {
+          const result = await CloudflareBackend.revokeInvite(DbSettings.get(), invite.id);
+          UI.adminInvites = result.invites || [];
+          UI.renderAdminInvites();
+        } catch (err) {
+          UI.showAlert(I18n.serverError(err.message) || I18n.t("invite_update_failed"));
+        }
+      });
+      row.append(info, revokeBtn);
+      list.append(row);
+    });
+  },
+
   showDialog(dialog) {
     document.body.classList.add("dialog-open")
     dialog.showModal()
@@ -2464,6 +3938,9 @@ const UI = {
       if (actions) actions.style.display = "none"
       if (dragHandle) dragHandle.style.display = "none"
     }
+    if (!Store.canCurrentUserCreateCard()) {
+      Utils.qsa('[data-action="add-card"]', node).forEach(el => el.remove())
+    }
 
     const cardsList = Utils.qs(".cards", node)
     for (const card of column.cards) {
@@ -2490,6 +3967,14 @@ const UI = {
       this.renderD1SetupGate()
       return
     }
+    if (this.pendingReset) {
+      this.renderPasswordResetGate()
+      return
+    }
+    if (this.pendingInvite) {
+      this.renderInviteGate()
+      return
+    }
     if (Store.requiresCloudflareLogin()) {
       this.renderLoginGate()
       return
@@ -2510,6 +3995,41 @@ const UI = {
     if (typeof I18n !== "undefined") I18n.updatePage()
   },
 
+  patchBoard({ changedCardIds = [], removedCardIds = [], structureChanged = false } = {}) {
+    if (structureChanged || !Utils.qs(".column", this.board)) {
+      this.renderBoard()
+    } else {
+      removedCardIds.forEach((cardId) => Utils.qs(`.card[data-id="${cardId}"]`, this.board)?.remove())
+      const changed = new Set(changedCardIds)
+      Store.state.columns.forEach((column) => {
+        const colEl = Utils.qs(`.column[data-id="${column.id}"]`, this.board)
+        const list = colEl && Utils.qs(".cards", colEl)
+        if (!list) return
+        column.cards.forEach((card, index) => {
+          let node = Utils.qs(`.card[data-id="${card.id}"]`, this.board)
+          if (!node) {
+            node = this.createCardElement(card, column)
+            changed.add(card.id)
+          } else if (changed.has(card.id) || node.closest(".column") !== colEl) {
+            this.updateCardElement(node, card, column)
+            changed.add(card.id)
+          }
+          if (list.children[index] !== node) list.insertBefore(node, list.children[index] || null)
+          if (changed.has(card.id)) this.applyFiltersToCard(node)
+        })
+        this.syncColumnEmptyState(colEl, column.cards.length === 0)
+      })
+      this.updateTagFilters()
+      this.updateAttachmentInputMode()
+    }
+
+    const form = Utils.qs("#cardDetailForm")
+    if (this.cardDetailDialog?.open && form?.dataset.editMode !== "true" && form?.dataset.isNew !== "true"
+      && (changedCardIds.includes(form.dataset.cardId) || structureChanged)) {
+      this.renderCardDetail()
+    }
+  },
+
   updateAttachmentInputMode() {
     const allowAny = Store.state?.attachmentAllowAnyType === true
     const attInput = Utils.qs("#attachmentInput")
@@ -2634,6 +4154,7 @@ const UI = {
     form.dataset.colId = colId
     form.dataset.editMode = options.editMode ? "true" : "false"
     this.resetCommentComposer("detail")
+    this.setCardDetailTab("comments")
     this.renderCardDetail()
     this.showDialog(this.cardDetailDialog)
   },
@@ -2693,6 +4214,7 @@ const UI = {
         input: Utils.qs("#cardDetailCommentInput"),
         saveBtn: Utils.qs("#cardDetailSaveCommentBtn"),
       })
+      if (this.cardDetailTab === "activity") this.loadCardActivity(card.id)
     } else {
       this.renderCardDetailAttachments(this.pendingCardAttachments, "", isEditing)
       this.renderCardDetailSidebar(null, null, true)
@@ -2706,6 +4228,85 @@ const UI = {
     }
   },
 
+  setCardDetailTab(tab) {
+    this.cardDetailTab = tab
+    const section = Utils.qs("#cardDetailCommentsSection")
+    if (section) section.dataset.tab = tab
+    Utils.qsa("[data-detail-tab]").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.detailTab === tab)
+      btn.setAttribute("aria-selected", btn.dataset.detailTab === tab ? "true" : "false")
+    })
+    const cardId = Utils.qs("#cardDetailForm")?.dataset.cardId
+    if (tab === "activity" && cardId) this.loadCardActivity(cardId)
+  },
+
+  async loadCardActivity(cardId) {
+    let activity = []
+    try {
+      const result = await CloudflareBackend.listActivity(DbSettings.get(), cardId)
+      activity = result.activity || []
+    } catch (err) {
+      console.warn("Failed to load activity:", err)
+    }
+    // The dialog may have moved on to another card while the request was running
+    if (Utils.qs("#cardDetailForm")?.dataset.cardId !== cardId) return
+    this.renderCardActivity(activity)
+  },
+
+  formatActivity(entry) {
+    const data = entry.data || {}
+    switch (entry.type) {
+      case "card_assigned":
+        return data.to
+          ? I18n.t("activity_card_assigned", { name: data.to.name || data.to.email })
+          : I18n.t("activity_card_unassigned", { name: data.from?.name || data.from?.email || "" })
+      case "due_changed":
+        return data.to
+          ? I18n.t("activity_due_changed", { due: this.formatDateTime(data.to) || data.to })
+          : I18n.t("activity_due_removed")
+      case "tags_changed":
+        return I18n.t("activity_tags_changed", {
+          changes: [...(data.added || []).map((tag) => `+${tag}`), ...(data.removed || []).map((tag) => `−${tag}`)].join(", "),
+        })
+      default:
+        return I18n.t(`activity_${entry.type}`, data)
+    }
+  },
+
+  renderCardActivity(activity = []) {
+    const list = Utils.qs("#cardDetailActivity")
+    if (!list) return
+    list.innerHTML = ""
+    if (!activity.length) {
+      const empty = document.createElement("li")
+      empty.className = "card-activity-empty"
+      empty.textContent = I18n.t("activity_empty")
+      list.append(empty)
+      return
+    }
+    activity.forEach((entry) => {
+      const item = document.createElement("li")
+      item.className = "card-activity-item"
+      const user = Store.findUserByEmail(entry.actorEmail) || { name: entry.actorName, email: entry.actorEmail }
+      const avatar = this.createAvatarNode(user)
+      avatar.classList.add("card-activity-avatar")
+
+      const text = document.createElement("span")
+      text.className = "card-activity-text"
+      const actor = document.createElement("strong")
+      actor.textContent = user.name || entry.actorName || entry.actorEmail || I18n.t("someone")
+      text.append(actor, " ", this.formatActivity(entry))
+
+      const time = document.createElement("time")
+      time.className = "card-activity-time"
+      time.dateTime = entry.createdAt || ""
+      time.textContent = this.formatDateTime(entry.createdAt)
+
+      item.append(avatar, text, time)
+      list.append(item)
+    })
+  },
+
   renderManageDropdown(card, col) {
     const columnLabel = Utils.qs("#cardDetailManageColumn")
     const menu = Utils.qs("#cardDetailManageMenu")
@@ -2888,10 +4489,9 @@ const UI = {
       const isImage = !att.type || att.type.startsWith("image/")
       if (isImage) {
         const img = document.createElement("img")
-        const authUrl = CloudflareBackend.getAuthenticatedImageUrl(att.url)
-        img.src = authUrl
+        const imageUrl = CloudflareBackend.loadImage(img, att.url)
         img.alt = att.name || I18n.t("attachment")
-        img.addEventListener("click", () => this.showLightbox(authUrl))
+        img.addEventListener("click", () => imageUrl.then((src) => src && this.showLightbox(src)))
         item.append(img)
       } else {
         item.classList.add("card-detail-attachment--file")
@@ -2904,9 +4504,8 @@ const UI = {
         nameLabel.textContent = att.name || I18n.t("attachment")
         nameLabel.title = att.name || ""
         item.append(nameLabel)
-        const authUrl = CloudflareBackend.getAuthenticatedImageUrl(att.url)
         item.style.cursor = "pointer"
-        item.addEventListener("click", () => window.open(authUrl, "_blank"))
+        item.addEventListener("click", () => this.downloadAttachment(att))
       }
 
       const delBtn = document.createElement("button")
@@ -3035,10 +4634,9 @@ const UI = {
       const isImage = !att.type || att.type.startsWith("image/")
       if (isImage) {
         const img = document.createElement("img")
-        const authUrl = CloudflareBackend.getAuthenticatedImageUrl(att.url)
-        img.src = authUrl
+        const imageUrl = CloudflareBackend.loadImage(img, att.url)
         img.style.cursor = "zoom-in"
-        img.addEventListener("click", () => this.showLightbox(authUrl))
+        img.addEventListener("click", () => imageUrl.then((src) => src && this.showLightbox(src)))
         item.append(img)
       } else {
         item.classList.add("editor-attachment--file")
@@ -3082,7 +4680,7 @@ const UI = {
     await CloudflareBackend.deleteImage(key, cfg).catch(console.error)
 
     card.attachments = (card.attachments || []).filter(a => a.key !== key)
-    Store.saveState()
+    Store.syncCardAttachments(cardId)
     
     // Update UI
     this.updateCard(card)
@@ -3294,6 +4892,22 @@ const UI = {
     saveBtn.disabled = !Store.canCurrentUserComment()
   },
 
+  // The file is fetched with the session header, so it is saved from a blob: URL rather than opened by a tokenized link
+  async downloadAttachment(att) {
+    const src = await CloudflareBackend.getImageObjectUrl(att.url)
+    if (!src) {
+      this.showAlert(I18n.t("attachment_download_failed"))
+      return
+    }
+    const link = document.createElement("a")
+    link.href = src
+    link.download = att.name || ""
+    link.rel = "noopener"
+    document.body.append(link)
+    link.click()
+    link.remove()
+  },
+
   showLightbox(url) {
     const lb = Utils.qs("#lightbox")
     const img = Utils.qs("#lightboxImg")
@@ -3337,29 +4951,203 @@ const UI = {
       const deleteButton = dialog.querySelector("#confirmOk")
       const actionsContainer = deleteButton.parentElement
 
+      const cancelButton = dialog.querySelector('button[value="cancel"]')
       const showArchive = context.showArchiveButton !== false
       const title = context.title || I18n.t("manage_card")
       const deleteText = context.deleteText || I18n.t("delete")
 
       titleEl.textContent = title
       deleteButton.textContent = deleteText
+      cancelButton.textContent = context.cancelText || I18n.t("cancel")
+      dialog.returnValue = ""
+
+      if (showArchive) {
+        archiveButton.parentElement.style.display = ""
+      } else {
+        archiveButton.parentElement.style.display = "none"
+      }
+
+      Utils.qs("#confirmText", dialog).textContent = message
+
+      // Optional choice shown under the message; callers read #confirmSelect after the dialog closes
+      const selectField = Utils.qs("#confirmSelectField", dialog)
+      const select = Utils.qs("#confirmSelect", dialog)
+      const options = Array.isArray(context.options) ? context.options : []
+      selectField.hidden = options.length === 0
+      Utils.qs("#confirmSelectLabel", dialog).textContent = context.optionsLabel || ""
+      select.innerHTML = ""
+      options.forEach((option) => {
+        const el = document.createElement("option")
+        el.value = option.value
+        el.textContent = option.label
+        select.append(el)
+      })
+
+      const closeHandler = () => {
+        dialog.removeEventListener("close", closeHandler)
+        resolve(dialog.returnValue)
+      }
+      dialog.addEventListener("close", closeHandler)
+
+      this.showDialog(dialog)
+    })
+  },
+
+  confirmSaveConflicts(conflicts = []) {
+    const fieldLabels = {
+      title: "title_label",
+      description: "description_label",
+      tags: "tags_label",
+      due: "due_date_label",
+      assignedUser: "assigned_user_label",
+      attachments: "attachments",
+      comment: "comments",
+      column: "column_label",
+      card: "conflict_card_removed",
+    }
+    const groups = new Map()
+    conflicts.forEach((conflict) => {
+      let name = I18n.t("db_sync")
+      if (conflict.cardId) {
+        name = Store.findCard(conflict.cardId).card?.title || conflict.theirs?.title || conflict.mine?.title || conflict.cardId
+      } else if (conflict.columnId) {
+        name = Store.findColumn(conflict.columnId)?.title || conflict.columnId
+      }
+      const label = fieldLabels[conflict.field] ? I18n.t(fieldLabels[conflict.field]) : conflict.field
+      if (!groups.has(name)) groups.set(name, new Set())
+      groups.get(name).add(label.toLowerCase())
+    })
+    const items = Array.from(groups.entries())
+      .map(([name, labels]) => `“${name}” (${Array.from(labels).join(", ")})`)
+      .join("; ")
+    return this.showConfirm(I18n.t("save_conflict_text", { items }), {
+      title: I18n.t("save_conflict_title"),
+      deleteText: I18n.t("keep_my_changes"),
+      cancelText: I18n.t("keep_their_changes"),
+      showArchiveButton: false,
+    }).then((choice) => choice === "delete")
+  },
+
+  async openHistoryDialog() {
+    const cfg = DbSettings.get()
+    try {
+      const result = await CloudflareBackend.listHistory(cfg)
+      this.historyRevisions = result.revisions || []
+    } catch (err) {
+      this.showAlert(I18n.serverError(err.message) || I18n.t("history_load_failed"))
+      return
+    }
+    this.historySelected = null
+    this.renderHistoryList()
+    this.renderHistoryPreview()
+    this.showDialog(Utils.qs("#historyDialog"))
+  },
 
-      if (showArchive) {
-        archiveButton.parentElement.style.display = ""
-      } else {
-        archiveButton.parentElement.style.display = "none"
+  renderHistoryList() {
+    const list = Utils.qs("#historyList")
+    if (!list) return
+    list.innerHTML = ""
+    if (!this.historyRevisions.length) {
+      const empty = document.createElement("li")
+      empty.className = "history-empty"
+      empty.textContent = I18n.t("history_empty")
+      list.append(empty)
+      return
+    }
+    this.historyRevisions.forEach((entry) => {
+      const item = document.createElement("li")
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "history-item"
+      button.classList.toggle("active", this.historySelected?.revision === entry.revision)
+      button.addEventListener("click", () => this.selectHistoryRevision(entry.revision))
+
+      const time = document.createElement("span")
+      time.className = "history-item-time"
+      time.textContent = this.formatDateTime(entry.createdAt) || I18n.t("history_revision", { revision: entry.revision })
+      const author = document.createElement("span")
+      author.className = "history-item-author"
+      author.textContent = entry.authorName || entry.authorEmail || I18n.t("history_unknown_author")
+      button.append(time, author)
+
+      if (entry.revision === Store.revision) {
+        const badge = document.createElement("span")
+        badge.className = "history-item-current"
+        badge.textContent = I18n.t("history_current")
+        button.append(badge)
       }
+      item.append(button)
+      list.append(item)
+    })
+  },
 
-      Utils.qs("#confirmText", dialog).textContent = message
+  async selectHistoryRevision(revision) {
+    try {
+      this.historySelected = await CloudflareBackend.getHistoryRevision(DbSettings.get(), revision)
+    } catch (err) {
+      this.showAlert(I18n.serverError(err.message) || I18n.t("history_load_failed"))
+      return
+    }
+    this.renderHistoryList()
+    this.renderHistoryPreview()
+  },
 
-      const closeHandler = () => {
-        dialog.removeEventListener("close", closeHandler)
-        resolve(dialog.returnValue)
-      }
-      dialog.addEventListener("close", closeHandler)
+  renderHistoryPreview() {
+    const preview = Utils.qs("#historyPreview")
+    const restoreBtn = Utils.qs("#restoreRevisionBtn")
+    const entry = this.historySelected
+    if (restoreBtn) restoreBtn.disabled = !entry || entry.revision === Store.revision
+    if (!preview) return
+    preview.innerHTML = ""
+    if (!entry) {
+      const hint = document.createElement("p")
+      hint.className = "history-empty"
+      hint.textContent = I18n.t("history_select_revision")
+      preview.append(hint)
+      return
+    }
 
-      this.showDialog(dialog)
+    const meta = document.createElement("p")
+    meta.className = "history-preview-meta"
+    meta.textContent = [
+      I18n.t("history_revision", { revision: entry.revision }),
+      this.formatDateTime(entry.createdAt),
+      entry.authorName || entry.authorEmail,
+    ].filter(Boolean).join(" · ")
+    preview.append(meta)
+
+    ;(entry.state?.columns || []).forEach((column) => {
+      const section = document.createElement("section")
+      section.className = "history-preview-column"
+      const title = document.createElement("h4")
+      title.textContent = `${column.title} (${(column.cards || []).length})`
+      const cards = document.createElement("ul")
+      ;(column.cards || []).forEach((card) => {
+        const cardItem = document.createElement("li")
+        cardItem.textContent = card.title
+        cards.append(cardItem)
+      })
+      section.append(title, cards)
+      preview.append(section)
+    })
+  },
+
+  async restoreHistoryRevision() {
+    const entry = this.historySelected
+    if (!entry) return
+    const choice = await this.showConfirm(I18n.t("restore_revision_confirm", { time: this.formatDateTime(entry.createdAt) || entry.revision }), {
+      title: I18n.t("restore_revision"),
+      deleteText: I18n.t("restore_revision"),
+      showArchiveButton: false,
     })
+    if (choice !== "delete") return
+    try {
+      const result = await CloudflareBackend.restoreHistoryRevision(DbSettings.get(), entry.revision)
+      Store.adoptServerState(result.state)
+      Utils.qs("#historyDialog")?.close()
+    } catch (err) {
+      this.showAlert(I18n.serverError(err.message) || I18n.t("history_restore_failed"))
+    }
   },
 
   showAlert(message, title = I18n.t("alert")) {
@@ -3390,6 +5178,21 @@ const UI = {
     })
   },
 
+  showUndoToast(label) {
+    const toast = Utils.qs("#undoToast")
+    if (!toast) return
+    Utils.qs("#undoToastText", toast).textContent = I18n.t(label)
+    toast.hidden = false
+    clearTimeout(this.undoToastTimer)
+    this.undoToastTimer = setTimeout(() => this.hideUndoToast(), 6000)
+  },
+
+  hideUndoToast() {
+    clearTimeout(this.undoToastTimer)
+    const toast = Utils.qs("#undoToast")
+    if (toast) toast.hidden = true
+  },
+
   showPrompt(title, placeholder = "", defaultValue = "") {
     return new Promise((resolve) => {
       const dialog = this.promptDialog
@@ -3794,7 +5597,7 @@ const UI = {
     }
 
     ;(Store.state.users || []).forEach((u) => {
-      if (u && (u.name || u.email) && u.isApproved !== false) addUser(u)
+      if (u && (u.name || u.email) && u.isApproved !== false && !u.isSuspended) addUser(u)
     })
 
     const users = [...allUsersMap.values()]
@@ -4229,6 +6032,7 @@ const App = {
     this.setupEventListeners()
     I18n.init()
     this.prepareDeepLinkBoard()
+    this.prepareInvite()
     UI.loadTheme()
     
     // Set current version from CONFIG
@@ -4260,6 +6064,27 @@ const App = {
     await Notifications.refresh()
     await this.openDeepLink()
     Store.startRealtime()
+    this.registerServiceWorker()
+  },
+
+  async signOut({ revoke = true } = {}) {
+    const cfg = DbSettings.get()
+    if (revoke && cfg.cfUserToken) {
+      CloudflareBackend.revokeSessions(cfg, { current: true }).catch((err) => {
+        console.warn("Failed to revoke session:", err)
+      })
+    }
+    UI.clearCloudflareSession()
+    await Store.loadState()
+    UI.renderBoard()
+    UI.updateMenuButtonAvatar()
+  },
+
+  registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) return
+    navigator.serviceWorker.register("sw.js").catch((err) => {
+      console.warn("Service worker registration failed:", err)
+    })
   },
 
   prepareDeepLinkBoard() {
@@ -4275,11 +6100,109 @@ const App = {
       cfUserEmail: cachedSession?.cfUserEmail || "",
       cfUserName: cachedSession?.cfUserName || "",
       cfUserToken: cachedSession?.cfUserToken || "",
+      cfRefreshToken: cachedSession?.cfRefreshToken || "",
       isAdmin: !!cachedSession?.isAdmin,
     })
     Store.isAdmin = !!cachedSession?.isAdmin
   },
 
+  prepareInvite() {
+    const params = new URLSearchParams(window.location.search)
+    const token = params.get("invite") || ""
+    if (token) UI.pendingInvite = { token }
+    const resetToken = params.get("reset") || ""
+    if (resetToken) UI.pendingReset = { token: resetToken }
+  },
+
+  // Link tokens are dropped from the address bar too, so a reload does not reopen a spent link
+  dropSearchParam(name) {
+    const params = new URLSearchParams(window.location.search)
+    if (!params.has(name)) return
+    params.delete(name)
+    const nextSearch = params.toString()
+    window.history.replaceState({}, "", `${window.location.pathname}${nextSearch ? `?${nextSearch}` : ""}${window.location.hash}`)
+  },
+
+  clearInvite() {
+    UI.pendingInvite = null
+    this.dropSearchParam("invite")
+  },
+
+  clearPasswordReset() {
+    UI.pendingReset = null
+    this.dropSearchParam("reset")
+  },
+
+  async handlePasswordReset(e) {
+    e.preventDefault()
+    const reset = UI.pendingReset
+    const pinCode = (Utils.qs("#boardResetPinCode", e.currentTarget)?.value || "").trim()
+    if (!reset || !pinCode) return
+    if (Utils.getPasswordValidationError(pinCode)) {
+      UI.showAlert(I18n.t("weak_password_error"))
+      return
+    }
+    try {
+      const result = await CloudflareBackend.completePasswordReset(DbSettings.get(), reset.token, pinCode)
+      this.clearPasswordReset()
+      // The worker has signed the user out everywhere, including this browser if it was their session
+      if (DbSettings.get().cfUserEmail === result.email) {
+        UI.clearCloudflareSession()
+        await Store.loadState()
+      }
+      if (!Store.hasCloudflareSession()) DbSettings.set({ ...DbSettings.get(), cfUserEmail: result.email })
+      UI.authMode = "login"
+      UI.renderBoard()
+      UI.showAlert(I18n.t("password_reset_done"))
+    } catch (err) {
+      UI.showAlert(I18n.serverError(err.message) || I18n.t("password_reset_failed"))
+    }
+  },
+
+  async handleInviteAccept(e) {
+    e.preventDefault()
+    const invite = UI.pendingInvite
+    if (!invite) return
+    const cfg = DbSettings.get()
+    const form = e.currentTarget.tagName === "FORM" ? e.currentTarget : null
+    const credentials = {}
+    if (form) {
+      credentials.email = (Utils.qs("#boardInviteEmail", form)?.value || "").trim().toLowerCase()
+      credentials.name = (Utils.qs("#boardInviteName", form)?.value || "").trim()
+      credentials.pinCode = (Utils.qs("#boardInvitePinCode", form)?.value || "").trim()
+      if (!credentials.email || !credentials.pinCode) {
+        UI.showAlert(I18n.t("email_pin_required"))
+        return
+      }
+      if (invite.mode !== "login" && Utils.getPasswordValidationError(credentials.pinCode)) {
+        UI.showAlert(I18n.t("weak_password_error"))
+        return
+      }
+    }
+
+    try {
+      const auth = await CloudflareBackend.acceptInvite(cfg, invite.token, credentials)
+      await this.completeLogin(credentials.email || cfg.cfUserEmail, auth)
+    } catch (err) {
+      if (form && (err.data?.twoFactorRequired || err.data?.twoFactorSetupRequired)) {
+        // When setup is required the worker has already added the member, so the login continues on that board
+        if (err.data.twoFactorSetupRequired) {
+          this.clearInvite()
+          DbSettings.set({ ...DbSettings.get(), cfBoardId: err.data.boardId || cfg.cfBoardId })
+        }
+        UI.pendingLogin = {
+          email: credentials.email,
+          pinCode: credentials.pinCode,
+          inviteToken: err.data.twoFactorRequired ? invite.token : "",
+        }
+        UI.authMode = err.data.twoFactorRequired ? "two-factor" : "two-factor-setup"
+        UI.renderLoginGate()
+        return
+      }
+      UI.showAlert(I18n.serverError(err.message) || I18n.t("invite_accept_failed"))
+    }
+  },
+
   async openDeepLink() {
     if (!Store.hasCloudflareSession()) return
     const params = new URLSearchParams(window.location.search)
@@ -4315,32 +6238,78 @@ const App = {
 
     try {
       const auth = await CloudflareBackend.authenticate(loginCfg, email, pinCode)
-      DbSettings.set({
-        ...loginCfg,
-        cfUserEmail: email,
-        cfUserName: auth.user?.name || email,
-        cfUserToken: auth.token || "",
-        isAdmin: !!auth.isAdmin,
-      })
-      Store.isAdmin = !!auth.isAdmin
-      try {
-        const boards = await CloudflareBackend.listBoards(DbSettings.get())
-        UI.accessibleBoards = boards.boards || []
-      } catch (err) {
-        console.warn("Failed to load boards:", err)
-      }
-      await Store.loadState()
-      UI.renderBoard()
-      UI.updateMenuButtonAvatar()
-      UI.updateAuthButtonsVisibility()
-      await Notifications.refresh()
       form.closest("dialog")?.close()
-      await this.openDeepLink()
+      await this.completeLogin(email, auth)
     } catch (err) {
+      if (err.data?.twoFactorRequired || err.data?.twoFactorSetupRequired) {
+        UI.pendingLogin = { email, pinCode }
+        UI.authMode = err.data.twoFactorRequired ? "two-factor" : "two-factor-setup"
+        UI.renderLoginGate()
+        return
+      }
       UI.showAlert(I18n.serverError(err.message) || I18n.t("incorrect_pin"))
     }
   },
 
+  async handleTwoFactorLogin(e) {
+    e.preventDefault()
+    const pending = UI.pendingLogin
+    const code = (Utils.qs("#boardTwoFactorCode", e.currentTarget)?.value || "").trim()
+    if (!pending || !code) return
+    try {
+      const secondFactor = Utils.parseSecondFactor(code)
+      const auth = pending.inviteToken
+        ? await CloudflareBackend.acceptInvite(DbSettings.get(), pending.inviteToken, { email: pending.email, pinCode: pending.pinCode, ...secondFactor })
+        : await CloudflareBackend.authenticate(DbSettings.get(), pending.email, pending.pinCode, secondFactor)
+      await this.completeLogin(pending.email, auth)
+    } catch (err) {
+      UI.showAlert(I18n.serverError(err.message) || I18n.t("invalid_verification_code"))
+    }
+  },
+
+  async handleTwoFactorSetupLogin(e) {
+    e.preventDefault()
+    const pending = UI.pendingLogin
+    const code = (Utils.qs("#boardTwoFactorSetupCode", e.currentTarget)?.value || "").trim()
+    if (!pending || !code) return
+    try {
+      pending.auth = await CloudflareBackend.enableTwoFactor(DbSettings.get(), code, { email: pending.email, pinCode: pending.pinCode })
+      UI.authMode = "two-factor-codes"
+      UI.renderLoginGate()
+    } catch (err) {
+      UI.showAlert(I18n.serverError(err.message) || I18n.t("two_factor_setup_failed"))
+    }
+  },
+
+  async completeLogin(email, auth) {
+    this.clearInvite()
+    const cfg = DbSettings.get()
+    UI.pendingLogin = null
+    UI.authMode = "login"
+    DbSettings.set({
+      ...cfg,
+      cfBoardId: auth.boardId || cfg.cfBoardId || "default",
+      cfUserEmail: email,
+      cfUserName: auth.user?.name || email,
+      cfUserToken: auth.token || "",
+      cfRefreshToken: auth.refreshToken || "",
+      isAdmin: !!auth.isAdmin,
+    })
+    Store.isAdmin = !!auth.isAdmin
+    try {
+      const boards = await CloudflareBackend.listBoards(DbSettings.get())
+      UI.accessibleBoards = boards.boards || []
+    } catch (err) {
+      console.warn("Failed to load boards:", err)
+    }
+    await Store.loadState()
+    UI.renderBoard()
+    UI.updateMenuButtonAvatar()
+    UI.updateAuthButtonsVisibility()
+    await Notifications.refresh()
+    await this.openDeepLink()
+  },
+
   async handleCloudflareSignup(e) {
     e.preventDefault()
     const form = e.currentTarget
@@ -4392,6 +6361,7 @@ const App = {
 
       switch (action) {
         case "add-card":
+          if (!Store.canCurrentUserCreateCard()) return
           UI.showCardDetail(null, colId, { editMode: true })
           break
         case "edit-card":
@@ -4540,6 +6510,10 @@ const App = {
       this.handleSaveComment()
     })
 
+    Utils.qsa("[data-detail-tab]").forEach((btn) => {
+      btn.addEventListener("click", () => this.setCardDetailTab(btn.dataset.detailTab))
+    })
+
     Utils.qs("#commentInput").addEventListener("keydown", (e) => {
       if (e.key === "Enter" && !e.shiftKey) {
         e.preventDefault()
@@ -4857,6 +6831,7 @@ const App = {
             cfUserEmail: switched.user?.email || cfg.cfUserEmail || "",
             cfUserName: switched.user?.name || cfg.cfUserName || "",
             cfUserToken: switched.token || "",
+            cfRefreshToken: switched.refreshToken || "",
             isAdmin: !!switched.isAdmin,
           }
           DbSettings.set(nextCfg)
@@ -4943,15 +6918,48 @@ const App = {
           const result = await CloudflareBackend.listUsers(cfg);
           UI.adminUsers = result.users || [];
           UI.adminBoards = result.boards || [];
+          UI.adminInvites = (await CloudflareBackend.listInvites(cfg)).invites || [];
         } catch (err) {
           UI.showAlert(I18n.serverError(err.message) || I18n.t("users_load_failed"));
           return;
         }
+        Utils.qs("#inviteLinkResult", adminDialog).hidden = true;
         UI.renderAdminUsers();
+        UI.renderAdminInvites();
         UI.showDialog(adminDialog);
         adminPanelBtn.closest(".dropdown-content").classList.remove("show");
       });
       
+      Utils.qs("#createInviteBtn", adminDialog)?.addEventListener("click", async () => {
+        try {
+          const result = await CloudflareBackend.createInvite(DbSettings.get(), {
+            role: Utils.qs("#inviteRole", adminDialog).value,
+            expiresInHours: Number(Utils.qs("#inviteExpiry", adminDialog).value),
+            singleUse: Utils.qs("#inviteSingleUse", adminDialog).checked,
+          });
+          UI.adminInvites = result.invites || [];
+          UI.renderAdminInvites();
+          const link = new URL(window.location.pathname, window.location.origin);
+          link.searchParams.set("invite", result.token);
+          Utils.qs("#inviteLinkInput", adminDialog).value = link.toString();
+          Utils.qs("#copyInviteLinkBtn", adminDialog).textContent = I18n.t("copy_link");
+          Utils.qs("#inviteLinkResult", adminDialog).hidden = false;
+          Utils.qs("#inviteLinkInput", adminDialog).select();
+        } catch (err) {
+          UI.showAlert(I18n.serverError(err.message) || I18n.t("invite_update_failed"));
+        }
+      });
+
+      Utils.qs("#copyInviteLinkBtn", adminDialog)?.addEventListener("click", async () => {
+        const input = Utils.qs("#inviteLinkInput", adminDialog);
+        try {
+          await navigator.clipboard.writeText(input.value);
+          Utils.qs("#copyInviteLinkBtn", adminDialog).textContent = I18n.t("invite_link_copied");
+        } catch {
+          input.select();
+        }
+      });
+
       const closeBtn = Utils.qs(".btn-close-admin", adminDialog);
       if (closeBtn) {
         closeBtn.addEventListener("click", () => {
@@ -4961,6 +6969,13 @@ const App = {
 
     }
 
+    const historyDialog = Utils.qs("#historyDialog")
+    Utils.qs("#openHistoryBtn")?.addEventListener("click", () => {
+      if (Store.isAdmin) UI.openHistoryDialog()
+    })
+    Utils.qs(".btn-close-history", historyDialog)?.addEventListener("click", () => historyDialog.close())
+    Utils.qs("#restoreRevisionBtn")?.addEventListener("click", () => UI.restoreHistoryRevision())
+
     const profileBtn = Utils.qs("#profileBtn")
     const profileDialog = Utils.qs("#profileDialog")
     const profileForm = Utils.qs("#profileForm")
@@ -4970,6 +6985,265 @@ const App = {
     const telegramEnabledInput = Utils.qs("#telegramNotificationsEnabled", profileDialog)
     const connectTelegramBtn = Utils.qs("#connectTelegramBtn", profileDialog)
     const telegramStatus = Utils.qs("#telegramStatus", profileDialog)
+    const sessionList = Utils.qs("#profileSessionList", profileDialog)
+    const apiTokenList = Utils.qs("#apiTokenList", profileDialog)
+    const apiTokenResult = Utils.qs("#apiTokenResult", profileDialog)
+    const apiTokenValue = Utils.qs("#apiTokenValue", profileDialog)
+    const copyApiTokenBtn = Utils.qs("#copyApiTokenBtn", profileDialog)
+    const signOutEverywhereBtn = Utils.qs("#signOutEverywhereBtn", profileDialog)
+    const twoFactorStatus = Utils.qs("#twoFactorStatus", profileDialog)
+    const twoFactorSetup = Utils.qs("#twoFactorSetup", profileDialog)
+    const twoFactorCodeField = Utils.qs("#twoFactorCodeField", profileDialog)
+    const twoFactorCodeInput = Utils.qs("#twoFactorCode", profileDialog)
+    const enableTwoFactorBtn = Utils.qs("#enableTwoFactorBtn", profileDialog)
+    const confirmTwoFactorBtn = Utils.qs("#confirmTwoFactorBtn", profileDialog)
+    const regenerateRecoveryCodesBtn = Utils.qs("#regenerateRecoveryCodesBtn", profileDialog)
+    const disableTwoFactorBtn = Utils.qs("#disableTwoFactorBtn", profileDialog)
+
+    const renderSessions = (sessions = []) => {
+      if (!sessionList) return
+      sessionList.innerHTML = ""
+      sessions.forEach((session) => {
+        const row = document.createElement("div")
+        row.className = "profile-session"
+        const info = document.createElement("div")
+        info.className = "profile-session-info"
+        const device = document.createElement("strong")
+        device.textContent = Utils.describeUserAgent(session.userAgent) || I18n.t("unknown_device")
+        if (session.isCurrent) {
+          const badge = document.createElement("span")
+          badge.className = "profile-session-current"
+          badge.textContent = I18n.t("this_device")
+          device.append(" ", badge)
+        }
+        const details = document.createElement("span")
+        details.className = "profile-telegram-status"
+        details.textContent = [
+          session.boardName,
+          session.ip,
+          I18n.t("last_active", { date: UI.formatDateTime(session.lastSeenAt || session.createdAt) }),
+        ].filter(Boolean).join(" · ")
+        info.append(device, details)
+        const revokeBtn = document.createElement("button")
+        revokeBtn.type = "button"
+        revokeBtn.className = "btn-link error"
+        revokeBtn.textContent = I18n.t("sign_out")
+        revokeBtn.addEventListener("click", async () => {
+          try {
+            const result = await CloudflareBackend.revokeSessions(DbSettings.get(), { id: session.id })
+            if (session.isCurrent) {
+              profileDialog.close()
+              await this.signOut({ revoke: false })
+              return
+            }
+            renderSessions(result.sessions || [])
+          } catch (err) {
+            UI.showAlert(I18n.serverError(err.message) || I18n.t("session_revoke_failed"))
+          }
+        })
+        row.append(info, revokeBtn)
+        sessionList.append(row)
+      })
+    }
+
+    const refreshSessions = async () => {
+      if (!sessionList) return
+      sessionList.textContent = I18n.t("sessions_loading")
+      try {
+        const result = await CloudflareBackend.listSessions(DbSettings.get())
+        renderSessions(result.sessions || [])
+      } catch (err) {
+        sessionList.textContent = I18n.t("sessions_load_failed")
+        console.warn("Failed to load sessions:", err)
+      }
+    }
+
+    signOutEverywhereBtn?.addEventListener("click", async () => {
+      const choice = await UI.showConfirm(I18n.t("sign_out_everywhere_confirm"), {
+        title: I18n.t("sign_out_everywhere"),
+        deleteText: I18n.t("sign_out"),
+        showArchiveButton: false,
+      })
+      if (choice !== "delete") return
+      try {
+        await CloudflareBackend.revokeSessions(DbSettings.get(), { all: true })
+        profileDialog.close()
+        await this.signOut({ revoke: false })
+      } catch (err) {
+        UI.showAlert(I18n.serverError(err.message) || I18n.t("session_revoke_failed"))
+      }
+    })
+
+    const renderApiTokens = (tokens = []) => {
+      if (!apiTokenList) return
+      apiTokenList.innerHTML = ""
+      if (!tokens.length) {
+        apiTokenList.textContent = I18n.t("api_tokens_empty")
+        return
+      }
+      tokens.forEach((apiToken) => {
+        const row = document.createElement("div")
+        row.className = "profile-session"
+        const info = document.createElement("div")
+        info.className = "profile-session-info"
+        const name = document.createElement("strong")
+        name.textContent = apiToken.name
+        const details = document.createElement("span")
+        details.className = "profile-telegram-status"
+        const isExpired = apiToken.expiresAt && Date.parse(apiToken.expiresAt) <= Date.now()
+        details.textContent = [
+          apiToken.scopes.map((scope) => I18n.t(`api_scope_${scope}`)).join(", "),
+          apiToken.expiresAt
+            ? I18n.t(isExpired ? "api_token_expired" : "invite_expires", { date: UI.formatDateTime(apiToken.expiresAt) })
+            : I18n.t("api_token_expiry_never"),
+          apiToken.lastUsedAt ? I18n.t("last_active", { date: UI.formatDateTime(apiToken.lastUsedAt) }) : I18n.t("api_token_unused"),
+        ].join(" · ")
+        info.append(name, details)
+        const revokeBtn = document.createElement("button")
+        revokeBtn.type = "button"
+        revokeBtn.className = "btn-link error"
+        revokeBtn.textContent = I18n.t("invite_revoke")
+        revokeBtn.addEventListener("click", async () => {
+          try {
+            const result = await CloudflareBackend.revokeApiToken(DbSettings.get(), apiToken.id)
+            renderApiTokens(result.tokens || [])
+          } catch (err) {
+            UI.showAlert(I18n.serverError(err.message) || I18n.t("api_token_update_failed"))
+          }
+        })
+        row.append(info, revokeBtn)
+        apiTokenList.append(row)
+      })
+    }
+
+    const refreshApiTokens = async () => {
+      if (!apiTokenList) return
+      apiTokenResult.hidden = true
+      apiTokenValue.value = ""
+      apiTokenList.textContent = I18n.t("sessions_loading")
+      try {
+        const result = await CloudflareBackend.listApiTokens(DbSettings.get())
+        renderApiTokens(result.tokens || [])
+      } catch (err) {
+        apiTokenList.textContent = I18n.t("api_tokens_load_failed")
+        console.warn("Failed to load API tokens:", err)
+      }
+    }
+
+    Utils.qs("#createApiTokenBtn", profileDialog)?.addEventListener("click", async () => {
+      const nameInput = Utils.qs("#apiTokenName", profileDialog)
+      try {
+        const result = await CloudflareBackend.createApiToken(DbSettings.get(), {
+          name: nameInput.value.trim(),
+          scopes: Utils.qsa('input[name="apiTokenScope"]:checked', profileDialog).map((input) => input.value),
+          expiresInDays: Number(Utils.qs("#apiTokenExpiry", profileDialog).value),
+        })
+        renderApiTokens(result.tokens || [])
+        nameInput.value = ""
+        apiTokenValue.value = result.token
+        copyApiTokenBtn.textContent = I18n.t("copy_token")
+        apiTokenResult.hidden = false
+        apiTokenValue.select()
+      } catch (err) {
+        UI.showAlert(I18n.serverError(err.message) || I18n.t("api_token_update_failed"))
+      }
+    })
+
+    copyApiTokenBtn?.addEventListener("click", async () => {
+      try {
+        await navigator.clipboard.writeText(apiTokenValue.value)
+        copyApiTokenBtn.textContent = I18n.t("invite_link_copied")
+      } catch {
+        apiTokenValue.select()
+      }
+    })
+
+    const renderTwoFactor = (settings = {}) => {
+      if (!twoFactorStatus) return
+      twoFactorSetup.hidden = true
+      twoFactorSetup.innerHTML = ""
+      twoFactorCodeField.hidden = true
+      confirmTwoFactorBtn.hidden = true
+      enableTwoFactorBtn.hidden = !!settings.enabled
+      regenerateRecoveryCodesBtn.hidden = !settings.enabled
+      disableTwoFactorBtn.hidden = !settings.enabled || !!settings.required
+      if (settings.enabled) {
+        twoFactorStatus.textContent = I18n.t("two_factor_status_enabled", { count: settings.recoveryCodesLeft || 0 })
+      } else {
+        twoFactorStatus.textContent = I18n.t(settings.required ? "two_factor_status_required" : "two_factor_status_disabled")
+      }
+    }
+
+    const refreshTwoFactor = async () => {
+      if (!twoFactorStatus) return
+      twoFactorStatus.textContent = I18n.t("two_factor_loading")
+      try {
+        renderTwoFactor(await CloudflareBackend.getTwoFactor(DbSettings.get()))
+      } catch (err) {
+        twoFactorStatus.textContent = I18n.t("two_factor_load_failed")
+        console.warn("Failed to load two-factor settings:", err)
+      }
+    }
+
+    const showRecoveryCodes = (codes = []) => {
+      UI.renderRecoveryCodes(twoFactorSetup, codes)
+      twoFactorSetup.hidden = false
+    }
+
+    const confirmTwoFactor = async () => {
+      const code = (twoFactorCodeInput.value || "").trim()
+      if (!code) return
+      try {
+        const result = await CloudflareBackend.enableTwoFactor(DbSettings.get(), code)
+        await refreshTwoFactor()
+        showRecoveryCodes(result.recoveryCodes)
+      } catch (err) {
+        UI.showAlert(I18n.serverError(err.message) || I18n.t("two_factor_setup_failed"))
+      }
+    }
+
+    enableTwoFactorBtn?.addEventListener("click", async () => {
+      try {
+        UI.renderTwoFactorSecret(twoFactorSetup, await CloudflareBackend.startTwoFactorSetup(DbSettings.get()))
+        twoFactorSetup.hidden = false
+        twoFactorCodeInput.value = ""
+        twoFactorCodeField.hidden = false
+        confirmTwoFactorBtn.hidden = false
+        enableTwoFactorBtn.hidden = true
+        twoFactorCodeInput.focus()
+      } catch (err) {
+        UI.showAlert(I18n.serverError(err.message) || I18n.t("two_factor_setup_failed"))
+      }
+    })
+    confirmTwoFactorBtn?.addEventListener("click", confirmTwoFactor)
+    // Enter in the code field confirms the code instead of submitting the profile form
+    twoFactorCodeInput?.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return
+      e.preventDefault()
+      confirmTwoFactor()
+    })
+
+    regenerateRecoveryCodesBtn?.addEventListener("click", async () => {
+      const code = await UI.showPrompt(I18n.t("recovery_codes_regenerate"), I18n.t("verification_code_placeholder"))
+      if (!code) return
+      try {
+        const result = await CloudflareBackend.regenerateRecoveryCodes(DbSettings.get(), Utils.parseSecondFactor(code))
+        await refreshTwoFactor()
+        showRecoveryCodes(result.recoveryCodes)
+      } catch (err) {
+        UI.showAlert(I18n.serverError(err.message) || I18n.t("two_factor_update_failed"))
+      }
+    })
+
+    disableTwoFactorBtn?.addEventListener("click", async () => {
+      const code = await UI.showPrompt(I18n.t("two_factor_disable"), I18n.t("verification_code_placeholder"))
+      if (!code) return
+      try {
+        renderTwoFactor(await CloudflareBackend.disableTwoFactor(DbSettings.get(), Utils.parseSecondFactor(code)))
+      } catch (err) {
+        UI.showAlert(I18n.serverError(err.message) || I18n.t("two_factor_update_failed"))
+      }
+    })
 
     const renderTelegramSettings = (settings = {}) => {
       if (!telegramEnabledInput || !connectTelegramBtn || !telegramStatus) return
@@ -5013,13 +7287,21 @@ const App = {
         UI.pendingProfileAvatarFile = null
         UI.pendingProfileAvatarRemoved = false
         Utils.qs("#profileEmail", profileDialog).value = currentUser.email || ""
+        Utils.qs("#profileCurrentPassword", profileDialog).value = ""
+        Utils.qs("#profileCurrentPasswordField", profileDialog).hidden = true
         Utils.qs("#profileDisplayName", profileDialog).value = currentUser.name || ""
         Utils.qs("#profilePassword", profileDialog).value = ""
         UI.enhancePasswordField(Utils.qs("#profilePassword", profileDialog), { allowEmpty: true })
         UI.updateProfileAvatarPreview(currentUser.avatarUrl || "")
         UI.showDialog(profileDialog)
         profileBtn.closest(".dropdown-content")?.classList.remove("show")
-        await refreshTelegramSettings()
+        await Promise.all([refreshTelegramSettings(), refreshSessions(), refreshApiTokens(), refreshTwoFactor()])
+      })
+
+      // Moving the account to another email needs the current password
+      Utils.qs("#profileEmail", profileDialog).addEventListener("input", (e) => {
+        const currentEmail = Store.getCurrentUserProfile()?.email || ""
+        Utils.qs("#profileCurrentPasswordField", profileDialog).hidden = e.target.value.trim().toLowerCase() === currentEmail
       })
 
       profileForm.addEventListener("submit", async (e) => {
@@ -5027,13 +7309,15 @@ const App = {
         const cfg = DbSettings.get()
         const currentUser = Store.getCurrentUserProfile()
         if (!currentUser) return
+        const nextEmail = (Utils.qs("#profileEmail", profileDialog).value || "").trim().toLowerCase()
+        const emailChanged = !!nextEmail && nextEmail !== currentUser.email
         let nextAvatarUrl = currentUser.avatarUrl || ""
         let nextAvatarKey = currentUser.avatarKey || ""
         const oldAvatarKey = currentUser.avatarKey || ""
 
         if (UI.pendingProfileAvatarFile) {
           try {
-            const uploadedAvatar = await CloudflareBackend.uploadImage(UI.pendingProfileAvatarFile, cfg)
+            const uploadedAvatar = await CloudflareBackend.uploadImage(UI.pendingProfileAvatarFile, cfg, "", { avatar: true })
             nextAvatarUrl = uploadedAvatar.url
             nextAvatarKey = uploadedAvatar.key
           } catch (err) {
@@ -5058,9 +7342,11 @@ const App = {
             pinCode: nextPinCode,
             avatarUrl: nextAvatarUrl,
             avatarKey: nextAvatarKey,
+            ...(emailChanged ? { email: nextEmail, currentPinCode: Utils.qs("#profileCurrentPassword", profileDialog).value } : {}),
           }, cfg)
           DbSettings.set({
             ...cfg,
+            cfUserEmail: result.user?.email || cfg.cfUserEmail,
             cfUserName: result.user?.name || cfg.cfUserName || cfg.cfUserEmail || "",
           })
           if (oldAvatarKey && oldAvatarKey !== nextAvatarKey) {
@@ -5070,6 +7356,7 @@ const App = {
           UI.renderBoard()
           UI.updateMenuButtonAvatar()
           profileDialog.close()
+          if (emailChanged) UI.showAlert(I18n.t("email_changed", { email: result.user?.email || nextEmail }))
         } catch (err) {
           UI.showAlert(I18n.serverError(err.message) || I18n.t("profile_save_failed"))
         }
@@ -5140,6 +7427,7 @@ const App = {
     const newBoardBtn = Utils.qs("#newBoardBtn", dbDialog)
     const renameBoardBtn = Utils.qs("#renameBoardBtn", dbDialog)
     const deleteBoardBtn = Utils.qs("#deleteBoardBtn", dbDialog)
+    const twoFactorRequirementSelect = Utils.qs("#twoFactorRequirement", dbDialog)
 
     const getSelectedBoardId = () =>
       (cfBoardSelect?.style.display !== "none" ? cfBoardSelect.value : cfIdInput.value.trim()) || "default"
@@ -5155,6 +7443,7 @@ const App = {
         const cachedSession = DbSettings.getBoardSession(selId, cfg)
         if (cachedSession?.cfUserToken) {
           nextCfg.cfUserToken = cachedSession.cfUserToken
+          nextCfg.cfRefreshToken = cachedSession.cfRefreshToken || ""
           nextCfg.cfUserEmail = cachedSession.cfUserEmail || ""
           nextCfg.cfUserName = cachedSession.cfUserName || ""
           Store.isAdmin = !!cachedSession.isAdmin
@@ -5177,6 +7466,9 @@ const App = {
     dbBtn.addEventListener("click", async () => {
       const cfg = DbSettings.get()
       cfUrlInput.value = cfg.cfWorkerUrl || ""
+      const workerUrlFixed = !!DbSettings.defaultWorkerUrl()
+      cfUrlInput.closest("label").hidden = workerUrlFixed
+      Utils.qs('[data-i18n="cloudflare_hint"]', dbDialog).hidden = workerUrlFixed
       cfIdInput.value = cfg.cfBoardId || ""
       UI.renderBoardSelect(cfBoardSelect, cfIdInput, UI.accessibleBoards)
       const isAdmin = Store.hasCloudflareSession() && Store.isAdmin
@@ -5186,6 +7478,14 @@ const App = {
       if (maxSizeLabel) {
         maxSizeLabel.style.display = isAdmin ? "" : "none"
       }
+      const historySection = Utils.qs("#settingsHistorySection")
+      if (historySection) {
+        historySection.style.display = isAdmin ? "" : "none"
+      }
+      const securitySection = Utils.qs("#settingsSecuritySection")
+      if (securitySection) {
+        securitySection.style.display = isAdmin ? "" : "none"
+      }
       if (maxSizeInput) {
         maxSizeInput.value = String(Store.state?.attachmentMaxSize != null ? Store.state.attachmentMaxSize : 5)
       }
@@ -5199,6 +7499,12 @@ const App = {
         } catch (err) {
           console.warn("Failed to load boards:", err)
         }
+        if (isAdmin && twoFactorRequirementSelect) {
+          CloudflareBackend.getTwoFactor(cfg).then((settings) => {
+            twoFactorRequirementSelect.value = settings.requirement || ""
+            twoFactorRequirementSelect.dataset.value = twoFactorRequirementSelect.value
+          }).catch((err) => console.warn("Failed to load two-factor settings:", err))
+        }
         if (isAdmin) {
           try {
             const storage = await CloudflareBackend.getStorageUsage(cfg)
@@ -5218,10 +7524,7 @@ const App = {
 
     if (UI.logoutBtn) {
       UI.logoutBtn.addEventListener("click", async () => {
-        UI.clearCloudflareSession()
-        await Store.loadState()
-        UI.renderBoard()
-        UI.updateMenuButtonAvatar()
+        await this.signOut()
         UI.logoutBtn.closest(".dropdown-content")?.classList.remove("show")
       })
     }
@@ -5244,6 +7547,7 @@ const App = {
         cfUserEmail: prevCfg.cfUserEmail || "",
         cfUserName: prevCfg.cfUserName || "",
         cfUserToken: prevCfg.cfUserToken || "",
+        cfRefreshToken: prevCfg.cfRefreshToken || "",
         cfBoardSessions: workerChanged ? {} : { ...(prevCfg.cfBoardSessions || {}) },
       }
 
@@ -5256,6 +7560,7 @@ const App = {
           newCfg.cfUserEmail = prevCfg.cfUserEmail || switched.user?.email || ""
           newCfg.cfUserName = switched.user?.name || prevCfg.cfUserName || newCfg.cfUserEmail || ""
           newCfg.cfUserToken = switched.token || ""
+          newCfg.cfRefreshToken = switched.refreshToken || ""
           newCfg.isAdmin = !!switched.isAdmin
           Store.isAdmin = !!switched.isAdmin
         } catch (err) {
@@ -5268,6 +7573,7 @@ const App = {
           newCfg.cfUserEmail = cachedSession.cfUserEmail || ""
           newCfg.cfUserName = cachedSession.cfUserName || newCfg.cfUserEmail || ""
           newCfg.cfUserToken = cachedSession.cfUserToken || ""
+          newCfg.cfRefreshToken = cachedSession.cfRefreshToken || ""
           Store.isAdmin = !!cachedSession.isAdmin
         }
       } else if (cloudflareChanged) {
@@ -5297,7 +7603,8 @@ const App = {
               changed = true
             }
             if (changed) {
-              await CloudflareBackend.save(savePayload, newCfg)
+              const result = await CloudflareBackend.save(savePayload, newCfg, Store.revision)
+              if (Number.isInteger(result?.revision)) Store.revision = result.revision
             }
           } catch (err) {
             console.warn("Failed to save attachment settings:", err)
@@ -5314,6 +7621,18 @@ const App = {
       dbDialog.close()
     })
 
+    // Saved right away: members who now need 2FA without having it are signed out by the worker
+    twoFactorRequirementSelect?.addEventListener("change", async () => {
+      try {
+        const result = await CloudflareBackend.setTwoFactorPolicy(DbSettings.get(), twoFactorRequirementSelect.value)
+        twoFactorRequirementSelect.value = result.requirement || ""
+      } catch (err) {
+        twoFactorRequirementSelect.value = twoFactorRequirementSelect.dataset.value || ""
+        UI.showAlert(I18n.serverError(err.message) || I18n.t("two_factor_update_failed"))
+      }
+      twoFactorRequirementSelect.dataset.value = twoFactorRequirementSelect.value
+    })
+
     if (newBoardBtn) {
       newBoardBtn.addEventListener("click", async () => {
         const cfg = DbSettings.get()
@@ -5326,6 +7645,7 @@ const App = {
             cfBoardId: created.board?.id || cfg.cfBoardId || "default",
             cfUserName: created.user?.name || cfg.cfUserName || cfg.cfUserEmail || "",
             cfUserToken: created.token || cfg.cfUserToken || "",
+            cfRefreshToken: created.token ? created.refreshToken || "" : cfg.cfRefreshToken || "",
             isAdmin: !!created.isAdmin,
           }
           DbSettings.set(nextCfg)
@@ -5385,6 +7705,7 @@ const App = {
             const defaultSession = DbSettings.getBoardSession("default", cfg)
             if (defaultSession?.cfUserToken) {
               nextCfg.cfUserToken = defaultSession.cfUserToken
+              nextCfg.cfRefreshToken = defaultSession.cfRefreshToken || ""
               nextCfg.cfUserEmail = defaultSession.cfUserEmail || ""
               nextCfg.cfUserName = defaultSession.cfUserName || ""
             }
@@ -5405,6 +7726,7 @@ const App = {
               const cachedSession = DbSettings.getBoardSession(nextBoardId, cfg)
               if (cachedSession?.cfUserToken) {
                 nextCfg.cfUserToken = cachedSession.cfUserToken
+                nextCfg.cfRefreshToken = cachedSession.cfRefreshToken || ""
                 nextCfg.cfUserEmail = cachedSession.cfUserEmail || ""
                 nextCfg.cfUserName = cachedSession.cfUserName || ""
                 Store.isAdmin = !!cachedSession.isAdmin
@@ -5600,14 +7922,34 @@ const App = {
     bindRichTextEditor(descriptionEditor)
     bindRichTextEditor(detailDescriptionEditor)
 
+    // --- Undo / Redo ---
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== "z") return
+      // Text fields keep their native undo
+      if (e.target.closest("input, textarea, select, [contenteditable]")) return
+      if (Dnd.cardDrag || Dnd.colDrag) return
+      e.preventDefault()
+      this.handleUndo(e.shiftKey ? "redo" : "undo")
+    })
+    Utils.qs("#undoToastBtn")?.addEventListener("click", () => this.handleUndo("undo"))
+    window.addEventListener("pagehide", () => Store.flushImageCleanup())
+
+    // --- Offline Queue ---
+    window.addEventListener("online", () => {
+      Store.setOffline(false)
+      Store.flushOutbox()
+    })
+    window.addEventListener("offline", () => Store.setOffline(true))
+
     // --- Focus Sync ---
     document.addEventListener("visibilitychange", async () => {
       if (document.visibilityState === "visible") {
         const cfg = DbSettings.get()
         // Fetch updates whenever the tab becomes active
         if (cfg.cfWorkerUrl) {
+          const etag = Store.etag
           await Store.loadState()
-          UI.renderBoard()
+          if (Store.etag !== etag) UI.renderBoard()
           await Notifications.refresh()
         }
       }
@@ -5705,6 +8047,21 @@ const App = {
     }
   },
 
+  handleUndo(direction) {
+    const entry = direction === "redo" ? Store.redo() : Store.undo()
+    UI.hideUndoToast()
+    if (!entry) return
+    UI.renderBoard()
+    if (UI.cardDetailDialog?.open) {
+      const form = Utils.qs("#cardDetailForm")
+      if (!Store.findCard(form?.dataset.cardId).card) {
+        UI.cardDetailDialog.close()
+      } else if (form.dataset.editMode !== "true") {
+        UI.renderCardDetail()
+      }
+    }
+  },
+
   handleMarkAsDone(form) {
     const cardId = form.dataset.cardId
     if (!cardId) return
@@ -5792,6 +8149,7 @@ const App = {
       UI.showAlert(I18n.t("own_card_only_error"))
       return
     }
+    if (!existingCard && !Store.canCurrentUserCreateCard()) return
     
     // Helper to check if HTML has meaningful content
     const hasMeaningfulContent = (html) => {
@@ -6111,7 +8469,7 @@ const App = {
           name: processedFile.name,
           type: processedFile.type
         })
-        Store.saveState()
+        Store.syncCardAttachments(cardId)
         UI.updateCard(freshCard)
         
         const form = Utils.qs("#editorForm")
@@ -0,0 +1,88 @@
+// ============================================================================
+//  VeeBoard service worker: keeps the app shell available offline
+// ============================================================================
+
+const CACHE_NAME = "veeboard-shell-v1"
+
+const SHELL_ASSETS = [
+  "./",
+  "index.html",
+  "styles.css",
+  "script.js",
+  "translations.js",
+  "qrcode.js",
+  "vibealert.png",
+  "favicon/favicon.svg",
+  "favicon/favicon.ico",
+  "favicon/favicon-96x96.png",
+  "favicon/apple-touch-icon.png",
+  "favicon/site.webmanifest",
+]
+
+const CDN_ASSETS = [
+  "https://cdn.jsdelivr.net/npm/dompurify@3.0.6/dist/purify.min.js",
+]
+
+const STATIC_PATH = /\.(?:html|css|js|png|svg|ico|webmanifest)$/
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      // A CDN hiccup should not keep the app shell from installing
+      .then((cache) => cache.addAll(SHELL_ASSETS).then(() => cache.addAll(CDN_ASSETS).catch(() => {})))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME)
+  try {
+    const response = await fetch(request)
+    if (response.ok) cache.put("./", response.clone())
+    return response
+  } catch (err) {
+    const cached = await cache.match("./") || await cache.match("index.html")
+    if (cached) return cached
+    throw err
+  }
+}
+
+// Static files answer from the cache right away and refresh it in the background,
+// so the next load picks up a deploy without waiting on the network now
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME)
+  const cached = await cache.match(request, { ignoreSearch: true })
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone())
+      return response
+    })
+    .catch((err) => {
+      if (!cached) throw err
+      return cached
+    })
+  return cached || refresh
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event
+  if (request.method !== "GET") return
+  const url = new URL(request.url)
+
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request))
+    return
+  }
+  // Everything else from our origin is the worker API and always goes to the network
+  if (url.origin === self.location.origin ? STATIC_PATH.test(url.pathname) : CDN_ASSETS.includes(url.href)) {
+    event.respondWith(staleWhileRevalidate(request))
+  }
+})
@@ -70,10 +70,10 @@ const TRANSLATIONS = {
     delete: "Delete",
     archive: "Archive",
     db_sync_title: "Settings",
-    cloudflare_hint: "Same-origin Worker is used by default. Override the Worker URL only when needed.",
+    cloudflare_hint: "Enter the URL of your Cloudflare Worker. When the Worker serves the app, its own origin is always used.",
     d1_setup_title: "Connect Cloudflare worker",
     d1_setup_hint: "Open Settings and enter your Cloudflare Worker URL to use this tool.",
-    worker_url: "Worker URL override",
+    worker_url: "Worker URL",
     board_id: "Board",
     create_board: "Create board",
     new_board_title: "New board",
@@ -114,7 +114,6 @@ const TRANSLATIONS = {
     signup_owner_created: "Owner account created. You can now log in.",
     signup_failed: "Could not create the account request.",
     approved_user: "Approved:",
-    admin_role: "Admin:",
     pin_code: "Password",
     login: "Login",
     logout: "Logout",
@@ -241,28 +240,53 @@ const TRANSLATIONS = {
     board_access_managed: "Current board access is managed by approval/removal.",
     assign_only_admin_boards: "You can assign only boards where you are admin.",
     user_not_on_board: "User is not on the current board.",
-    admin_cannot_be_removed_from_board: "Admin user cannot be removed from that board.",
     admin_only_modify_users: "Only admin can modify users.",
     user_email_required: "User email is required.",
-    email_change_not_supported: "Changing account email is not supported.",
+    current_password_incorrect: "Current password is incorrect.",
+    user_missing: "User not found.",
     password_required_new_user: "Password is required for a new user.",
     admin_only_delete_users: "Only admin can delete users.",
     missing_user_email: "Missing user email.",
-    admin_user_cannot_be_deleted: "Admin user cannot be deleted.",
     admin_only_modify_users_list: "Only admin can modify users list.",
     admin_only_modify_board_structure: "Only admin can modify board structure.",
     card_author_cannot_be_changed: "Card author cannot be changed.",
     new_cards_must_belong_to_user: "New cards must belong to the current user.",
     own_comments_only: "You can add only your own comments.",
     admins_only_remote_deletion: "Only admins can perform remote deletion",
+    board_conflict: "Someone else changed this board while you were editing. The latest version has been loaded; please repeat your last change.",
+    card_not_found: "Card not found.",
+    card_already_exists: "Card already exists.",
+    card_title_required: "Card title is required.",
+    column_not_found: "Column not found.",
+    column_already_exists: "Column already exists.",
+    column_title_required: "Column title is required.",
+    archive_column_cannot_be_changed: "Archive column cannot be changed.",
+    comment_not_found: "Comment not found.",
+    comment_already_exists: "Comment already exists.",
+    comment_text_required: "Comment text is required.",
+    admin_only_view_history: "Only admin can view board history.",
+    revision_not_found: "Revision not found.",
+    save_conflict_title: "Conflicting changes",
+    save_conflict_text: "Someone else changed the same things while you were editing: {items}. Keep your version or use theirs?",
+    keep_my_changes: "Keep mine",
+    keep_their_changes: "Use theirs",
+    conflict_card_removed: "Removed",
 
     // --- Fallback / UI strings ---
     alert: "Alert",
     ok: "OK",
     new_user: "New user",
     attachment: "Attachment",
+    attachment_download_failed: "Could not download the attachment.",
     cloudflare_load_failed: "Cloudflare load failed",
     cloudflare_save_failed: "Cloudflare save failed",
+    changes_pending: "{count} changes pending",
+    offline: "Offline",
+    undo: "Undo",
+    card_deleted: "Card deleted",
+    card_archived: "Card archived",
+    column_deleted: "Column deleted",
+    comment_deleted: "Comment deleted",
     cloudflare_not_configured: "Cloudflare not configured",
     auth_failed: "Authentication failed",
     upload_failed: "Upload failed",
@@ -270,12 +294,189 @@ const TRANSLATIONS = {
     user_delete_failed: "Failed to delete user",
     profile_save_failed: "Failed to save profile",
     board_access_update_failed: "Board access update failed",
+    too_many_attempts: "Too many failed attempts. Try again later.",
+    failed_login_attempts: "Failed login attempts: {count}",
+    locked_until: "Locked after {count} failed attempts until {date}",
+    unlock: "Unlock",
+    lockout_clear_failed: "Could not clear the lockout",
+    sessions: "Sessions",
+    sessions_hint: "Devices where you are signed in.",
+    sessions_loading: "Loading sessions...",
+    sessions_load_failed: "Could not load sessions",
+    session_revoke_failed: "Could not sign out the session",
+    session_required: "Choose a session to sign out.",
+    this_device: "This device",
+    unknown_device: "Unknown device",
+    last_active: "Last active {date}",
+    sign_out: "Sign out",
+    sign_out_everywhere: "Sign out everywhere",
+    sign_out_everywhere_confirm: "Sign out of VeeBoard on every device, including this one?",
+    active_sessions: "Active sessions: {count}",
+    sign_out_of_board: "Sign out of this board",
+    two_factor: "Two-factor authentication",
+    two_factor_login_hint: "Enter the 6-digit code from your authenticator app, or one of your recovery codes.",
+    two_factor_setup: "Set up two-factor authentication",
+    two_factor_setup_required: "This board requires two-factor authentication. Set it up to continue.",
+    two_factor_scan_hint: "Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy.",
+    two_factor_open_app: "Open in authenticator app",
+    two_factor_manual_hint: "Or enter this key manually:",
+    two_factor_loading: "Checking two-factor authentication...",
+    two_factor_load_failed: "Could not load two-factor settings",
+    two_factor_setup_failed: "Could not set up two-factor authentication",
+    two_factor_update_failed: "Could not update two-factor authentication",
+    two_factor_status_enabled: "On. Recovery codes left: {count}",
+    two_factor_status_disabled: "Off. Protect your account with a code from your phone.",
+    two_factor_status_required: "Required on this board. Set it up to keep access.",
+    two_factor_enable: "Set up two-factor authentication",
+    two_factor_confirm: "Turn on",
+    two_factor_disable: "Turn off two-factor authentication",
+    two_factor_on: "Two-factor authentication: on",
+    two_factor_off: "Two-factor authentication: off",
+    two_factor_code_required: "Enter the code from your authenticator app.",
+    two_factor_already_enabled: "Two-factor authentication is already enabled.",
+    two_factor_not_enabled: "Two-factor authentication is not enabled.",
+    two_factor_required_elsewhere: "Two-factor authentication is required on one of your boards.",
+    two_factor_enable_first: "Enable two-factor authentication on your account first.",
+    two_factor_requirement_unknown: "Choose who must use two-factor authentication.",
+    two_factor_requirement: "Require two-factor authentication",
+    two_factor_requirement_none: "Not required",
+    two_factor_requirement_admins: "For admins",
+    two_factor_requirement_all: "For every member",
+    admin_only_security_settings: "Only admin can change security settings.",
+    security_settings: "Security",
+    verification_code: "Verification code",
+    verification_code_placeholder: "Code from your app or a recovery code",
+    invalid_verification_code: "Invalid verification code.",
+    verify: "Verify",
+    continue: "Continue",
+    recovery_codes: "Recovery codes",
+    recovery_codes_hint: "Save these codes somewhere safe. Each one signs you in once if you lose your phone, and they will not be shown again.",
+    recovery_codes_regenerate: "New recovery codes",
+    invite_links: "Invite links",
+    invite_links_hint: "Anyone with a link joins this board as an approved member with the chosen role.",
+    invite_create: "Create invite link",
+    invite_single_use: "Single use",
+    invite_uses: "Used {count} times",
+    invite_expires: "Expires {date}",
+    invite_expiry_day: "Expires in 1 day",
+    invite_expiry_week: "Expires in 7 days",
+    invite_expiry_month: "Expires in 30 days",
+    invite_revoke: "Revoke",
+    invites_empty: "No active invite links.",
+    invites_admin_only: "Only admin can manage invites.",
+    invites_load_failed: "Could not load invite links",
+    invite_update_failed: "Could not update invite links",
+    copy_link: "Copy link",
+    invite_link_copied: "Copied",
+    invite_title: "Board invite",
+    invite_loading: "Checking the invite link...",
+    invite_invalid: "This invite link is invalid or has expired.",
+    invite_join_board: "Join {board}",
+    invite_role_hint: "You were invited as: {role}.",
+    invite_signed_in_as: "You are signed in as {email}.",
+    invite_join: "Join board",
+    invite_have_account: "I already have an account",
+    invite_create_account: "Create a new account",
+    invite_accept_failed: "Could not join the board",
+    role_viewer: "Viewer",
+    role_commenter: "Commenter",
+    role_member: "Member",
+    role_admin: "Admin",
+    password_reset_title: "Choose a new password",
+    password_reset_hint: "Set a new password for {email}. You will be signed out on all devices.",
+    password_reset_loading: "Checking the reset link...",
+    password_reset_invalid: "This reset link is invalid or has expired.",
+    password_reset_save: "Save password",
+    password_reset_done: "Your password was changed. Log in with the new password.",
+    password_reset_failed: "Could not reset the password",
+    password_reset_create: "Create reset link",
+    password_reset_telegram: "Send reset link to Telegram",
+    password_reset_telegram_sent: "The reset link was sent to the user's Telegram.",
+    password_reset_telegram_failed: "The reset link could not be sent to Telegram. Share the link shown instead.",
+    password_missing: "Password is required.",
+    role_label: "Role",
+    unknown_role: "Unknown role.",
+    viewer_only_error: "Viewers can only read this board.",
+    commenter_only_error: "Commenters can only add comments.",
+    api_tokens: "API tokens",
+    api_tokens_hint: "Personal tokens let scripts use your boards as you. Send one in an Authorization: Bearer header.",
+    api_tokens_empty: "No API tokens yet.",
+    api_tokens_load_failed: "Could not load API tokens.",
+    api_token_name_placeholder: "Token name",
+    api_token_expiry_month: "Expires in 30 days",
+    api_token_expiry_quarter: "Expires in 90 days",
+    api_token_expiry_year: "Expires in 1 year",
+    api_token_expiry_never: "Never expires",
+    api_token_expired: "Expired {date}",
+    api_token_unused: "Never used",
+    api_scope_read: "Read board",
+    api_scope_cards: "Write cards",
+    api_scope_comments: "Comment",
+    api_scope_board: "Replace whole board",
+    api_token_create: "Create token",
+    api_token_created_hint: "Copy the token now. It will not be shown again.",
+    copy_token: "Copy token",
+    api_token_update_failed: "Could not update API tokens",
+    api_token_name_required: "Enter a name for the token.",
+    api_token_scope_required: "Choose at least one scope.",
+    api_token_scope_denied: "This API token does not allow this request.",
+    current_password: "Current password",
+    current_password_placeholder: "Required to change your email",
+    email_changed: "Your email was changed. Use {email} to log in from now on.",
+    suspended_user: "Suspended:",
+    suspended_error: "Your account is suspended on this board. Ask an admin to restore it.",
+    admin_user_cannot_be_suspended: "An admin cannot be suspended. Change their role first.",
+    cannot_suspend_self: "You cannot suspend yourself.",
+    delete_user_cards: "They created {created} card(s) and are assigned to {assigned}.",
+    reassign_cards_to: "Hand their cards over to",
+    reassign_cards_unassign: "No one (unassign, keep them as author)",
+    reassign_user_invalid: "Cards can only be handed to another approved board member.",
+    last_admin_error: "A board needs at least one admin. Make someone else admin first.",
+    transfer_ownership: "Transfer ownership",
+    transfer_ownership_confirm: "Make {id} the owner and admin of this board? You will stay on it as a member.",
+    transfer: "Transfer",
+    ownership_transferred: "{id} now owns this board.",
+    ownership_transfer_failed: "Could not transfer ownership",
+    ownership_target_invalid: "Ownership can only go to another approved board member.",
+    existing_account_invite_required: "This person already has an account. Send them an invite link instead.",
+    account_not_managed_password: "This account is also on boards you do not administer. Only its owner can change the password.",
+    origin_not_allowed: "This site is not allowed to use the board API.",
+    account_not_managed_email: "This account is also on boards you do not administer. Only its owner can change the email.",
+    demote_admin_before_delete: "Demote this admin before removing them.",
     board_create_failed: "Failed to create board",
     board_rename_failed: "Failed to rename board",
     board_delete_failed: "Failed to delete board",
     board_switch_failed: "Failed to switch board",
     boards_load_failed: "Failed to load boards",
     users_load_failed: "Failed to load users",
+    history_load_failed: "Failed to load board history",
+    activity_load_failed: "Failed to load activity",
+    activity_empty: "No activity yet.",
+    activity_card_created: "created this card in {column}",
+    activity_card_deleted: "deleted this card from {column}",
+    activity_title_changed: "renamed the card from “{from}” to “{to}”",
+    activity_description_changed: "updated the description",
+    activity_due_changed: "set the due date to {due}",
+    activity_due_removed: "removed the due date",
+    activity_tags_changed: "changed tags: {changes}",
+    activity_attachment_added: "attached {name}",
+    activity_attachment_removed: "removed attachment {name}",
+    activity_card_assigned: "assigned the card to {name}",
+    activity_card_unassigned: "unassigned {name}",
+    activity_card_moved: "moved the card from {from} to {to}",
+    activity_card_completed: "completed the card",
+    activity_comment_added: "commented: “{text}”",
+    activity_board_restored: "restored revision {revision}",
+    history_restore_failed: "Failed to restore revision",
+    board_history: "Board history",
+    browse_history: "Browse history",
+    history_empty: "No saved revisions yet.",
+    history_select_revision: "Select a revision to preview it.",
+    history_revision: "Revision {revision}",
+    history_current: "Current",
+    history_unknown_author: "Unknown author",
+    restore_revision: "Restore this version",
+    restore_revision_confirm: "Restore the board as it was at {time}? The current board stays in the history, so this can be undone.",
     cloudflare_hint_login: "Set up Cloudflare Worker URL in Settings to log in.",
   },
   uk: {
@@ -349,10 +550,10 @@ const TRANSLATIONS = {
     delete: "Видалити",
     archive: "Архівувати",
     db_sync_title: "Налаштування",
-    cloudflare_hint: "За замовчуванням використовується Worker цього ж домену. Змінюйте URL лише за потреби.",
+    cloudflare_hint: "Вкажіть URL вашого Cloudflare Worker. Коли застосунок відкрито з самого Worker, завжди використовується його домен.",
     d1_setup_title: "Підключіть Cloudflare worker",
     d1_setup_hint: "Відкрийте Налаштування та вкажіть URL вашого Cloudflare Worker, щоб використовувати цей інструмент.",
-    worker_url: "Перевизначення URL воркера",
+    worker_url: "URL воркера",
     board_id: "Дошка",
     create_board: "Створити",
     new_board_title: "Нова дошка",
@@ -393,7 +594,6 @@ const TRANSLATIONS = {
     signup_owner_created: "Акаунт власника створено. Тепер можна увійти.",
     signup_failed: "Не вдалося створити запит на акаунт.",
     approved_user: "Підтверджено:",
-    admin_role: "Адмін:",
     pin_code: "Пароль",
     login: "Увійти",
     logout: "Вийти",
@@ -520,28 +720,53 @@ const TRANSLATIONS = {
     board_access_managed: "Доступ до поточної дошки керується підтвердженням/видаленням.",
     assign_only_admin_boards: "Ви можете призначати лише дошки, де ви адміністратор.",
     user_not_on_board: "Користувач не на поточній дошці.",
-    admin_cannot_be_removed_from_board: "Адміністратора не можна видалити з цієї дошки.",
     admin_only_modify_users: "Тільки адміністратор може змінювати користувачів.",
     user_email_required: "Email користувача обов'язковий.",
-    email_change_not_supported: "Зміна email акаунту не підтримується.",
+    current_password_incorrect: "Поточний пароль неправильний.",
+    user_missing: "Користувача не знайдено.",
     password_required_new_user: "Пароль обов'язковий для нового користувача.",
     admin_only_delete_users: "Тільки адміністратор може видаляти користувачів.",
     missing_user_email: "Відсутній email користувача.",
-    admin_user_cannot_be_deleted: "Адміністратора не можна видалити.",
     admin_only_modify_users_list: "Тільки адміністратор може змінювати список користувачів.",
     admin_only_modify_board_structure: "Тільки адміністратор може змінювати структуру дошки.",
     card_author_cannot_be_changed: "Автора картки не можна змінити.",
     new_cards_must_belong_to_user: "Нові картки мають належати поточному користувачеві.",
     own_comments_only: "Ви можете додавати лише власні коментарі.",
     admins_only_remote_deletion: "Тільки адміністратори можуть виконувати віддалене видалення",
+    board_conflict: "Хтось інший змінив цю дошку під час редагування. Завантажено актуальну версію; повторіть, будь ласка, останню зміну.",
+    card_not_found: "Картку не знайдено.",
+    card_already_exists: "Така картка вже існує.",
+    card_title_required: "Потрібна назва картки.",
+    column_not_found: "Колонку не знайдено.",
+    column_already_exists: "Така колонка вже існує.",
+    column_title_required: "Потрібна назва колонки.",
+    archive_column_cannot_be_changed: "Колонку архіву не можна змінювати.",
+    comment_not_found: "Коментар не знайдено.",
+    comment_already_exists: "Такий коментар уже існує.",
+    comment_text_required: "Потрібен текст коментаря.",
+    admin_only_view_history: "Тільки адміністратор може переглядати історію дошки.",
+    revision_not_found: "Версію не знайдено.",
+    save_conflict_title: "Конфлікт змін",
+    save_conflict_text: "Хтось інший змінив те саме під час вашого редагування: {items}. Залишити вашу версію чи взяти їхню?",
+    keep_my_changes: "Залишити мої",
+    keep_their_changes: "Взяти їхні",
+    conflict_card_removed: "Видалено",
 
     // --- Fallback / UI strings ---
     alert: "Увага",
     ok: "ОК",
     new_user: "Новий користувач",
     attachment: "Вкладення",
+    attachment_download_failed: "Не вдалося завантажити вкладення.",
     cloudflare_load_failed: "Помилка завантаження з Cloudflare",
     cloudflare_save_failed: "Помилка збереження в Cloudflare",
+    changes_pending: "Змін в черзі: {count}",
+    offline: "Офлайн",
+    undo: "Скасувати",
+    card_deleted: "Картку видалено",
+    card_archived: "Картку архівовано",
+    column_deleted: "Колонку видалено",
+    comment_deleted: "Коментар видалено",
     cloudflare_not_configured: "Cloudflare не налаштовано",
     auth_failed: "Помилка автентифікації",
     upload_failed: "Помилка завантаження",
@@ -549,12 +774,189 @@ const TRANSLATIONS = {
     user_delete_failed: "Помилка видалення користувача",
     profile_save_failed: "Помилка збереження профілю",
     board_access_update_failed: "Помилка оновлення доступу до дошки",
+    too_many_attempts: "Забагато невдалих спроб. Спробуйте пізніше.",
+    failed_login_attempts: "Невдалих спроб входу: {count}",
+    locked_until: "Заблоковано після {count} невдалих спроб до {date}",
+    unlock: "Розблокувати",
+    lockout_clear_failed: "Не вдалося зняти блокування",
+    sessions: "Сеанси",
+    sessions_hint: "Пристрої, на яких ви увійшли.",
+    sessions_loading: "Завантаження сеансів...",
+    sessions_load_failed: "Не вдалося завантажити сеанси",
+    session_revoke_failed: "Не вдалося завершити сеанс",
+    session_required: "Оберіть сеанс, який потрібно завершити.",
+    this_device: "Цей пристрій",
+    unknown_device: "Невідомий пристрій",
+    last_active: "Остання активність {date}",
+    sign_out: "Вийти",
+    sign_out_everywhere: "Вийти всюди",
+    sign_out_everywhere_confirm: "Вийти з VeeBoard на всіх пристроях, включно з цим?",
+    active_sessions: "Активних сеансів: {count}",
+    sign_out_of_board: "Вийти з цієї дошки",
+    two_factor: "Двофакторна автентифікація",
+    two_factor_login_hint: "Введіть 6-значний код із застосунку автентифікації або один із резервних кодів.",
+    two_factor_setup: "Налаштування двофакторної автентифікації",
+    two_factor_setup_required: "Ця дошка вимагає двофакторної автентифікації. Налаштуйте її, щоб продовжити.",
+    two_factor_scan_hint: "Відскануйте цей QR-код у застосунку автентифікації, наприклад Google Authenticator, 1Password або Authy.",
+    two_factor_open_app: "Відкрити в застосунку автентифікації",
+    two_factor_manual_hint: "Або введіть цей ключ вручну:",
+    two_factor_loading: "Перевірка двофакторної автентифікації...",
+    two_factor_load_failed: "Не вдалося завантажити налаштування двофакторної автентифікації",
+    two_factor_setup_failed: "Не вдалося налаштувати двофакторну автентифікацію",
+    two_factor_update_failed: "Не вдалося змінити двофакторну автентифікацію",
+    two_factor_status_enabled: "Увімкнено. Залишилось резервних кодів: {count}",
+    two_factor_status_disabled: "Вимкнено. Захистіть обліковий запис кодом із телефона.",
+    two_factor_status_required: "Обов'язкова на цій дошці. Налаштуйте її, щоб зберегти доступ.",
+    two_factor_enable: "Налаштувати двофакторну автентифікацію",
+    two_factor_confirm: "Увімкнути",
+    two_factor_disable: "Вимкнути двофакторну автентифікацію",
+    two_factor_on: "Двофакторна автентифікація: увімкнена",
+    two_factor_off: "Двофакторна автентифікація: вимкнена",
+    two_factor_code_required: "Введіть код із застосунку автентифікації.",
+    two_factor_already_enabled: "Двофакторну автентифікацію вже увімкнено.",
+    two_factor_not_enabled: "Двофакторну автентифікацію не увімкнено.",
+    two_factor_required_elsewhere: "Двофакторна автентифікація обов'язкова на одній із ваших дошок.",
+    two_factor_enable_first: "Спочатку увімкніть двофакторну автентифікацію для свого облікового запису.",
+    two_factor_requirement_unknown: "Оберіть, кому потрібна двофакторна автентифікація.",
+    two_factor_requirement: "Вимагати двофакторну автентифікацію",
+    two_factor_requirement_none: "Не вимагати",
+    two_factor_requirement_admins: "Для адміністраторів",
+    two_factor_requirement_all: "Для всіх учасників",
+    admin_only_security_settings: "Лише адміністратор може змінювати налаштування безпеки.",
+    security_settings: "Безпека",
+    verification_code: "Код підтвердження",
+    verification_code_placeholder: "Код із застосунку або резервний код",
+    invalid_verification_code: "Невірний код підтвердження.",
+    verify: "Підтвердити",
+    continue: "Продовжити",
+    recovery_codes: "Резервні коди",
+    recovery_codes_hint: "Збережіть ці коди в надійному місці. Кожен з них дозволяє увійти один раз, якщо ви втратите телефон, і більше вони не показуватимуться.",
+    recovery_codes_regenerate: "Нові резервні коди",
+    invite_links: "Посилання-запрошення",
+    invite_links_hint: "Кожен, хто має посилання, приєднується до цієї дошки як схвалений учасник з обраною роллю.",
+    invite_create: "Створити посилання",
+    invite_single_use: "Одноразове",
+    invite_uses: "Використано: {count}",
+    invite_expires: "Діє до {date}",
+    invite_expiry_day: "Діє 1 день",
+    invite_expiry_week: "Діє 7 днів",
+    invite_expiry_month: "Діє 30 днів",
+    invite_revoke: "Відкликати",
+    invites_empty: "Немає активних запрошень.",
+    invites_admin_only: "Лише адміністратор може керувати запрошеннями.",
+    invites_load_failed: "Не вдалося завантажити запрошення",
+    invite_update_failed: "Не вдалося змінити запрошення",
+    copy_link: "Копіювати посилання",
+    invite_link_copied: "Скопійовано",
+    invite_title: "Запрошення на дошку",
+    invite_loading: "Перевірка посилання...",
+    invite_invalid: "Посилання-запрошення недійсне або застаріле.",
+    invite_join_board: "Приєднатися до {board}",
+    invite_role_hint: "Вас запрошено з роллю: {role}.",
+    invite_signed_in_as: "Ви увійшли як {email}.",
+    invite_join: "Приєднатися",
+    invite_have_account: "У мене вже є обліковий запис",
+    invite_create_account: "Створити новий обліковий запис",
+    invite_accept_failed: "Не вдалося приєднатися до дошки",
+    role_viewer: "Глядач",
+    role_commenter: "Коментатор",
+    role_member: "Учасник",
+    role_admin: "Адміністратор",
+    password_reset_title: "Новий пароль",
+    password_reset_hint: "Задайте новий пароль для {email}. Вас буде виведено з усіх пристроїв.",
+    password_reset_loading: "Перевірка посилання...",
+    password_reset_invalid: "Посилання для скидання пароля недійсне або застаріле.",
+    password_reset_save: "Зберегти пароль",
+    password_reset_done: "Пароль змінено. Увійдіть з новим паролем.",
+    password_reset_failed: "Не вдалося скинути пароль",
+    password_reset_create: "Створити посилання для скидання",
+    password_reset_telegram: "Надіслати посилання в Telegram",
+    password_reset_telegram_sent: "Посилання для скидання надіслано в Telegram користувача.",
+    password_reset_telegram_failed: "Не вдалося надіслати посилання в Telegram. Передайте показане посилання.",
+    password_missing: "Потрібен пароль.",
+    role_label: "Роль",
+    unknown_role: "Невідома роль.",
+    viewer_only_error: "Глядачі можуть лише переглядати дошку.",
+    commenter_only_error: "Коментатори можуть лише додавати коментарі.",
+    api_tokens: "API-токени",
+    api_tokens_hint: "Персональні токени дозволяють скриптам працювати з вашими дошками від вашого імені. Передавайте токен у заголовку Authorization: Bearer.",
+    api_tokens_empty: "API-токенів ще немає.",
+    api_tokens_load_failed: "Не вдалося завантажити API-токени.",
+    api_token_name_placeholder: "Назва токена",
+    api_token_expiry_month: "Діє 30 днів",
+    api_token_expiry_quarter: "Діє 90 днів",
+    api_token_expiry_year: "Діє 1 рік",
+    api_token_expiry_never: "Безстроковий",
+    api_token_expired: "Термін дії минув {date}",
+    api_token_unused: "Ще не використовувався",
+    api_scope_read: "Читання дошки",
+    api_scope_cards: "Зміна карток",
+    api_scope_comments: "Коментування",
+    api_scope_board: "Заміна всієї дошки",
+    api_token_create: "Створити токен",
+    api_token_created_hint: "Скопіюйте токен зараз. Його більше не буде показано.",
+    copy_token: "Копіювати токен",
+    api_token_update_failed: "Не вдалося оновити API-токени",
+    api_token_name_required: "Введіть назву токена.",
+    api_token_scope_required: "Оберіть хоча б один дозвіл.",
+    api_token_scope_denied: "Цей API-токен не дозволяє такий запит.",
+    current_password: "Поточний пароль",
+    current_password_placeholder: "Потрібен для зміни email",
+    email_changed: "Ваш email змінено. Надалі входьте з {email}.",
+    suspended_user: "Призупинено:",
+    suspended_error: "Ваш обліковий запис призупинено на цій дошці. Зверніться до адміністратора.",
+    admin_user_cannot_be_suspended: "Адміністратора не можна призупинити. Спершу змініть його роль.",
+    cannot_suspend_self: "Ви не можете призупинити себе.",
+    delete_user_cards: "Створено карток: {created}, призначено: {assigned}.",
+    reassign_cards_to: "Передати їхні картки",
+    reassign_cards_unassign: "Нікому (зняти призначення, авторство залишити)",
+    reassign_user_invalid: "Картки можна передати лише іншому підтвердженому учаснику дошки.",
+    last_admin_error: "На дошці має залишитися хоча б один адміністратор. Спершу призначте іншого.",
+    transfer_ownership: "Передати власність",
+    transfer_ownership_confirm: "Зробити {id} власником і адміністратором цієї дошки? Ви залишитеся на ній учасником.",
+    transfer: "Передати",
+    ownership_transferred: "Тепер власник цієї дошки — {id}.",
+    ownership_transfer_failed: "Не вдалося передати власність",
+    ownership_target_invalid: "Власність можна передати лише іншому підтвердженому учаснику дошки.",
+    existing_account_invite_required: "У цієї людини вже є обліковий запис. Надішліть їй посилання-запрошення.",
+    account_not_managed_password: "Цей обліковий запис є й на дошках, якими ви не керуєте. Змінити пароль може лише його власник.",
+    origin_not_allowed: "Цьому сайту заборонено використовувати API дошки.",
+    account_not_managed_email: "Цей обліковий запис є й на дошках, якими ви не керуєте. Змінити email може лише його власник.",
+    demote_admin_before_delete: "Спершу змініть роль цього адміністратора, а потім видаляйте його.",
     board_create_failed: "Помилка створення дошки",
     board_rename_failed: "Помилка перейменування дошки",
     board_delete_failed: "Помилка видалення дошки",
     board_switch_failed: "Помилка перемикання дошки",
     boards_load_failed: "Помилка завантаження списку дошок",
     users_load_failed: "Помилка завантаження користувачів",
+    history_load_failed: "Не вдалося завантажити історію дошки",
+    activity_load_failed: "Не вдалося завантажити активність",
+    activity_empty: "Активності ще немає.",
+    activity_card_created: "створює картку в колонці {column}",
+    activity_card_deleted: "видаляє картку з колонки {column}",
+    activity_title_changed: "перейменовує картку з «{from}» на «{to}»",
+    activity_description_changed: "оновлює опис",
+    activity_due_changed: "встановлює термін {due}",
+    activity_due_removed: "прибирає термін",
+    activity_tags_changed: "змінює теги: {changes}",
+    activity_attachment_added: "додає вкладення {name}",
+    activity_attachment_removed: "видаляє вкладення {name}",
+    activity_card_assigned: "призначає картку на {name}",
+    activity_card_unassigned: "знімає призначення з {name}",
+    activity_card_moved: "переміщує картку з {from} до {to}",
+    activity_card_completed: "завершує картку",
+    activity_comment_added: "коментує: «{text}»",
+    activity_board_restored: "відновлює версію {revision}",
+    history_restore_failed: "Не вдалося відновити версію",
+    board_history: "Історія дошки",
+    browse_history: "Переглянути історію",
+    history_empty: "Збережених версій ще немає.",
+    history_select_revision: "Виберіть версію для перегляду.",
+    history_revision: "Версія {revision}",
+    history_current: "Поточна",
+    history_unknown_author: "Невідомий автор",
+    restore_revision: "Відновити цю версію",
+    restore_revision_confirm: "Відновити дошку в стані на {time}? Поточна дошка залишиться в історії, тож це можна скасувати.",
     cloudflare_hint_login: "Налаштуйте URL Cloudflare Worker у Налаштуваннях для входу.",
   }
 };
@@ -3,39 +3,107 @@ CREATE TABLE IF NOT EXISTS boards (
   name TEXT DEFAULT '',
   created_by TEXT DEFAULT '',
   data TEXT,
+  revision INTEGER DEFAULT 0,
+  write_token TEXT DEFAULT '',
+  attachment_max_size INTEGER,
+  attachment_allow_any_type INTEGER,
+  require_two_factor TEXT DEFAULT '',
   created_at TEXT,
   updated_at TEXT
 );
 
-CREATE TABLE IF NOT EXISTS board_users (
+CREATE TABLE IF NOT EXISTS board_columns (
   board_id TEXT NOT NULL,
-  email TEXT NOT NULL,
+  id TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  title TEXT DEFAULT '',
+  is_done INTEGER DEFAULT 0,
+  is_archive INTEGER DEFAULT 0,
+  data_json TEXT DEFAULT '{}',
+  PRIMARY KEY (board_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS board_cards (
+  board_id TEXT NOT NULL,
+  id TEXT NOT NULL,
+  column_id TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  title TEXT DEFAULT '',
+  assigned_email TEXT DEFAULT '',
+  created_by_email TEXT DEFAULT '',
+  due TEXT DEFAULT '',
+  data_json TEXT DEFAULT '{}',
+  PRIMARY KEY (board_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS board_comments (
+  board_id TEXT NOT NULL,
+  card_id TEXT NOT NULL,
+  id TEXT NOT NULL,
+  parent_id TEXT DEFAULT '',
+  position INTEGER NOT NULL,
+  author_email TEXT DEFAULT '',
+  created_at TEXT DEFAULT '',
+  data_json TEXT DEFAULT '{}',
+  PRIMARY KEY (board_id, card_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS board_attachments (
+  board_id TEXT NOT NULL,
+  card_id TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  attachment_key TEXT DEFAULT '',
+  data_json TEXT DEFAULT '{}',
+  PRIMARY KEY (board_id, card_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS user_accounts (
+  email TEXT PRIMARY KEY,
   name TEXT DEFAULT '',
   avatar_url TEXT DEFAULT '',
   avatar_key TEXT DEFAULT '',
-  is_admin INTEGER DEFAULT 0,
-  is_approved INTEGER DEFAULT 1,
-  updated_at TEXT,
-  PRIMARY KEY (board_id, email)
+  pin_hash TEXT DEFAULT '',
+  pin_salt TEXT DEFAULT '',
+  totp_secret TEXT DEFAULT '',
+  totp_pending_secret TEXT DEFAULT '',
+  totp_last_step INTEGER DEFAULT 0,
+  totp_enabled_at TEXT DEFAULT '',
+  recovery_codes TEXT DEFAULT '[]',
+  created_at TEXT,
+  updated_at TEXT
 );
 
-CREATE TABLE IF NOT EXISTS board_user_credentials (
+CREATE TABLE IF NOT EXISTS board_users (
   board_id TEXT NOT NULL,
   email TEXT NOT NULL,
-  pin_hash TEXT NOT NULL,
-  pin_salt TEXT NOT NULL,
+  is_admin INTEGER DEFAULT 0,
+  role TEXT DEFAULT '',
+  is_approved INTEGER DEFAULT 1,
+  is_suspended INTEGER DEFAULT 0,
   updated_at TEXT,
   PRIMARY KEY (board_id, email)
 );
 
 CREATE TABLE IF NOT EXISTS board_sessions (
   token TEXT PRIMARY KEY,
+  id TEXT DEFAULT '',
   board_id TEXT NOT NULL,
   user_email TEXT NOT NULL,
+  user_agent TEXT DEFAULT '',
+  ip TEXT DEFAULT '',
   created_at TEXT NOT NULL,
+  last_seen_at TEXT DEFAULT '',
+  access_expires_at TEXT DEFAULT '',
   expires_at TEXT NOT NULL
 );
 
+CREATE TABLE IF NOT EXISTS session_refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  used_at TEXT DEFAULT ''
+);
+
 CREATE TABLE IF NOT EXISTS board_notifications (
   id TEXT PRIMARY KEY,
   board_id TEXT NOT NULL,
@@ -51,6 +119,70 @@ CREATE TABLE IF NOT EXISTS board_notifications (
   read_at TEXT DEFAULT ''
 );
 
+CREATE TABLE IF NOT EXISTS board_revisions (
+  board_id TEXT NOT NULL,
+  revision INTEGER NOT NULL,
+  data TEXT,
+  is_delta INTEGER DEFAULT 0,
+  created_at TEXT,
+  author_email TEXT DEFAULT '',
+  PRIMARY KEY (board_id, revision)
+);
+
+CREATE TABLE IF NOT EXISTS board_activity (
+  id TEXT PRIMARY KEY,
+  board_id TEXT NOT NULL,
+  card_id TEXT DEFAULT '',
+  card_title TEXT DEFAULT '',
+  actor_email TEXT DEFAULT '',
+  actor_name TEXT DEFAULT '',
+  type TEXT NOT NULL,
+  data_json TEXT DEFAULT '{}',
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS board_invites (
+  id TEXT PRIMARY KEY,
+  board_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL,
+  role TEXT DEFAULT 'member',
+  max_uses INTEGER DEFAULT 0,
+  use_count INTEGER DEFAULT 0,
+  created_by TEXT DEFAULT '',
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS password_resets (
+  token_hash TEXT PRIMARY KEY,
+  email TEXT NOT NULL,
+  created_by TEXT DEFAULT '',
+  created_at TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id TEXT PRIMARY KEY,
+  email TEXT NOT NULL,
+  name TEXT DEFAULT '',
+  token_hash TEXT NOT NULL,
+  scopes_json TEXT DEFAULT '[]',
+  created_at TEXT NOT NULL,
+  expires_at TEXT DEFAULT '',
+  last_used_at TEXT DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  scope TEXT NOT NULL,
+  key TEXT NOT NULL,
+  failures INTEGER DEFAULT 0,
+  last_failure_at TEXT,
+  locked_until TEXT DEFAULT '',
+  PRIMARY KEY (scope, key)
+);
+
 CREATE TABLE IF NOT EXISTS user_telegram_settings (
   email TEXT PRIMARY KEY,
   chat_id TEXT DEFAULT '',
@@ -64,9 +196,22 @@ CREATE TABLE IF NOT EXISTS user_telegram_settings (
 );
 
 CREATE INDEX IF NOT EXISTS idx_board_users_board_id ON board_users(board_id);
-CREATE INDEX IF NOT EXISTS idx_board_user_credentials_board_id ON board_user_credentials(board_id);
+CREATE INDEX IF NOT EXISTS idx_board_users_email ON board_users(email);
 CREATE INDEX IF NOT EXISTS idx_board_sessions_board_id ON board_sessions(board_id);
+CREATE INDEX IF NOT EXISTS idx_board_sessions_user ON board_sessions(user_email, expires_at);
+CREATE INDEX IF NOT EXISTS idx_board_sessions_id ON board_sessions(id);
+CREATE INDEX IF NOT EXISTS idx_session_refresh_tokens_session ON session_refresh_tokens(session_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_board_invites_token ON board_invites(token_hash);
+CREATE INDEX IF NOT EXISTS idx_board_invites_board ON board_invites(board_id, expires_at);
+CREATE INDEX IF NOT EXISTS idx_password_resets_email ON password_resets(email);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_tokens_hash ON api_tokens(token_hash);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_email ON api_tokens(email);
 CREATE INDEX IF NOT EXISTS idx_board_notifications_recipient ON board_notifications(board_id, recipient_email, created_at);
 CREATE INDEX IF NOT EXISTS idx_board_notifications_unread ON board_notifications(board_id, recipient_email, read_at);
+CREATE INDEX IF NOT EXISTS idx_board_cards_column ON board_cards(board_id, column_id, position);
+CREATE INDEX IF NOT EXISTS idx_board_cards_assigned ON board_cards(board_id, assigned_email);
+CREATE INDEX IF NOT EXISTS idx_board_comments_card ON board_comments(board_id, card_id, position);
+CREATE INDEX IF NOT EXISTS idx_board_attachments_key ON board_attachments(attachment_key);
+CREATE INDEX IF NOT EXISTS idx_board_activity_card ON board_activity(board_id, card_id, created_at);
 CREATE UNIQUE INDEX IF NOT EXISTS idx_user_telegram_chat_id ON user_telegram_settings(chat_id) WHERE chat_id <> '';
 CREATE UNIQUE INDEX IF NOT EXISTS idx_user_telegram_link_token ON user_telegram_settings(link_token) WHERE link_token <> '';
@@ -4,10 +4,25 @@ function bytesToBase64(bytes) {
   return Buffer.from(bytes).toString("base64");
 }
 
-async function hashPin(pinCode, saltBase64) {
-  const combined = `${saltBase64}:${pinCode}`;
-  const digest = await webcrypto.subtle.digest("SHA-256", new TextEncoder().encode(combined));
-  return `sha256:${bytesToBase64(new Uint8Array(digest))}`;
+// Must match the worker's hash format so provisioned users log in without a re-hash
+const PASSWORD_HASH_PREFIX = "pbkdf2-sha256";
+const PASSWORD_HASH_ITERATIONS = 100000;
+const PASSWORD_HASH_MIN_ITERATIONS = 10000;
+
+function passwordHashIterations() {
+  const iterations = Number.parseInt(process.env.PASSWORD_HASH_ITERATIONS, 10);
+  if (!Number.isInteger(iterations)) return PASSWORD_HASH_ITERATIONS;
+  return Math.min(Math.max(iterations, PASSWORD_HASH_MIN_ITERATIONS), PASSWORD_HASH_ITERATIONS);
+}
+
+async function hashPin(pinCode, saltBase64, iterations) {
+  const key = await webcrypto.subtle.importKey("raw", new TextEncoder().encode(pinCode), { name: "PBKDF2" }, false, ["deriveBits"]);
+  const bits = await webcrypto.subtle.deriveBits(
+    { name: "PBKDF2", salt: Buffer.from(saltBase64, "base64"), iterations, hash: "SHA-256" },
+    key,
+    256
+  );
+  return `${PASSWORD_HASH_PREFIX}$${iterations}$${bytesToBase64(new Uint8Array(bits))}`;
 }
 
 function sqlEscape(value) {
@@ -23,10 +38,10 @@ if (!boardId || !email || !pinCode) {
 
 const saltBytes = webcrypto.getRandomValues(new Uint8Array(16));
 const pinSalt = bytesToBase64(saltBytes);
-const pinHash = await hashPin(pinCode, pinSalt);
+const pinHash = await hashPin(pinCode, pinSalt, passwordHashIterations());
 const now = new Date().toISOString();
 const isAdmin = isAdminArg === "1" ? 1 : 0;
 const isApproved = isApprovedArg === "0" ? 0 : 1;
 
-console.log(`INSERT OR REPLACE INTO board_users (board_id, email, name, avatar_url, avatar_key, is_admin, is_approved, updated_at) VALUES ('${sqlEscape(boardId)}', '${sqlEscape(email.toLowerCase())}', '${sqlEscape(name)}', '${sqlEscape(avatarUrl)}', '${sqlEscape(avatarKey)}', ${isAdmin}, ${isApproved}, '${sqlEscape(now)}');`);
-console.log(`INSERT OR REPLACE INTO board_user_credentials (board_id, email, pin_hash, pin_salt, updated_at) VALUES ('${sqlEscape(boardId)}', '${sqlEscape(email.toLowerCase())}', '${sqlEscape(pinHash)}', '${sqlEscape(pinSalt)}', '${sqlEscape(now)}');`);
+console.log(`INSERT INTO user_accounts (email, name, avatar_url, avatar_key, pin_hash, pin_salt, created_at, updated_at) VALUES ('${sqlEscape(email.toLowerCase())}', '${sqlEscape(name)}', '${sqlEscape(avatarUrl)}', '${sqlEscape(avatarKey)}', '${sqlEscape(pinHash)}', '${sqlEscape(pinSalt)}', '${sqlEscape(now)}', '${sqlEscape(now)}') ON CONFLICT(email) DO UPDATE SET name = excluded.name, avatar_url = excluded.avatar_url, avatar_key = excluded.avatar_key, pin_hash = excluded.pin_hash, pin_salt = excluded.pin_salt, updated_at = excluded.updated_at;`);
+console.log(`INSERT OR REPLACE INTO board_users (board_id, email, is_admin, is_approved, updated_at) VALUES ('${sqlEscape(boardId)}', '${sqlEscape(email.toLowerCase())}', ${isAdmin}, ${isApproved}, '${sqlEscape(now)}');`);
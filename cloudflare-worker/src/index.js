@@ -1,6 +1,49 @@
 const SESSION_TTL_MS = 1000 * 60 * 60 * 24 * 30;
+const SESSION_TOUCH_INTERVAL_MS = 1000 * 60 * 5;
+const ACCESS_TOKEN_TTL_MS = 1000 * 60 * 15;
+const REFRESH_REUSE_GRACE_MS = 1000 * 30;
 const LEGACY_PBKDF2_ITERATIONS = 20000;
+const PASSWORD_HASH_PREFIX = "pbkdf2-sha256";
+const PASSWORD_HASH_ITERATIONS = 100000;
+const PASSWORD_HASH_MIN_ITERATIONS = 10000;
 const TELEGRAM_LINK_TTL_MS = 1000 * 60 * 15;
+const PASSWORD_RESET_TTL_MS = 1000 * 60 * 60 * 24;
+const BOARD_REVISION_SNAPSHOTS = 50;
+const BOARD_REVISION_SNAPSHOT_INTERVAL = 10;
+const HISTORY_SEARCH_REVISIONS = 5;
+const BOARD_ACTIVITY_ENTRIES = 2000;
+const CHANGES_WAIT_MS = 1000 * 25;
+const CHANGES_POLL_INTERVAL_MS = 1000;
+const CHANGES_POLL_MAX_INTERVAL_MS = 1000 * 8;
+const LOGIN_EMAIL_FREE_ATTEMPTS = 5;
+const LOGIN_IP_FREE_ATTEMPTS = 20;
+const LOGIN_BACKOFF_BASE_MS = 1000 * 30;
+const LOGIN_LOCKOUT_MAX_MS = 1000 * 60 * 30;
+const LOGIN_ATTEMPT_WINDOW_MS = 1000 * 60 * 60;
+const TOTP_ISSUER = "VeeBoard";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_REQUIREMENTS = ["", "admins", "all"];
+const INVITE_TTL_HOURS = 24 * 7;
+const INVITE_MAX_TTL_HOURS = 24 * 30;
+const API_TOKEN_PREFIX = "vbp_";
+const API_TOKEN_SCOPES = ["read", "cards", "comments", "board"];
+const API_TOKEN_MAX_TTL_DAYS = 365;
+// Ordered from least to most access
+const BOARD_ROLES = ["viewer", "commenter", "member", "admin"];
+// Evaluated inside the write against the row being changed, so two admins demoting each other cannot both succeed
+const OTHER_ACTIVE_ADMIN_SQL = `EXISTS (
+  SELECT 1 FROM board_users o
+  WHERE o.board_id = board_users.board_id AND o.email <> board_users.email AND o.is_admin = 1 AND o.is_approved = 1 AND COALESCE(o.is_suspended, 0) = 0
+)`;
+const PUBLIC_USER_COLUMNS = `u.email, COALESCE(a.name, '') AS name, COALESCE(a.avatar_url, '') AS avatarUrl, COALESCE(a.avatar_key, '') AS avatarKey, u.is_admin AS isAdmin, COALESCE(u.role, '') AS role, u.is_approved AS isApproved, COALESCE(u.is_suspended, 0) AS isSuspended`;
+const BOARD_ROW_TABLES = {
+  columns: { table: "board_columns", fields: ["id", "position", "title", "is_done", "is_archive", "data_json"], keySize: 1 },
+  cards: { table: "board_cards", fields: ["id", "column_id", "position", "title", "assigned_email", "created_by_email", "due", "data_json"], keySize: 1 },
+  comments: { table: "board_comments", fields: ["card_id", "id", "parent_id", "position", "author_email", "created_at", "data_json"], keySize: 2 },
+  attachments: { table: "board_attachments", fields: ["card_id", "position", "attachment_key", "data_json"], keySize: 2 },
+};
 
 function normalizeEmail(value = "") {
   return String(value || "").trim().toLowerCase();
@@ -82,14 +125,23 @@ function flattenComments(comments = [], parentId = "") {
   return items;
 }
 
+// Rows from before roles existed only have is_admin
+function normalizeRole(role, isAdmin = false) {
+  if (BOARD_ROLES.includes(role)) return role;
+  return isAdmin ? "admin" : "member";
+}
+
 function normalizePublicUserRecord(user = {}) {
+  const role = normalizeRole(user.role, user.isAdmin);
   return {
     email: normalizeEmail(user.email || ""),
     name: (user.name || "").trim(),
     avatarUrl: user.avatarUrl || "",
     avatarKey: user.avatarKey || "",
-    isAdmin: !!user.isAdmin,
+    isAdmin: role === "admin",
+    role,
     isApproved: user.isApproved === undefined ? true : !!user.isApproved,
+    isSuspended: !!user.isSuspended,
   };
 }
 
@@ -238,12 +290,324 @@ function commentsChangeAllowed(oldComments = [], newComments = [], currentUser =
   return true;
 }
 
+function mergeValue(base, mine, theirs, prefer = "theirs") {
+  const baseStable = stableStringify(base);
+  const mineStable = stableStringify(mine);
+  const theirsStable = stableStringify(theirs);
+  if (mineStable === theirsStable || mineStable === baseStable) return { value: theirs, conflict: false };
+  if (theirsStable === baseStable) return { value: mine, conflict: false };
+  return { value: prefer === "mine" ? mine : theirs, conflict: true };
+}
+
+function latestSide(mine = {}, theirs = {}, key) {
+  return String(mine[key] || "") > String(theirs[key] || "") ? mine : theirs;
+}
+
+function buildCommentTree(items = []) {
+  const nodes = new Map();
+  const roots = [];
+  for (const item of items) {
+    const { parentId, ...comment } = item;
+    nodes.set(item.id, { ...comment, replies: [] });
+  }
+  for (const item of items) {
+    const node = nodes.get(item.id);
+    if (!item.parentId) {
+      roots.push(node);
+    } else if (nodes.has(item.parentId)) {
+      nodes.get(item.parentId).replies.push(node);
+    }
+  }
+  return roots;
+}
+
+function mergeComments(baseComments = [], mineComments = [], theirsComments = [], cardId, conflicts, prefer) {
+  const baseById = new Map(flattenComments(baseComments).map((comment) => [comment.id, comment]));
+  const mineList = flattenComments(mineComments);
+  const theirsList = flattenComments(theirsComments);
+  const mineById = new Map(mineList.map((comment) => [comment.id, comment]));
+  const theirsById = new Map(theirsList.map((comment) => [comment.id, comment]));
+  const ids = [...theirsList.map((comment) => comment.id), ...mineList.map((comment) => comment.id).filter((id) => !theirsById.has(id))];
+  const merged = [];
+
+  for (const id of ids) {
+    const base = baseById.get(id);
+    const mine = mineById.get(id);
+    const theirs = theirsById.get(id);
+    if (!base) {
+      merged.push(theirs || mine);
+      continue;
+    }
+    if (!mine || !theirs) {
+      const survivor = mine || theirs;
+      if ((survivor.text || "") === (base.text || "")) continue;
+      conflicts.push({ cardId, commentId: id, field: "comment", mine: mine || null, theirs: theirs || null });
+      const chosen = prefer === "mine" ? mine : theirs;
+      if (chosen) merged.push(chosen);
+      continue;
+    }
+    const text = mergeValue(base.text || "", mine.text || "", theirs.text || "", prefer);
+    if (text.conflict) {
+      conflicts.push({ cardId, commentId: id, field: "comment", mine, theirs });
+    }
+    const source = text.value === (mine.text || "") && text.value !== (theirs.text || "") ? mine : theirs;
+    merged.push({ ...source, text: text.value });
+  }
+
+  return buildCommentTree(merged);
+}
+
+function mergeCard(base, mine, theirs, conflicts, prefer) {
+  const metaKeys = new Set(["comments", "lastChanged", "lastChangedBy", "seq", "contentChangedAt", "contentChangedBy", "contentChangedByEmail", "positionChangedAt"]);
+  const merged = {};
+  const keys = new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]);
+  for (const key of keys) {
+    if (metaKeys.has(key)) continue;
+    const result = mergeValue(base[key], mine[key], theirs[key], prefer);
+    if (result.conflict) {
+      conflicts.push({ cardId: theirs.id, field: key, mine: mine[key] ?? null, theirs: theirs[key] ?? null });
+    }
+    if (result.value !== undefined) merged[key] = result.value;
+  }
+  merged.comments = mergeComments(base.comments, mine.comments, theirs.comments, theirs.id, conflicts, prefer);
+
+  const changeSide = latestSide(mine, theirs, "lastChanged");
+  const contentSide = latestSide(mine, theirs, "contentChangedAt");
+  const positionSide = latestSide(mine, theirs, "positionChangedAt");
+  for (const [side, sideKeys] of [
+    [changeSide, ["lastChanged", "lastChangedBy", "seq"]],
+    [contentSide, ["contentChangedAt", "contentChangedBy", "contentChangedByEmail"]],
+    [positionSide, ["positionChangedAt"]],
+  ]) {
+    for (const key of sideKeys) {
+      if (side[key] !== undefined) merged[key] = side[key];
+    }
+  }
+  return merged;
+}
+
+function cardWasMoved(baseEntry, entry) {
+  return baseEntry.colId !== entry.colId || (baseEntry.card.positionChangedAt || "") !== (entry.card.positionChangedAt || "");
+}
+
+function mergeColumnOrder(baseIds, mineIds, theirsIds, keptIds) {
+  const shared = (ids) => ids.filter((id) => baseIds.includes(id) && mineIds.includes(id) && theirsIds.includes(id));
+  const mineReordered = stableStringify(shared(mineIds)) !== stableStringify(shared(baseIds));
+  const theirsReordered = stableStringify(shared(theirsIds)) !== stableStringify(shared(baseIds));
+  const primary = mineReordered && !theirsReordered ? mineIds : theirsIds;
+  const secondary = primary === mineIds ? theirsIds : mineIds;
+  const order = primary.filter((id) => keptIds.has(id));
+  secondary.forEach((id, index) => {
+    if (!keptIds.has(id) || order.includes(id)) return;
+    const previous = secondary.slice(0, index).reverse().find((candidate) => order.includes(candidate));
+    order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, id);
+  });
+  return order;
+}
+
+function mergeBoardStates(base = {}, mine = {}, theirs = {}, { prefer = "theirs" } = {}) {
+  const conflicts = [];
+  const merged = boardStatePayload(theirs);
+  for (const key of ["attachmentMaxSize", "attachmentAllowAnyType"]) {
+    const result = mergeValue(base[key], mine[key], theirs[key], prefer);
+    if (result.conflict) conflicts.push({ field: key, mine: mine[key] ?? null, theirs: theirs[key] ?? null });
+    if (result.value === undefined) {
+      delete merged[key];
+    } else {
+      merged[key] = result.value;
+    }
+  }
+
+  const columnShell = (col = {}) => {
+    const { cards, ...shell } = col;
+    return shell;
+  };
+  const columnsById = (state) => new Map((state.columns || []).map((col) => [col.id, col]));
+  const baseColumns = columnsById(base);
+  const mineColumns = columnsById(mine);
+  const theirsColumns = columnsById(theirs);
+  const keptColumnIds = new Set();
+  const mergedShells = new Map();
+  for (const id of new Set([...mineColumns.keys(), ...theirsColumns.keys()])) {
+    const baseCol = baseColumns.get(id);
+    const mineCol = mineColumns.get(id);
+    const theirsCol = theirsColumns.get(id);
+    if (baseCol && (!mineCol || !theirsCol)) continue;
+    if (!baseCol) {
+      mergedShells.set(id, columnShell(theirsCol || mineCol));
+      keptColumnIds.add(id);
+      continue;
+    }
+    const shell = {};
+    const baseShell = columnShell(baseCol);
+    const mineShell = columnShell(mineCol);
+    const theirsShell = columnShell(theirsCol);
+    for (const key of new Set([...Object.keys(baseShell), ...Object.keys(mineShell), ...Object.keys(theirsShell)])) {
+      const result = mergeValue(baseShell[key], mineShell[key], theirsShell[key], prefer);
+      if (result.conflict) conflicts.push({ columnId: id, field: key, mine: mineShell[key] ?? null, theirs: theirsShell[key] ?? null });
+      if (result.value !== undefined) shell[key] = result.value;
+    }
+    mergedShells.set(id, shell);
+    keptColumnIds.add(id);
+  }
+  const columnOrder = mergeColumnOrder(
+    (base.columns || []).map((col) => col.id),
+    (mine.columns || []).map((col) => col.id),
+    (theirs.columns || []).map((col) => col.id),
+    keptColumnIds
+  );
+
+  const baseCards = flattenCards(base);
+  const mineCards = flattenCards(mine);
+  const theirsCards = flattenCards(theirs);
+  const placed = new Map();
+  for (const id of new Set([...mineCards.keys(), ...theirsCards.keys()])) {
+    const baseEntry = baseCards.get(id);
+    const mineEntry = mineCards.get(id);
+    const theirsEntry = theirsCards.get(id);
+    if (!baseEntry) {
+      const entry = theirsEntry || mineEntry;
+      placed.set(id, { card: entry.card, colId: entry.colId, fromMine: !theirsEntry });
+      continue;
+    }
+    if (!mineEntry || !theirsEntry) {
+      const survivor = mineEntry || theirsEntry;
+      const survivorChanged = stableStringify(survivor.card) !== stableStringify(baseEntry.card) || survivor.colId !== baseEntry.colId;
+      if (!survivorChanged) continue;
+      conflicts.push({ cardId: id, field: "card", mine: mineEntry?.card || null, theirs: theirsEntry?.card || null });
+      const chosen = prefer === "mine" ? mineEntry : theirsEntry;
+      if (chosen) placed.set(id, { card: chosen.card, colId: chosen.colId, fromMine: chosen === mineEntry });
+      continue;
+    }
+    const card = mergeCard(baseEntry.card, mineEntry.card, theirsEntry.card, conflicts, prefer);
+    const column = mergeValue(baseEntry.colId, mineEntry.colId, theirsEntry.colId, prefer);
+    if (column.conflict) conflicts.push({ cardId: id, field: "column", mine: mineEntry.colId, theirs: theirsEntry.colId });
+    const fromMine = column.value === mineEntry.colId && cardWasMoved(baseEntry, mineEntry) && !(column.conflict && prefer !== "mine");
+    placed.set(id, { card, colId: column.value, fromMine });
+  }
+
+  const fallbackColId = columnOrder.find((id) => !mergedShells.get(id)?.isArchive) || columnOrder[0];
+  const cardsByColumn = new Map(columnOrder.map((id) => [id, []]));
+  const resolveColumn = (entry, id) => {
+    if (cardsByColumn.has(entry.colId)) return entry.colId;
+    const theirsColId = theirsCards.get(id)?.colId;
+    return cardsByColumn.has(theirsColId) ? theirsColId : fallbackColId;
+  };
+  for (const col of theirs.columns || []) {
+    for (const card of col.cards || []) {
+      const entry = placed.get(card.id);
+      if (!entry || entry.fromMine) continue;
+      cardsByColumn.get(resolveColumn(entry, card.id))?.push(entry.card);
+    }
+  }
+  for (const col of mine.columns || []) {
+    (col.cards || []).forEach((card, index) => {
+      const entry = placed.get(card.id);
+      if (!entry || !entry.fromMine) return;
+      const target = cardsByColumn.get(resolveColumn(entry, card.id));
+      if (!target) return;
+      const previousId = (col.cards || []).slice(0, index).reverse().map((item) => item.id).find((itemId) => target.some((item) => item.id === itemId));
+      target.splice(previousId ? target.findIndex((item) => item.id === previousId) + 1 : 0, 0, entry.card);
+    });
+  }
+
+  merged.columns = columnOrder.map((id) => ({ ...mergedShells.get(id), cards: cardsByColumn.get(id) || [] }));
+  return { state: merged, conflicts };
+}
+
 function getBoardId(request, url) {
   return normalizeBoardId(request.headers.get("X-Board-ID")) || normalizeBoardId(url.searchParams.get("boardId")) || "default";
 }
 
 function getUserToken(request, url) {
-  return request.headers.get("X-User-Token") || url.searchParams.get("token") || "";
+  const bearer = (request.headers.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i);
+  return bearer?.[1] || request.headers.get("X-User-Token") || url.searchParams.get("token") || "";
+}
+
+// CORS_ALLOWED_ORIGINS is a comma-separated list of extra origins; "*" allows any origin
+function isOriginAllowed(env, origin, url) {
+  if (!origin || origin === url.origin) return true;
+  const allowed = String(env.CORS_ALLOWED_ORIGINS || "").split(",").map((item) => item.trim().replace(/\/+$/, "")).filter(Boolean);
+  return allowed.includes("*") || allowed.includes(origin);
+}
+
+function getClientIp(request) {
+  return String(request.headers.get("CF-Connecting-IP") || "").trim();
+}
+
+function loginThrottleKeys(request, email, ipScope = "ip") {
+  return [
+    { scope: "email", key: normalizeEmail(email), freeAttempts: LOGIN_EMAIL_FREE_ATTEMPTS },
+    { scope: ipScope, key: getClientIp(request), freeAttempts: LOGIN_IP_FREE_ATTEMPTS },
+  ].filter((item) => item.key);
+}
+
+async function getLoginAttempt(env, scope, key) {
+  const row = await env.DB.prepare(
+    "SELECT failures, last_failure_at, locked_until FROM login_attempts WHERE scope = ? AND key = ?"
+  ).bind(scope, key).first();
+  return loginAttemptPayload(row);
+}
+
+function loginAttemptPayload(row) {
+  if (!row) return null;
+  // Old failures stop counting once the window has passed without new ones
+  if (Date.now() - Date.parse(row.last_failure_at || 0) > LOGIN_ATTEMPT_WINDOW_MS && !(Date.parse(row.locked_until || 0) > Date.now())) {
+    return null;
+  }
+  return {
+    failedAttempts: Number(row.failures || 0),
+    lastFailureAt: row.last_failure_at || "",
+    lockedUntil: Date.parse(row.locked_until || 0) > Date.now() ? row.locked_until : "",
+  };
+}
+
+async function loginRetryAfter(env, keys) {
+  let retryAfter = 0;
+  for (const { scope, key } of keys) {
+    const attempt = await getLoginAttempt(env, scope, key);
+    if (attempt?.lockedUntil) {
+      retryAfter = Math.max(retryAfter, Math.ceil((Date.parse(attempt.lockedUntil) - Date.now()) / 1000));
+    }
+  }
+  return retryAfter;
+}
+
+async function recordLoginFailure(env, keys) {
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  for (const { scope, key, freeAttempts } of keys) {
+    // The counter is bumped in one statement so parallel guesses each see their own count
+    const row = await env.DB.prepare(
+      `INSERT INTO login_attempts (scope, key, failures, last_failure_at, locked_until) VALUES (?, ?, 1, ?, '')
+       ON CONFLICT(scope, key) DO UPDATE SET
+         failures = CASE
+           WHEN login_attempts.last_failure_at < ? AND COALESCE(login_attempts.locked_until, '') <= ? THEN 1
+           ELSE login_attempts.failures + 1
+         END,
+         last_failure_at = excluded.last_failure_at
+       RETURNING failures`
+    ).bind(scope, key, nowIso, new Date(now - LOGIN_ATTEMPT_WINDOW_MS).toISOString(), nowIso).first();
+    const failures = Number(row?.failures || 1);
+    // Each failure past the free attempts doubles the wait, up to the maximum lockout
+    if (failures < freeAttempts) continue;
+    const lockedUntil = new Date(now + Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (failures - freeAttempts), LOGIN_LOCKOUT_MAX_MS)).toISOString();
+    await env.DB.prepare(
+      "UPDATE login_attempts SET locked_until = ? WHERE scope = ? AND key = ? AND COALESCE(locked_until, '') < ?"
+    ).bind(lockedUntil, scope, key, lockedUntil).run();
+  }
+}
+
+async function clearLoginFailures(env, scope, key) {
+  await env.DB.prepare("DELETE FROM login_attempts WHERE scope = ? AND key = ?").bind(scope, key).run();
+}
+
+function loginLockedResponse(retryAfter, headers) {
+  return jsonResponse(
+    { error: "Too many failed attempts. Try again later.", retryAfter },
+    { ...headers, "Retry-After": String(retryAfter) },
+    429
+  );
 }
 
 function normalizeBoardId(value = "") {
@@ -267,13 +631,14 @@ function base64ToBytes(value) {
   return Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
 }
 
-async function hashPin(pinCode, saltBase64) {
-  const combined = `${saltBase64}:${pinCode}`;
-  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(combined));
-  return `sha256:${bytesToBase64(new Uint8Array(digest))}`;
+// Workers reject PBKDF2 above 100000 iterations, so the configured cost is capped there
+function passwordHashIterations(env) {
+  const iterations = Number.parseInt(env?.PASSWORD_HASH_ITERATIONS, 10);
+  if (!Number.isInteger(iterations)) return PASSWORD_HASH_ITERATIONS;
+  return Math.min(Math.max(iterations, PASSWORD_HASH_MIN_ITERATIONS), PASSWORD_HASH_ITERATIONS);
 }
 
-async function hashPinLegacyPbkdf2(pinCode, saltBase64) {
+async function derivePbkdf2(pinCode, saltBase64, iterations) {
   const key = await crypto.subtle.importKey(
     "raw",
     new TextEncoder().encode(pinCode),
@@ -285,34 +650,142 @@ async function hashPinLegacyPbkdf2(pinCode, saltBase64) {
     {
       name: "PBKDF2",
       salt: base64ToBytes(saltBase64),
-      iterations: LEGACY_PBKDF2_ITERATIONS,
+      iterations,
       hash: "SHA-256",
     },
     key,
     256
   );
-  return `pbkdf2:${bytesToBase64(new Uint8Array(bits))}`;
+  return bytesToBase64(new Uint8Array(bits));
+}
+
+async function hashPin(pinCode, saltBase64, iterations) {
+  return `${PASSWORD_HASH_PREFIX}$${iterations}$${await derivePbkdf2(pinCode, saltBase64, iterations)}`;
 }
 
 async function verifyPin(pinCode, saltBase64, storedHash) {
   if (!storedHash) return false;
-  if (storedHash.startsWith("sha256:")) {
-    return (await hashPin(pinCode, saltBase64)) === storedHash;
+  if (storedHash.startsWith(`${PASSWORD_HASH_PREFIX}$`)) {
+    const [, iterationsValue, hash] = storedHash.split("$");
+    const iterations = Number.parseInt(iterationsValue, 10);
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > PASSWORD_HASH_ITERATIONS) return false;
+    return (await derivePbkdf2(pinCode, saltBase64, iterations)) === hash;
   }
-  if (storedHash.startsWith("pbkdf2:")) {
-    return (await hashPinLegacyPbkdf2(pinCode, saltBase64)) === storedHash;
+  // Older formats are still accepted so existing users can log in and get re-hashed
+  if (storedHash.startsWith("sha256:")) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${saltBase64}:${pinCode}`));
+    return `sha256:${bytesToBase64(new Uint8Array(digest))}` === storedHash;
   }
-  const legacyRaw = await hashPinLegacyPbkdf2(pinCode, saltBase64);
-  return legacyRaw.slice("pbkdf2:".length) === storedHash;
+  const legacyHash = await derivePbkdf2(pinCode, saltBase64, LEGACY_PBKDF2_ITERATIONS);
+  return storedHash === `pbkdf2:${legacyHash}` || storedHash === legacyHash;
+}
+
+function pinNeedsRehash(env, storedHash) {
+  return !String(storedHash || "").startsWith(`${PASSWORD_HASH_PREFIX}$${passwordHashIterations(env)}$`);
 }
 
-async function makeCredential(pinCode) {
+async function makeCredential(env, pinCode) {
   const saltBytes = crypto.getRandomValues(new Uint8Array(16));
   const saltBase64 = bytesToBase64(saltBytes);
-  const pinHash = await hashPinLegacyPbkdf2(pinCode, saltBase64);
+  const pinHash = await hashPin(pinCode, saltBase64, passwordHashIterations(env));
   return { pinHash, pinSalt: saltBase64 };
 }
 
+async function rehashCredential(env, email, credential, pinCode) {
+  const { pinHash, pinSalt } = await makeCredential(env, pinCode);
+  // Only replace the hash that was just verified, so a concurrent password change wins
+  await env.DB.prepare(
+    "UPDATE user_accounts SET pin_hash = ?, pin_salt = ?, updated_at = ? WHERE email = ? AND pin_hash = ? AND pin_salt = ?"
+  ).bind(pinHash, pinSalt, new Date().toISOString(), email, credential.pinHash, credential.pinSalt).run();
+}
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of String(text || "").toUpperCase().replace(/[^A-Z2-7]/g, "")) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+function makeTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+function totpUri(email, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+async function totpCode(secret, step) {
+  const key = await crypto.subtle.importKey("raw", base32Decode(secret), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+  const counter = new Uint8Array(8);
+  new DataView(counter.buffer).setBigUint64(0, BigInt(step));
+  const hmac = new Uint8Array(await crypto.subtle.sign("HMAC", key, counter));
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// Allows one step of clock drift either way and returns the matched step, so a code cannot be used twice
+async function verifyTotp(secret, code, lastStep = 0) {
+  const normalized = String(code || "").replace(/\s+/g, "");
+  if (!secret || normalized.length !== TOTP_DIGITS || !/^\d+$/.test(normalized)) return 0;
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step > lastStep && (await totpCode(secret, step)) === normalized) return step;
+  }
+  return 0;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+}
+
+async function makeRecoveryCodes() {
+  const codes = [];
+  const hashes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i += 1) {
+    const code = base32Encode(crypto.getRandomValues(new Uint8Array(5))).toLowerCase();
+    codes.push(`${code.slice(0, 4)}-${code.slice(4)}`);
+    hashes.push(await hashToken(normalizeRecoveryCode(code)));
+  }
+  return { codes, hashes: JSON.stringify(hashes) };
+}
+
+function parseRecoveryCodes(value) {
+  try {
+    const hashes = JSON.parse(value || "[]");
+    return Array.isArray(hashes) ? hashes : [];
+  } catch {
+    return [];
+  }
+}
+
 async function getTableColumns(env, tableName) {
   const result = await env.DB.prepare(`PRAGMA table_info(${tableName})`).all();
   return new Set((result.results || []).map((row) => row.name));
@@ -342,6 +815,9 @@ async function migrateBoardUsersTable(env) {
   const tableInfo = await getTableInfo(env, "board_users");
   if (hasPrimaryKey(tableInfo, ["board_id", "email"])) return;
 
+  await ensureColumn(env, "board_users", "name", "TEXT DEFAULT ''");
+  await ensureColumn(env, "board_users", "avatar_url", "TEXT DEFAULT ''");
+  await ensureColumn(env, "board_users", "avatar_key", "TEXT DEFAULT ''");
   await env.DB.prepare("ALTER TABLE board_users RENAME TO board_users_legacy").run();
   await env.DB.prepare(
     "CREATE TABLE board_users (board_id TEXT NOT NULL, email TEXT NOT NULL, name TEXT DEFAULT '', avatar_url TEXT DEFAULT '', avatar_key TEXT DEFAULT '', is_admin INTEGER DEFAULT 0, is_approved INTEGER DEFAULT 1, updated_at TEXT, PRIMARY KEY (board_id, email))"
@@ -365,8 +841,10 @@ async function migrateBoardUsersTable(env) {
 
 async function migrateBoardUserCredentialsTable(env) {
   const tableInfo = await getTableInfo(env, "board_user_credentials");
-  if (hasPrimaryKey(tableInfo, ["board_id", "email"])) return;
+  if (!tableInfo.length || hasPrimaryKey(tableInfo, ["board_id", "email"])) return;
 
+  await ensureColumn(env, "board_user_credentials", "board_id", "TEXT DEFAULT 'default'");
+  await ensureColumn(env, "board_user_credentials", "email", "TEXT DEFAULT ''");
   await env.DB.prepare("ALTER TABLE board_user_credentials RENAME TO board_user_credentials_legacy").run();
   await env.DB.prepare(
     "CREATE TABLE board_user_credentials (board_id TEXT NOT NULL, email TEXT NOT NULL, pin_hash TEXT NOT NULL, pin_salt TEXT NOT NULL, updated_at TEXT, PRIMARY KEY (board_id, email))"
@@ -387,6 +865,52 @@ async function migrateBoardUserCredentialsTable(env) {
   await env.DB.prepare("DROP TABLE board_user_credentials_legacy").run();
 }
 
+// Profiles and passwords used to be copied into every board; the most recently updated copy becomes the account
+async function migrateUserAccounts(env) {
+  const userColumns = new Set((await getTableInfo(env, "board_users")).map((column) => column.name));
+  const hasCredentialsTable = (await getTableInfo(env, "board_user_credentials")).length > 0;
+  const statements = [];
+  if (userColumns.has("name")) {
+    statements.push(
+      env.DB.prepare(
+        `INSERT OR IGNORE INTO user_accounts (email, name, avatar_url, avatar_key, created_at, updated_at)
+         SELECT email, COALESCE(name, ''), COALESCE(avatar_url, ''), COALESCE(avatar_key, ''), updated_at, updated_at
+         FROM (
+           SELECT *, ROW_NUMBER() OVER (PARTITION BY email ORDER BY COALESCE(updated_at, '') DESC) AS row_rank
+           FROM board_users
+         )
+         WHERE row_rank = 1 AND email <> ''`
+      ),
+      env.DB.prepare("ALTER TABLE board_users RENAME TO board_users_legacy"),
+      env.DB.prepare(
+        "CREATE TABLE board_users (board_id TEXT NOT NULL, email TEXT NOT NULL, is_admin INTEGER DEFAULT 0, is_approved INTEGER DEFAULT 1, updated_at TEXT, PRIMARY KEY (board_id, email))"
+      ),
+      env.DB.prepare(
+        `INSERT OR REPLACE INTO board_users (board_id, email, is_admin, is_approved, updated_at)
+         SELECT board_id, email, COALESCE(is_admin, 0), COALESCE(is_approved, 1), updated_at FROM board_users_legacy`
+      ),
+      env.DB.prepare("DROP TABLE board_users_legacy")
+    );
+  }
+  if (hasCredentialsTable) {
+    statements.push(
+      env.DB.prepare(
+        `INSERT INTO user_accounts (email, pin_hash, pin_salt, created_at, updated_at)
+         SELECT email, pin_hash, pin_salt, updated_at, updated_at
+         FROM (
+           SELECT *, ROW_NUMBER() OVER (PARTITION BY email ORDER BY COALESCE(updated_at, '') DESC) AS row_rank
+           FROM board_user_credentials
+           WHERE COALESCE(pin_hash, '') <> '' AND COALESCE(pin_salt, '') <> ''
+         )
+         WHERE row_rank = 1 AND email <> ''
+         ON CONFLICT(email) DO UPDATE SET pin_hash = excluded.pin_hash, pin_salt = excluded.pin_salt`
+      ),
+      env.DB.prepare("DROP TABLE board_user_credentials")
+    );
+  }
+  if (statements.length) await env.DB.batch(statements);
+}
+
 async function migrateBoardSessionsTable(env) {
   const tableInfo = await getTableInfo(env, "board_sessions");
   const columns = new Set(tableInfo.map((column) => column.name));
@@ -411,24 +935,77 @@ async function migrateBoardSessionsTable(env) {
   await env.DB.prepare("DROP TABLE board_sessions_legacy").run();
 }
 
+async function migrateBoardDataToTables(env) {
+  const { results } = await env.DB.prepare("SELECT id, data FROM boards WHERE COALESCE(data, '') <> ''").all();
+  for (const board of results || []) {
+    let payload;
+    try {
+      payload = boardStatePayload(JSON.parse(board.data));
+    } catch (error) {
+      console.warn(`Board ${board.id} data could not be parsed, leaving it in place:`, error);
+      continue;
+    }
+    const writeToken = crypto.randomUUID();
+    await env.DB.batch([
+      env.DB.prepare(
+        "UPDATE boards SET data = NULL, write_token = ?, attachment_max_size = ?, attachment_allow_any_type = ? WHERE id = ? AND COALESCE(data, '') <> ''"
+      ).bind(writeToken, ...boardSettingsValues(payload), board.id),
+      ...boardRowStatements(env, board.id, null, boardRows(payload), writeToken),
+    ]);
+  }
+}
+
 let schemaReady = null;
 
 async function ensureSchema(env) {
   if (schemaReady) return schemaReady;
   schemaReady = (async () => {
-    await env.DB.prepare("CREATE TABLE IF NOT EXISTS boards (id TEXT PRIMARY KEY, name TEXT DEFAULT '', created_by TEXT DEFAULT '', data TEXT, created_at TEXT, updated_at TEXT)").run();
+    await env.DB.prepare("CREATE TABLE IF NOT EXISTS boards (id TEXT PRIMARY KEY, name TEXT DEFAULT '', created_by TEXT DEFAULT '', data TEXT, revision INTEGER DEFAULT 0, created_at TEXT, updated_at TEXT)").run();
     await env.DB.prepare(
-      "CREATE TABLE IF NOT EXISTS board_users (board_id TEXT NOT NULL, email TEXT NOT NULL, name TEXT DEFAULT '', avatar_url TEXT DEFAULT '', avatar_key TEXT DEFAULT '', is_admin INTEGER DEFAULT 0, is_approved INTEGER DEFAULT 1, updated_at TEXT, PRIMARY KEY (board_id, email))"
+      "CREATE TABLE IF NOT EXISTS user_accounts (email TEXT PRIMARY KEY, name TEXT DEFAULT '', avatar_url TEXT DEFAULT '', avatar_key TEXT DEFAULT '', pin_hash TEXT DEFAULT '', pin_salt TEXT DEFAULT '', totp_secret TEXT DEFAULT '', totp_pending_secret TEXT DEFAULT '', totp_last_step INTEGER DEFAULT 0, totp_enabled_at TEXT DEFAULT '', recovery_codes TEXT DEFAULT '[]', created_at TEXT, updated_at TEXT)"
     ).run();
     await env.DB.prepare(
-      "CREATE TABLE IF NOT EXISTS board_user_credentials (board_id TEXT NOT NULL, email TEXT NOT NULL, pin_hash TEXT NOT NULL, pin_salt TEXT NOT NULL, updated_at TEXT, PRIMARY KEY (board_id, email))"
+      "CREATE TABLE IF NOT EXISTS board_users (board_id TEXT NOT NULL, email TEXT NOT NULL, is_admin INTEGER DEFAULT 0, role TEXT DEFAULT '', is_approved INTEGER DEFAULT 1, is_suspended INTEGER DEFAULT 0, updated_at TEXT, PRIMARY KEY (board_id, email))"
     ).run();
     await env.DB.prepare(
-      "CREATE TABLE IF NOT EXISTS board_sessions (token TEXT PRIMARY KEY, board_id TEXT NOT NULL, user_email TEXT NOT NULL, created_at TEXT NOT NULL, expires_at TEXT NOT NULL)"
+      "CREATE TABLE IF NOT EXISTS board_sessions (token TEXT PRIMARY KEY, id TEXT DEFAULT '', board_id TEXT NOT NULL, user_email TEXT NOT NULL, user_agent TEXT DEFAULT '', ip TEXT DEFAULT '', created_at TEXT NOT NULL, last_seen_at TEXT DEFAULT '', access_expires_at TEXT DEFAULT '', expires_at TEXT NOT NULL)"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS session_refresh_tokens (token_hash TEXT PRIMARY KEY, session_id TEXT NOT NULL, created_at TEXT NOT NULL, used_at TEXT DEFAULT '')"
     ).run();
     await env.DB.prepare(
       "CREATE TABLE IF NOT EXISTS board_notifications (id TEXT PRIMARY KEY, board_id TEXT NOT NULL, recipient_email TEXT NOT NULL, actor_email TEXT DEFAULT '', type TEXT NOT NULL, card_id TEXT DEFAULT '', comment_id TEXT DEFAULT '', title TEXT DEFAULT '', body TEXT DEFAULT '', metadata_json TEXT DEFAULT '{}', created_at TEXT NOT NULL, read_at TEXT DEFAULT '')"
     ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS board_columns (board_id TEXT NOT NULL, id TEXT NOT NULL, position INTEGER NOT NULL, title TEXT DEFAULT '', is_done INTEGER DEFAULT 0, is_archive INTEGER DEFAULT 0, data_json TEXT DEFAULT '{}', PRIMARY KEY (board_id, id))"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS board_cards (board_id TEXT NOT NULL, id TEXT NOT NULL, column_id TEXT NOT NULL, position INTEGER NOT NULL, title TEXT DEFAULT '', assigned_email TEXT DEFAULT '', created_by_email TEXT DEFAULT '', due TEXT DEFAULT '', data_json TEXT DEFAULT '{}', PRIMARY KEY (board_id, id))"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS board_comments (board_id TEXT NOT NULL, card_id TEXT NOT NULL, id TEXT NOT NULL, parent_id TEXT DEFAULT '', position INTEGER NOT NULL, author_email TEXT DEFAULT '', created_at TEXT DEFAULT '', data_json TEXT DEFAULT '{}', PRIMARY KEY (board_id, card_id, id))"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS board_attachments (board_id TEXT NOT NULL, card_id TEXT NOT NULL, position INTEGER NOT NULL, attachment_key TEXT DEFAULT '', data_json TEXT DEFAULT '{}', PRIMARY KEY (board_id, card_id, position))"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS board_revisions (board_id TEXT NOT NULL, revision INTEGER NOT NULL, data TEXT, is_delta INTEGER DEFAULT 0, created_at TEXT, author_email TEXT DEFAULT '', PRIMARY KEY (board_id, revision))"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS board_activity (id TEXT PRIMARY KEY, board_id TEXT NOT NULL, card_id TEXT DEFAULT '', card_title TEXT DEFAULT '', actor_email TEXT DEFAULT '', actor_name TEXT DEFAULT '', type TEXT NOT NULL, data_json TEXT DEFAULT '{}', created_at TEXT NOT NULL)"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS board_invites (id TEXT PRIMARY KEY, board_id TEXT NOT NULL, token_hash TEXT NOT NULL, role TEXT DEFAULT 'member', max_uses INTEGER DEFAULT 0, use_count INTEGER DEFAULT 0, created_by TEXT DEFAULT '', created_at TEXT NOT NULL, expires_at TEXT NOT NULL, revoked_at TEXT DEFAULT '')"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS password_resets (token_hash TEXT PRIMARY KEY, email TEXT NOT NULL, created_by TEXT DEFAULT '', created_at TEXT NOT NULL, expires_at TEXT NOT NULL, used_at TEXT DEFAULT '')"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS api_tokens (id TEXT PRIMARY KEY, email TEXT NOT NULL, name TEXT DEFAULT '', token_hash TEXT NOT NULL, scopes_json TEXT DEFAULT '[]', created_at TEXT NOT NULL, expires_at TEXT DEFAULT '', last_used_at TEXT DEFAULT '')"
+    ).run();
+    await env.DB.prepare(
+      "CREATE TABLE IF NOT EXISTS login_attempts (scope TEXT NOT NULL, key TEXT NOT NULL, failures INTEGER DEFAULT 0, last_failure_at TEXT, locked_until TEXT DEFAULT '', PRIMARY KEY (scope, key))"
+    ).run();
     await env.DB.prepare(
       "CREATE TABLE IF NOT EXISTS user_telegram_settings (email TEXT PRIMARY KEY, chat_id TEXT DEFAULT '', telegram_username TEXT DEFAULT '', enabled INTEGER DEFAULT 0, language TEXT DEFAULT 'en', link_token TEXT DEFAULT '', link_expires_at TEXT DEFAULT '', linked_at TEXT DEFAULT '', updated_at TEXT)"
     ).run();
@@ -436,21 +1013,31 @@ async function ensureSchema(env) {
     await ensureColumn(env, "boards", "name", "TEXT DEFAULT ''");
     await ensureColumn(env, "boards", "created_by", "TEXT DEFAULT ''");
     await ensureColumn(env, "boards", "created_at", "TEXT");
+    await ensureColumn(env, "boards", "revision", "INTEGER DEFAULT 0");
+    await ensureColumn(env, "boards", "write_token", "TEXT DEFAULT ''");
+    await ensureColumn(env, "boards", "attachment_max_size", "INTEGER");
+    await ensureColumn(env, "boards", "attachment_allow_any_type", "INTEGER");
+    await ensureColumn(env, "boards", "require_two_factor", "TEXT DEFAULT ''");
+    await ensureColumn(env, "board_revisions", "author_email", "TEXT DEFAULT ''");
+    await ensureColumn(env, "board_revisions", "is_delta", "INTEGER DEFAULT 0");
     await ensureColumn(env, "board_users", "board_id", "TEXT DEFAULT 'default'");
     await ensureColumn(env, "board_users", "email", "TEXT DEFAULT ''");
-    await ensureColumn(env, "board_users", "name", "TEXT DEFAULT ''");
-    await ensureColumn(env, "board_users", "avatar_url", "TEXT DEFAULT ''");
-    await ensureColumn(env, "board_users", "avatar_key", "TEXT DEFAULT ''");
     await ensureColumn(env, "board_users", "is_admin", "INTEGER DEFAULT 0");
     await ensureColumn(env, "board_users", "is_approved", "INTEGER DEFAULT 1");
     await ensureColumn(env, "board_users", "updated_at", "TEXT");
-    await ensureColumn(env, "board_user_credentials", "board_id", "TEXT DEFAULT 'default'");
-    await ensureColumn(env, "board_user_credentials", "email", "TEXT DEFAULT ''");
-    await ensureColumn(env, "board_user_credentials", "pin_hash", "TEXT DEFAULT ''");
-    await ensureColumn(env, "board_user_credentials", "pin_salt", "TEXT DEFAULT ''");
-    await ensureColumn(env, "board_user_credentials", "updated_at", "TEXT");
     await migrateBoardUsersTable(env);
     await migrateBoardUserCredentialsTable(env);
+    await migrateUserAccounts(env);
+    await ensureColumn(env, "board_users", "role", "TEXT DEFAULT ''");
+    await env.DB.prepare(
+      "UPDATE board_users SET role = CASE WHEN is_admin = 1 THEN 'admin' ELSE 'member' END WHERE COALESCE(role, '') = ''"
+    ).run();
+    await ensureColumn(env, "board_users", "is_suspended", "INTEGER DEFAULT 0");
+    await ensureColumn(env, "user_accounts", "totp_secret", "TEXT DEFAULT ''");
+    await ensureColumn(env, "user_accounts", "totp_pending_secret", "TEXT DEFAULT ''");
+    await ensureColumn(env, "user_accounts", "totp_last_step", "INTEGER DEFAULT 0");
+    await ensureColumn(env, "user_accounts", "totp_enabled_at", "TEXT DEFAULT ''");
+    await ensureColumn(env, "user_accounts", "recovery_codes", "TEXT DEFAULT '[]'");
     await ensureColumn(env, "board_sessions", "board_id", "TEXT DEFAULT 'default'");
     await ensureColumn(env, "board_sessions", "user_email", "TEXT DEFAULT ''");
     await ensureColumn(env, "board_sessions", "created_at", "TEXT");
@@ -476,11 +1063,32 @@ async function ensureSchema(env) {
     await ensureColumn(env, "user_telegram_settings", "linked_at", "TEXT DEFAULT ''");
     await ensureColumn(env, "user_telegram_settings", "updated_at", "TEXT");
     await migrateBoardSessionsTable(env);
+    await ensureColumn(env, "board_sessions", "id", "TEXT DEFAULT ''");
+    await ensureColumn(env, "board_sessions", "user_agent", "TEXT DEFAULT ''");
+    await ensureColumn(env, "board_sessions", "ip", "TEXT DEFAULT ''");
+    await ensureColumn(env, "board_sessions", "last_seen_at", "TEXT DEFAULT ''");
+    await ensureColumn(env, "board_sessions", "access_expires_at", "TEXT DEFAULT ''");
+    // Sessions are revoked by id, so the token itself never has to leave the device that owns it
+    await env.DB.prepare("UPDATE board_sessions SET id = lower(hex(randomblob(16))) WHERE COALESCE(id, '') = ''").run();
+    await migrateBoardDataToTables(env);
     await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_users_board_id ON board_users(board_id)").run();
-    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_user_credentials_board_id ON board_user_credentials(board_id)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_users_email ON board_users(email)").run();
     await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_sessions_board_id ON board_sessions(board_id)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_sessions_user ON board_sessions(user_email, expires_at)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_sessions_id ON board_sessions(id)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_session_refresh_tokens_session ON session_refresh_tokens(session_id)").run();
+    await env.DB.prepare("CREATE UNIQUE INDEX IF NOT EXISTS idx_board_invites_token ON board_invites(token_hash)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_invites_board ON board_invites(board_id, expires_at)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_password_resets_email ON password_resets(email)").run();
+    await env.DB.prepare("CREATE UNIQUE INDEX IF NOT EXISTS idx_api_tokens_hash ON api_tokens(token_hash)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_api_tokens_email ON api_tokens(email)").run();
     await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_notifications_recipient ON board_notifications(board_id, recipient_email, created_at)").run();
     await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_notifications_unread ON board_notifications(board_id, recipient_email, read_at)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_cards_column ON board_cards(board_id, column_id, position)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_cards_assigned ON board_cards(board_id, assigned_email)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_comments_card ON board_comments(board_id, card_id, position)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_attachments_key ON board_attachments(attachment_key)").run();
+    await env.DB.prepare("CREATE INDEX IF NOT EXISTS idx_board_activity_card ON board_activity(board_id, card_id, created_at)").run();
     await env.DB.prepare("CREATE UNIQUE INDEX IF NOT EXISTS idx_user_telegram_chat_id ON user_telegram_settings(chat_id) WHERE chat_id <> ''").run();
     await env.DB.prepare("CREATE UNIQUE INDEX IF NOT EXISTS idx_user_telegram_link_token ON user_telegram_settings(link_token) WHERE link_token <> ''").run();
   })();
@@ -488,7 +1096,7 @@ async function ensureSchema(env) {
 }
 
 async function readBoardRow(env, boardId) {
-  return env.DB.prepare("SELECT id, name, data FROM boards WHERE id = ?").bind(boardId).first();
+  return env.DB.prepare("SELECT id, name, revision, attachment_max_size, attachment_allow_any_type FROM boards WHERE id = ?").bind(boardId).first();
 }
 
 async function ensureBoardRecord(env, boardId, { name = "", createdBy = "" } = {}) {
@@ -502,8 +1110,8 @@ async function ensureBoardRecord(env, boardId, { name = "", createdBy = "" } = {
     return { id, name: existing.name || name || id };
   }
   await env.DB.prepare(
-    "INSERT INTO boards (id, name, created_by, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)"
-  ).bind(id, name || id, normalizeEmail(createdBy || ""), JSON.stringify(boardStatePayload({ columns: [] })), now, now).run();
+    "INSERT INTO boards (id, name, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?)"
+  ).bind(id, name || id, normalizeEmail(createdBy || ""), now, now).run();
   return { id, name: name || id };
 }
 
@@ -518,7 +1126,7 @@ async function listAccessibleBoards(env, email) {
        u.is_approved AS isApproved
      FROM board_users u
      LEFT JOIN boards b ON b.id = u.board_id
-     WHERE u.email = ? AND u.is_approved = 1
+     WHERE u.email = ? AND u.is_approved = 1 AND COALESCE(u.is_suspended, 0) = 0
      ORDER BY COALESCE(NULLIF(b.name, ''), u.board_id) COLLATE NOCASE`
   ).bind(normalizedEmail).all();
   return (result.results || []).map((row) => ({
@@ -539,165 +1147,969 @@ async function listUserBoardIds(env, email) {
 async function adminUsersPayload(env, boardId, adminEmail) {
   const users = await listPublicUsers(env, boardId, { includePending: true });
   const adminBoards = (await listAccessibleBoards(env, adminEmail)).filter((board) => board.isAdmin);
-  const usersWithBoards = [];
-  for (const user of users) {
-    usersWithBoards.push({
-      ...user,
-      boards: await listUserBoardIds(env, user.email),
-    });
+  // Everything per member comes from two queries over the whole board, not a round trip per member
+  const memberships = await env.DB.prepare(
+    `SELECT m.email, m.board_id AS boardId
+     FROM board_users u JOIN board_users m ON m.email = u.email AND m.is_approved = 1
+     WHERE u.board_id = ?
+     ORDER BY m.board_id COLLATE NOCASE`
+  ).bind(boardId).all();
+  const boardsByEmail = new Map();
+  for (const row of memberships.results || []) {
+    if (!boardsByEmail.has(row.email)) boardsByEmail.set(row.email, []);
+    boardsByEmail.get(row.email).push(row.boardId);
   }
+  const details = await env.DB.prepare(
+    `SELECT
+       u.email,
+       COALESCE(a.totp_secret, '') <> '' AS twoFactorEnabled,
+       COALESCE(t.chat_id, '') <> '' AS telegramLinked,
+       l.key AS attemptKey, l.failures, l.last_failure_at, l.locked_until,
+       (SELECT COUNT(*) FROM board_sessions s WHERE s.board_id = u.board_id AND s.user_email = u.email AND s.expires_at > ?) AS sessionCount,
+       (SELECT COUNT(*) FROM board_cards c WHERE c.board_id = u.board_id AND c.created_by_email = u.email) AS createdCards,
+       (SELECT COUNT(*) FROM board_cards c WHERE c.board_id = u.board_id AND c.assigned_email = u.email) AS assignedCards,
+       NOT EXISTS (
+         SELECT 1 FROM board_users m WHERE m.email = u.email AND NOT EXISTS (
+           SELECT 1 FROM board_users o WHERE o.board_id = m.board_id AND o.email = ? AND o.is_admin = 1 AND o.is_approved = 1
+         )
+       ) AS canManageAccount
+     FROM board_users u
+     LEFT JOIN user_accounts a ON a.email = u.email
+     LEFT JOIN user_telegram_settings t ON t.email = u.email
+     LEFT JOIN login_attempts l ON l.scope = 'email' AND l.key = u.email
+     WHERE u.board_id = ?`
+  ).bind(new Date().toISOString(), normalizeEmail(adminEmail), boardId).all();
+  const detailsByEmail = new Map((details.results || []).map((row) => [row.email, row]));
+  const usersWithBoards = users.map((user) => {
+    const row = detailsByEmail.get(user.email) || {};
+    return {
+      ...user,
+      boards: boardsByEmail.get(user.email) || [],
+      loginAttempts: loginAttemptPayload(row.attemptKey ? row : null),
+      sessionCount: Number(row.sessionCount || 0),
+      twoFactorEnabled: !!row.twoFactorEnabled,
+      telegramLinked: !!row.telegramLinked,
+      canManageAccount: !!row.canManageAccount,
+      cardCounts: { created: Number(row.createdCards || 0), assigned: Number(row.assignedCards || 0) },
+    };
+  });
   return { users: usersWithBoards, boards: adminBoards };
 }
 
 async function listPublicUsers(env, boardId, { includePending = false } = {}) {
   const result = await env.DB.prepare(
-    `SELECT email, name, avatar_url AS avatarUrl, avatar_key AS avatarKey, is_admin AS isAdmin, is_approved AS isApproved
-     FROM board_users
-     WHERE board_id = ? ${includePending ? "" : "AND is_approved = 1"}
-     ORDER BY COALESCE(NULLIF(name, ''), email) COLLATE NOCASE`
+    `SELECT ${PUBLIC_USER_COLUMNS}
+     FROM board_users u
+     LEFT JOIN user_accounts a ON a.email = u.email
+     WHERE u.board_id = ? ${includePending ? "" : "AND u.is_approved = 1"}
+     ORDER BY COALESCE(NULLIF(a.name, ''), u.email) COLLATE NOCASE`
   ).bind(boardId).all();
   return (result.results || []).map(normalizePublicUserRecord);
 }
 
 async function getPublicUser(env, boardId, email) {
   const row = await env.DB.prepare(
-    "SELECT email, name, avatar_url AS avatarUrl, avatar_key AS avatarKey, is_admin AS isAdmin, is_approved AS isApproved FROM board_users WHERE board_id = ? AND email = ?"
+    `SELECT ${PUBLIC_USER_COLUMNS} FROM board_users u LEFT JOIN user_accounts a ON a.email = u.email WHERE u.board_id = ? AND u.email = ?`
   ).bind(boardId, normalizeEmail(email)).first();
   return row ? normalizePublicUserRecord(row) : null;
 }
 
-async function getUserCredential(env, boardId, email) {
+async function isEmailTaken(env, email) {
+  const row = await env.DB.prepare(
+    "SELECT 1 AS taken FROM user_accounts WHERE email = ? UNION SELECT 1 AS taken FROM board_users WHERE email = ?"
+  ).bind(normalizeEmail(email), normalizeEmail(email)).first();
+  return !!row;
+}
+
+// An admin may act on an account only when every board it belongs to is one they administer
+async function administersAllBoards(env, adminEmail, email) {
+  const row = await env.DB.prepare(
+    `SELECT COUNT(*) AS count FROM board_users u
+     WHERE u.email = ? AND NOT EXISTS (
+       SELECT 1 FROM board_users a WHERE a.board_id = u.board_id AND a.email = ? AND a.is_admin = 1 AND a.is_approved = 1
+     )`
+  ).bind(normalizeEmail(email), normalizeEmail(adminEmail)).first();
+  return !Number(row?.count || 0);
+}
+
+async function getAccount(env, email) {
   return env.DB.prepare(
-    "SELECT email, pin_hash AS pinHash, pin_salt AS pinSalt FROM board_user_credentials WHERE board_id = ? AND email = ?"
-  ).bind(boardId, normalizeEmail(email)).first();
+    `SELECT email, name, avatar_url AS avatarUrl, avatar_key AS avatarKey, pin_hash AS pinHash, pin_salt AS pinSalt,
+       COALESCE(totp_secret, '') AS totpSecret, COALESCE(totp_pending_secret, '') AS totpPendingSecret,
+       COALESCE(totp_last_step, 0) AS totpLastStep, COALESCE(recovery_codes, '[]') AS recoveryCodes
+     FROM user_accounts WHERE email = ?`
+  ).bind(normalizeEmail(email)).first();
 }
 
-async function listCredentialsForEmail(env, email) {
+// A code from the authenticator app, or one of the single-use recovery codes
+async function verifySecondFactor(env, account, { totpCode: code = "", recoveryCode = "" } = {}) {
+  if (code) {
+    const step = await verifyTotp(account.totpSecret, code, Number(account.totpLastStep) || 0);
+    if (!step) return false;
+    const result = await env.DB.prepare(
+      "UPDATE user_accounts SET totp_last_step = ? WHERE email = ? AND COALESCE(totp_last_step, 0) < ?"
+    ).bind(step, account.email, step).run();
+    return Number(result?.meta?.changes || 0) > 0;
+  }
+  const normalized = normalizeRecoveryCode(recoveryCode);
+  if (!normalized) return false;
+  const hash = await hashToken(normalized);
+  const hashes = parseRecoveryCodes(account.recoveryCodes);
+  if (!hashes.includes(hash)) return false;
   const result = await env.DB.prepare(
-    "SELECT board_id AS boardId, email, pin_hash AS pinHash, pin_salt AS pinSalt FROM board_user_credentials WHERE email = ?"
-  ).bind(normalizeEmail(email)).all();
-  return result.results || [];
+    "UPDATE user_accounts SET recovery_codes = ? WHERE email = ? AND recovery_codes = ?"
+  ).bind(JSON.stringify(hashes.filter((item) => item !== hash)), account.email, account.recoveryCodes).run();
+  return Number(result?.meta?.changes || 0) > 0;
 }
 
-async function upsertUserRecord(env, boardId, user, pinCode = null) {
-  const normalized = normalizePublicUserRecord(user);
-  if (!normalized.email) throw new Error("User email is required");
-  const now = new Date().toISOString();
+async function twoFactorRequirement(env, boardId) {
+  const row = await env.DB.prepare("SELECT COALESCE(require_two_factor, '') AS requirement FROM boards WHERE id = ?").bind(boardId).first();
+  return TWO_FACTOR_REQUIREMENTS.includes(row?.requirement) ? row.requirement : "";
+}
+
+async function isTwoFactorRequired(env, boardId, email) {
+  const requirement = await twoFactorRequirement(env, boardId);
+  return requirement === "all" || (requirement === "admins" && (await isUserAdmin(env, boardId, email)));
+}
+
+// Members who now need two-factor authentication but have not set it up are signed out of the board
+async function revokeSessionsWithoutTwoFactor(env, boardId) {
   await env.DB.prepare(
-    "INSERT OR REPLACE INTO board_users (board_id, email, name, avatar_url, avatar_key, is_admin, is_approved, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)"
-  ).bind(
-    boardId,
-    normalized.email,
-    normalized.name,
-    normalized.avatarUrl,
-    normalized.avatarKey,
-    normalized.isAdmin ? 1 : 0,
-    normalized.isApproved ? 1 : 0,
-    now
-  ).run();
+    `DELETE FROM board_sessions WHERE board_id = ? AND user_email IN (
+       SELECT u.email
+       FROM board_users u
+       JOIN boards b ON b.id = u.board_id
+       LEFT JOIN user_accounts a ON a.email = u.email
+       WHERE u.board_id = ? AND COALESCE(a.totp_secret, '') = ''
+         AND (b.require_two_factor = 'all' OR (b.require_two_factor = 'admins' AND u.is_admin = 1))
+     )`
+  ).bind(boardId, boardId).run();
+}
 
-  if (typeof pinCode === "string" && pinCode.trim()) {
-    const { pinHash, pinSalt } = await makeCredential(pinCode.trim());
-    await env.DB.prepare(
-      "INSERT OR REPLACE INTO board_user_credentials (board_id, email, pin_hash, pin_salt, updated_at) VALUES (?, ?, ?, ?, ?)"
-    ).bind(boardId, normalized.email, pinHash, pinSalt, now).run();
-  }
+async function twoFactorPayload(env, boardId, email) {
+  const account = await getAccount(env, email);
+  return {
+    enabled: !!account?.totpSecret,
+    recoveryCodesLeft: parseRecoveryCodes(account?.recoveryCodes).length,
+    requirement: await twoFactorRequirement(env, boardId),
+    required: await isTwoFactorRequired(env, boardId, email),
+  };
 }
 
-async function deleteUserRecords(env, boardId, email) {
-  const normalizedEmail = normalizeEmail(email);
-  await env.DB.prepare("DELETE FROM board_users WHERE board_id = ? AND email = ?").bind(boardId, normalizedEmail).run();
-  await env.DB.prepare("DELETE FROM board_user_credentials WHERE board_id = ? AND email = ?").bind(boardId, normalizedEmail).run();
-  await env.DB.prepare("DELETE FROM board_sessions WHERE board_id = ? AND user_email = ?").bind(boardId, normalizedEmail).run();
-  await env.DB.prepare("DELETE FROM board_notifications WHERE board_id = ? AND recipient_email = ?").bind(boardId, normalizedEmail).run();
+async function verifyAccountPin(env, email, pinCode) {
+  const account = await getAccount(env, email);
+  if (!account?.pinHash || !account?.pinSalt) return null;
+  return (await verifyPin(pinCode, account.pinSalt, account.pinHash)) ? account : null;
 }
 
-async function createSession(env, boardId, userEmail) {
-  const token = crypto.randomUUID();
-  const now = Date.now();
-  const expiresAt = new Date(now + SESSION_TTL_MS).toISOString();
-  const normalizedEmail = normalizeEmail(userEmail);
-  const createdAt = new Date(now).toISOString();
-  await env.DB.prepare(
-    "INSERT OR REPLACE INTO board_sessions (token, board_id, user_email, created_at, expires_at) VALUES (?, ?, ?, ?, ?)"
-  ).bind(token, boardId, normalizedEmail, createdAt, expiresAt).run();
-  return { token, expiresAt };
+// Checks a password against the login throttle; shared by /auth and the enrollment that precedes a forced 2FA login
+async function authenticateAccount(env, request, email, pinCode) {
+  const throttleKeys = loginThrottleKeys(request, email);
+  const retryAfter = await loginRetryAfter(env, throttleKeys);
+  if (retryAfter) return { retryAfter };
+  const account = await verifyAccountPin(env, email, pinCode);
+  if (!account) {
+    await recordLoginFailure(env, throttleKeys);
+    return { error: "Invalid email or password." };
+  }
+  if (pinNeedsRehash(env, account.pinHash)) {
+    await rehashCredential(env, email, account, pinCode);
+  }
+  return { account, throttleKeys };
 }
 
-async function getSessionUser(env, boardId, token) {
-  if (!token) return "";
-  const row = await env.DB.prepare(
-    "SELECT user_email AS userEmail, expires_at AS expiresAt FROM board_sessions WHERE token = ? AND board_id = ?"
-  ).bind(token, boardId).first();
-  if (!row) return "";
-  if (row.expiresAt && Date.parse(row.expiresAt) <= Date.now()) {
-    await env.DB.prepare("DELETE FROM board_sessions WHERE token = ?").bind(token).run();
-    return "";
+// Accounts with two-factor enabled must pass it before a login reveals anything about their boards
+async function secondFactorError(env, account, body, throttleKeys) {
+  if (!account.totpSecret) return null;
+  if (!body.totpCode && !body.recoveryCode) {
+    return { error: "Enter the code from your authenticator app.", twoFactorRequired: true };
   }
-  return normalizeEmail(row.userEmail || "");
+  if (!(await verifySecondFactor(env, account, body))) {
+    await recordLoginFailure(env, throttleKeys);
+    return { error: "Invalid verification code.", twoFactorRequired: true };
+  }
+  return null;
 }
 
-async function isUserAdmin(env, boardId, email) {
+// The account is global, so a login from a board the user is not on opens their first board instead
+async function resolveLoginBoard(env, boardId, email) {
   const user = await getPublicUser(env, boardId, email);
-  return !!user?.isAdmin;
+  if (!user?.isApproved || user.isSuspended) {
+    const [firstBoard] = await listAccessibleBoards(env, email);
+    if (firstBoard) {
+      return { boardId: firstBoard.id, user: await getPublicUser(env, firstBoard.id, email) };
+    }
+  }
+  if (!user) return { error: "You do not have access to this board." };
+  if (!user.isApproved) return { error: "Your account is waiting for admin approval." };
+  if (user.isSuspended) return { error: "Your account is suspended on this board." };
+  return { boardId, user };
 }
 
-function sanitizedState(state = {}, publicUsers = []) {
+async function loginSessionPayload(env, request, boardId, user) {
+  const session = await createSession(env, boardId, user.email, request);
   return {
-    ...state,
-    users: publicUsers.map(normalizePublicUserRecord),
+    success: true,
+    boardId,
+    user,
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresAt: session.expiresAt,
+    isAdmin: !!user.isAdmin,
   };
 }
 
-function boardStatePayload(state = {}) {
-  const payload = {
-    columns: Array.isArray(state.columns) ? state.columns : [],
+function invitePayload(row = {}) {
+  return {
+    id: row.id,
+    role: BOARD_ROLES.includes(row.role) ? row.role : "member",
+    maxUses: Number(row.max_uses || 0),
+    useCount: Number(row.use_count || 0),
+    createdBy: row.created_by || "",
+    createdAt: row.created_at || "",
+    expiresAt: row.expires_at || "",
   };
-  const maxSize = parseInt(state.attachmentMaxSize, 10);
-  if (!isNaN(maxSize) && maxSize >= 1 && maxSize <= 200) {
-    payload.attachmentMaxSize = maxSize;
-  }
-  if (state.attachmentAllowAnyType === true || state.attachmentAllowAnyType === false) {
-    payload.attachmentAllowAnyType = state.attachmentAllowAnyType;
-  }
-  return payload;
 }
 
-async function loadSanitizedBoard(env, boardId) {
-  const row = await readBoardRow(env, boardId);
-  const publicUsers = await listPublicUsers(env, boardId);
-  const rawState = row?.data ? JSON.parse(row.data) : null;
-  if (!rawState) {
-    return sanitizedState(boardStatePayload({ columns: [] }), publicUsers);
-  }
-  return sanitizedState(rawState, publicUsers);
+// Revoked, expired and used-up invites are left out; they stay in the table only as a record
+async function listBoardInvites(env, boardId) {
+  const result = await env.DB.prepare(
+    `SELECT * FROM board_invites
+     WHERE board_id = ? AND COALESCE(revoked_at, '') = '' AND expires_at > ? AND (max_uses = 0 OR use_count < max_uses)
+     ORDER BY created_at DESC`
+  ).bind(boardId, new Date().toISOString()).all();
+  return (result.results || []).map(invitePayload);
 }
 
-async function persistBoardState(env, boardId, state) {
-  const data = JSON.stringify(boardStatePayload(state));
+async function createBoardInvite(env, boardId, createdBy, { role = "member", expiresInHours = INVITE_TTL_HOURS, singleUse = false } = {}) {
+  const hours = Math.min(Math.max(Number(expiresInHours) || INVITE_TTL_HOURS, 1), INVITE_MAX_TTL_HOURS);
+  const token = makeRefreshToken();
+  const now = new Date();
+  const row = {
+    id: crypto.randomUUID(),
+    board_id: boardId,
+    role,
+    max_uses: singleUse ? 1 : 0,
+    use_count: 0,
+    created_by: normalizeEmail(createdBy),
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString(),
+  };
   await env.DB.prepare(
-    `INSERT INTO boards (id, data, updated_at)
-     VALUES (?, ?, ?)
-     ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
-  ).bind(boardId, data, new Date().toISOString()).run();
+    "INSERT INTO board_invites (id, board_id, token_hash, role, max_uses, use_count, created_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?)"
+  ).bind(row.id, boardId, await hashToken(token), role, row.max_uses, row.created_by, row.created_at, row.expires_at).run();
+  return { token, invite: invitePayload(row) };
 }
 
-function telegramAvailable(env) {
-  return !!String(env.TELEGRAM_BOT_TOKEN || "").trim()
-    && !!String(env.TELEGRAM_BOT_USERNAME || "").trim()
-    && !!String(env.TELEGRAM_WEBHOOK_SECRET || "").trim();
+async function findInvite(env, token) {
+  if (!token) return null;
+  const row = await env.DB.prepare(
+    `SELECT i.*, COALESCE(NULLIF(b.name, ''), i.board_id) AS board_name
+     FROM board_invites i
+     JOIN boards b ON b.id = i.board_id
+     WHERE i.token_hash = ? AND COALESCE(i.revoked_at, '') = '' AND i.expires_at > ? AND (i.max_uses = 0 OR i.use_count < i.max_uses)`
+  ).bind(await hashToken(String(token)), new Date().toISOString()).first();
+  return row ? { ...invitePayload(row), boardId: row.board_id, boardName: row.board_name } : null;
 }
 
-async function telegramApi(env, method, payload) {
-  const token = String(env.TELEGRAM_BOT_TOKEN || "").trim();
-  if (!token) throw new Error("Telegram bot token is not configured");
-  const response = await fetch(`https://api.telegram.org/bot${token}/${method}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-  const data = await response.json().catch(() => ({}));
-  if (!response.ok || !data.ok) {
+// The use is counted with a conditional update, so two people cannot both redeem a single-use link
+async function claimInvite(env, invite) {
+  const result = await env.DB.prepare(
+    `UPDATE board_invites SET use_count = use_count + 1
+     WHERE id = ? AND COALESCE(revoked_at, '') = '' AND expires_at > ? AND (max_uses = 0 OR use_count < max_uses)`
+  ).bind(invite.id, new Date().toISOString()).run();
+  return Number(result?.meta?.changes || 0) > 0;
+}
+
+// Issuing a new link replaces any the user has not used yet, so only the latest one works
+async function createPasswordReset(env, email, createdBy) {
+  const normalizedEmail = normalizeEmail(email);
+  const token = makeRefreshToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + PASSWORD_RESET_TTL_MS).toISOString();
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM password_resets WHERE email = ? OR expires_at <= ?").bind(normalizedEmail, now.toISOString()),
+    env.DB.prepare(
+      "INSERT INTO password_resets (token_hash, email, created_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?)"
+    ).bind(await hashToken(token), normalizedEmail, normalizeEmail(createdBy), now.toISOString(), expiresAt),
+  ]);
+  return { token, expiresAt };
+}
+
+async function findPasswordReset(env, token) {
+  if (!token) return null;
+  return env.DB.prepare(
+    `SELECT r.token_hash AS tokenHash, r.email, r.expires_at AS expiresAt
+     FROM password_resets r
+     JOIN user_accounts a ON a.email = r.email
+     WHERE r.token_hash = ? AND COALESCE(r.used_at, '') = '' AND r.expires_at > ?`
+  ).bind(await hashToken(String(token)), new Date().toISOString()).first();
+}
+
+function apiTokenPayload(row = {}) {
+  let scopes = [];
+  try {
+    scopes = JSON.parse(row.scopes_json || "[]");
+  } catch {}
+  return {
+    id: row.id,
+    name: row.name || "",
+    scopes: Array.isArray(scopes) ? scopes.filter((scope) => API_TOKEN_SCOPES.includes(scope)) : [],
+    createdAt: row.created_at || "",
+    expiresAt: row.expires_at || "",
+    lastUsedAt: row.last_used_at || "",
+  };
+}
+
+async function listApiTokens(env, email) {
+  const result = await env.DB.prepare(
+    "SELECT id, name, scopes_json, created_at, expires_at, last_used_at FROM api_tokens WHERE email = ? ORDER BY created_at DESC"
+  ).bind(normalizeEmail(email)).all();
+  return (result.results || []).map(apiTokenPayload);
+}
+
+async function createApiToken(env, email, { name = "", scopes = [], expiresInDays = 0 } = {}) {
+  const token = `${API_TOKEN_PREFIX}${makeRefreshToken()}`;
+  const now = new Date();
+  const days = Math.min(Math.max(Math.floor(Number(expiresInDays) || 0), 0), API_TOKEN_MAX_TTL_DAYS);
+  const row = {
+    id: crypto.randomUUID(),
+    name,
+    scopes_json: JSON.stringify(scopes),
+    created_at: now.toISOString(),
+    expires_at: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : "",
+  };
+  await env.DB.prepare(
+    "INSERT INTO api_tokens (id, email, name, token_hash, scopes_json, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)"
+  ).bind(row.id, normalizeEmail(email), row.name, await hashToken(token), row.scopes_json, row.created_at, row.expires_at).run();
+  return { token, apiToken: apiTokenPayload(row) };
+}
+
+async function findApiToken(env, token) {
+  if (!String(token || "").startsWith(API_TOKEN_PREFIX)) return null;
+  const row = await env.DB.prepare(
+    `SELECT t.id, t.email, t.name, t.scopes_json, t.created_at, t.expires_at, t.last_used_at
+     FROM api_tokens t
+     JOIN user_accounts a ON a.email = t.email
+     WHERE t.token_hash = ?`
+  ).bind(await hashToken(token)).first();
+  if (!row || (row.expires_at && Date.parse(row.expires_at) <= Date.now())) return null;
+  return { ...apiTokenPayload(row), email: normalizeEmail(row.email) };
+}
+
+// Which API token scope a request needs; routes without one cannot be called with a token
+function apiTokenScope(path, method) {
+  if (/^\/cards\/[^/]+\/comments(\/|$)/.test(path)) return "comments";
+  // /save replaces the whole board, so it gets its own scope instead of riding on card edits
+  if (path === "/save") return "board";
+  if (/^\/(cards|columns)(\/|$)/.test(path) || path === "/upload" || path === "/delete-image") return "cards";
+  if (method === "GET" && ["/boards", "/load", "/changes", "/activity", "/notifications", "/image"].includes(path)) return "read";
+  if (method === "POST" && path === "/notifications/read") return "read";
+  return "";
+}
+
+// A new password ends every session and API token issued under the old one
+async function revokeAccountCredentials(env, email) {
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM board_sessions WHERE user_email = ?").bind(email),
+    env.DB.prepare("DELETE FROM api_tokens WHERE email = ?").bind(email),
+  ]);
+}
+
+async function upsertAccount(env, user, pinCode = null) {
+  const email = normalizeEmail(user.email || "");
+  if (!email) throw new Error("User email is required");
+  const now = new Date().toISOString();
+  await env.DB.prepare(
+    `INSERT INTO user_accounts (email, name, avatar_url, avatar_key, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(email) DO UPDATE SET name = excluded.name, avatar_url = excluded.avatar_url, avatar_key = excluded.avatar_key, updated_at = excluded.updated_at`
+  ).bind(email, (user.name || "").trim(), user.avatarUrl || "", user.avatarKey || "", now, now).run();
+
+  if (typeof pinCode === "string" && pinCode.trim()) {
+    const { pinHash, pinSalt } = await makeCredential(env, pinCode.trim());
+    await env.DB.prepare(
+      "UPDATE user_accounts SET pin_hash = ?, pin_salt = ?, updated_at = ? WHERE email = ?"
+    ).bind(pinHash, pinSalt, now, email).run();
+  }
+}
+
+// is_admin is kept in step with the role for the queries that only ask whether someone is an admin
+async function upsertBoardMember(env, boardId, email, { isAdmin = false, role = "", isApproved = true, isSuspended = false } = {}) {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) throw new Error("User email is required");
+  const nextRole = normalizeRole(role, isAdmin);
+  await env.DB.prepare(
+    "INSERT OR REPLACE INTO board_users (board_id, email, is_admin, role, is_approved, is_suspended, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)"
+  ).bind(boardId, normalizedEmail, nextRole === "admin" ? 1 : 0, nextRole, isApproved ? 1 : 0, isSuspended ? 1 : 0, new Date().toISOString()).run();
+}
+
+// Returns false when the member is the board's last active admin and was left unchanged
+async function demoteBoardAdmin(env, boardId, email, { role = "member", isApproved = true, isSuspended = false } = {}) {
+  const nextRole = normalizeRole(role);
+  const result = await env.DB.prepare(
+    `UPDATE board_users SET is_admin = ?, role = ?, is_approved = ?, is_suspended = ?, updated_at = ?
+     WHERE board_id = ? AND email = ? AND ${OTHER_ACTIVE_ADMIN_SQL}`
+  ).bind(nextRole === "admin" ? 1 : 0, nextRole, isApproved ? 1 : 0, isSuspended ? 1 : 0, new Date().toISOString(), boardId, normalizeEmail(email)).run();
+  return Number(result?.meta?.changes || 0) > 0;
+}
+
+// Admins are only removed with allowAdmin and while another active admin remains; returns null when the member stays
+async function deleteUserRecords(env, boardId, email, { allowAdmin = false } = {}) {
+  const normalizedEmail = normalizeEmail(email);
+  const removed = await env.DB.prepare(
+    `DELETE FROM board_users WHERE board_id = ? AND email = ? AND (is_admin = 0${allowAdmin ? ` OR ${OTHER_ACTIVE_ADMIN_SQL}` : ""})`
+  ).bind(boardId, normalizedEmail).run();
+  if (!Number(removed?.meta?.changes || 0) && (await getPublicUser(env, boardId, normalizedEmail))) return null;
+  await env.DB.prepare("DELETE FROM board_sessions WHERE board_id = ? AND user_email = ?").bind(boardId, normalizedEmail).run();
+  await env.DB.prepare("DELETE FROM board_notifications WHERE board_id = ? AND recipient_email = ?").bind(boardId, normalizedEmail).run();
+  // The account goes away with its last board, and the caller learns that its avatar is now unused
+  const result = await env.DB.prepare(
+    "DELETE FROM user_accounts WHERE email = ? AND NOT EXISTS (SELECT 1 FROM board_users WHERE email = ?)"
+  ).bind(normalizedEmail, normalizedEmail).run();
+  const accountDeleted = Number(result?.meta?.changes || 0) > 0;
+  if (accountDeleted) {
+    await env.DB.prepare("DELETE FROM api_tokens WHERE email = ?").bind(normalizedEmail).run();
+  }
+  return accountDeleted;
+}
+
+async function hashToken(value) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value));
+  return bytesToBase64(new Uint8Array(digest));
+}
+
+function makeRefreshToken() {
+  return bytesToBase64(crypto.getRandomValues(new Uint8Array(32))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+async function createSession(env, boardId, userEmail, request = null) {
+  const token = crypto.randomUUID();
+  const refreshToken = makeRefreshToken();
+  const sessionId = crypto.randomUUID();
+  const now = Date.now();
+  const expiresAt = new Date(now + ACCESS_TOKEN_TTL_MS).toISOString();
+  const normalizedEmail = normalizeEmail(userEmail);
+  const createdAt = new Date(now).toISOString();
+  await env.DB.prepare("DELETE FROM board_sessions WHERE expires_at <= ?").bind(createdAt).run();
+  await env.DB.prepare(
+    "DELETE FROM session_refresh_tokens WHERE NOT EXISTS (SELECT 1 FROM board_sessions s WHERE s.id = session_refresh_tokens.session_id)"
+  ).run();
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT OR REPLACE INTO board_sessions (token, id, board_id, user_email, user_agent, ip, created_at, last_seen_at, access_expires_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(
+      token,
+      sessionId,
+      boardId,
+      normalizedEmail,
+      String(request?.headers.get("User-Agent") || "").slice(0, 300),
+      request ? getClientIp(request) : "",
+      createdAt,
+      createdAt,
+      expiresAt,
+      new Date(now + SESSION_TTL_MS).toISOString()
+    ),
+    env.DB.prepare(
+      "INSERT INTO session_refresh_tokens (token_hash, session_id, created_at) VALUES (?, ?, ?)"
+    ).bind(await hashToken(refreshToken), sessionId, createdAt),
+  ]);
+  return { token, refreshToken, expiresAt };
+}
+
+// Each refresh token works once. Presenting a spent one again means it was copied, so the whole session is revoked
+async function refreshSession(env, refreshToken) {
+  if (!refreshToken) return { error: "Session expired." };
+  const tokenHash = await hashToken(refreshToken);
+  const row = await env.DB.prepare(
+    `SELECT r.session_id AS sessionId, r.used_at AS usedAt, s.board_id AS boardId, s.expires_at AS expiresAt
+     FROM session_refresh_tokens r
+     JOIN board_sessions s ON s.id = r.session_id
+     WHERE r.token_hash = ?`
+  ).bind(tokenHash).first();
+  if (!row || Date.parse(row.expiresAt) <= Date.now()) return { error: "Session expired." };
+
+  const now = new Date();
+  const claim = await env.DB.prepare(
+    "UPDATE session_refresh_tokens SET used_at = ? WHERE token_hash = ? AND COALESCE(used_at, '') = ''"
+  ).bind(now.toISOString(), tokenHash).run();
+  if (!Number(claim?.meta?.changes || 0)) {
+    // Two tabs can race to refresh with the same token; only a late replay counts as reuse
+    if (row.usedAt && now.getTime() - Date.parse(row.usedAt) > REFRESH_REUSE_GRACE_MS) {
+      await env.DB.batch([
+        env.DB.prepare("DELETE FROM board_sessions WHERE id = ?").bind(row.sessionId),
+        env.DB.prepare("DELETE FROM session_refresh_tokens WHERE session_id = ?").bind(row.sessionId),
+      ]);
+      return { error: "Session was revoked." };
+    }
+    return { error: "Session was already refreshed." };
+  }
+
+  const token = crypto.randomUUID();
+  const nextRefreshToken = makeRefreshToken();
+  const expiresAt = new Date(now.getTime() + ACCESS_TOKEN_TTL_MS).toISOString();
+  await env.DB.batch([
+    env.DB.prepare(
+      "UPDATE board_sessions SET token = ?, access_expires_at = ?, expires_at = ?, last_seen_at = ? WHERE id = ?"
+    ).bind(token, expiresAt, new Date(now.getTime() + SESSION_TTL_MS).toISOString(), now.toISOString(), row.sessionId),
+    env.DB.prepare(
+      "INSERT INTO session_refresh_tokens (token_hash, session_id, created_at) VALUES (?, ?, ?)"
+    ).bind(await hashToken(nextRefreshToken), row.sessionId, now.toISOString()),
+  ]);
+  return { boardId: row.boardId, token, refreshToken: nextRefreshToken, expiresAt };
+}
+
+async function getSessionUser(env, boardId, token) {
+  if (!token) return "";
+  if (token.startsWith(API_TOKEN_PREFIX)) return getApiTokenUser(env, boardId, token);
+  const row = await env.DB.prepare(
+    "SELECT user_email AS userEmail, last_seen_at AS lastSeenAt, access_expires_at AS accessExpiresAt, expires_at AS expiresAt FROM board_sessions WHERE token = ? AND board_id = ?"
+  ).bind(token, boardId).first();
+  if (!row) return "";
+  if (row.expiresAt && Date.parse(row.expiresAt) <= Date.now()) {
+    await env.DB.prepare("DELETE FROM board_sessions WHERE token = ?").bind(token).run();
+    return "";
+  }
+  // An expired access token keeps its session row, so the refresh token can still renew it
+  if (row.accessExpiresAt && Date.parse(row.accessExpiresAt) <= Date.now()) return "";
+  if (!(Date.now() - Date.parse(row.lastSeenAt || 0) < SESSION_TOUCH_INTERVAL_MS)) {
+    await env.DB.prepare("UPDATE board_sessions SET last_seen_at = ? WHERE token = ?").bind(new Date().toISOString(), token).run();
+  }
+  return normalizeEmail(row.userEmail || "");
+}
+
+// API tokens belong to the account rather than a board, so membership is checked on every request
+async function getApiTokenUser(env, boardId, token) {
+  const apiToken = await findApiToken(env, token);
+  if (!apiToken) return "";
+  const member = await getPublicUser(env, boardId, apiToken.email);
+  if (!member?.isApproved || member.isSuspended) return "";
+  if (!(await getAccount(env, apiToken.email))?.totpSecret && (await isTwoFactorRequired(env, boardId, apiToken.email))) return "";
+  if (!(Date.now() - Date.parse(apiToken.lastUsedAt || 0) < SESSION_TOUCH_INTERVAL_MS)) {
+    await env.DB.prepare("UPDATE api_tokens SET last_used_at = ? WHERE id = ?").bind(new Date().toISOString(), apiToken.id).run();
+  }
+  return apiToken.email;
+}
+
+async function listUserSessions(env, email, currentToken = "") {
+  const result = await env.DB.prepare(
+    `SELECT
+       s.id,
+       s.board_id AS boardId,
+       COALESCE(NULLIF(b.name, ''), s.board_id) AS boardName,
+       s.user_agent AS userAgent,
+       s.ip,
+       s.created_at AS createdAt,
+       s.last_seen_at AS lastSeenAt,
+       s.expires_at AS expiresAt,
+       s.token = ? AS isCurrent
+     FROM board_sessions s
+     LEFT JOIN boards b ON b.id = s.board_id
+     WHERE s.user_email = ? AND s.expires_at > ?
+     ORDER BY COALESCE(NULLIF(s.last_seen_at, ''), s.created_at) DESC`
+  ).bind(currentToken, normalizeEmail(email), new Date().toISOString()).all();
+  return (result.results || []).map((row) => ({ ...row, isCurrent: !!row.isCurrent }));
+}
+
+async function isUserAdmin(env, boardId, email) {
+  const user = await getPublicUser(env, boardId, email);
+  return !!user?.isAdmin;
+}
+
+function sanitizedState(state = {}, publicUsers = []) {
+  return {
+    ...state,
+    users: publicUsers.map(normalizePublicUserRecord),
+  };
+}
+
+function boardStatePayload(state = {}) {
+  const payload = {
+    columns: Array.isArray(state.columns) ? state.columns : [],
+  };
+  const maxSize = parseInt(state.attachmentMaxSize, 10);
+  if (!isNaN(maxSize) && maxSize >= 1 && maxSize <= 200) {
+    payload.attachmentMaxSize = maxSize;
+  }
+  if (state.attachmentAllowAnyType === true || state.attachmentAllowAnyType === false) {
+    payload.attachmentAllowAnyType = state.attachmentAllowAnyType;
+  }
+  return payload;
+}
+
+function boardSettingsValues(payload = {}) {
+  return [
+    payload.attachmentMaxSize ?? null,
+    payload.attachmentAllowAnyType === undefined ? null : payload.attachmentAllowAnyType ? 1 : 0,
+  ];
+}
+
+function boardRows(state = {}) {
+  const rows = { columns: new Map(), cards: new Map(), comments: new Map(), attachments: new Map() };
+  const addComments = (cardId, comments, parentId) => {
+    (comments || []).forEach(({ replies, ...comment }, index) => {
+      rows.comments.set(JSON.stringify([cardId, comment.id]), [
+        cardId, comment.id, parentId, index, normalizeEmail(comment.authorEmail), comment.createdAt || "", JSON.stringify(comment),
+      ]);
+      addComments(cardId, replies, comment.id);
+    });
+  };
+  (state.columns || []).forEach(({ cards, ...column }, columnIndex) => {
+    rows.columns.set(column.id, [column.id, columnIndex, column.title || "", column.isDone ? 1 : 0, column.isArchive ? 1 : 0, JSON.stringify(column)]);
+    (cards || []).forEach(({ comments, attachments, ...card }, cardIndex) => {
+      rows.cards.set(card.id, [
+        card.id, column.id, cardIndex, card.title || "", normalizeEmail(card.assignedUser?.email), normalizeEmail(card.createdByEmail), card.due || "", JSON.stringify(card),
+      ]);
+      (attachments || []).forEach((attachment, index) => {
+        rows.attachments.set(JSON.stringify([card.id, index]), [card.id, index, attachment?.key || "", JSON.stringify(attachment)]);
+      });
+      addComments(card.id, comments, "");
+    });
+  });
+  return rows;
+}
+
+// Every row write is guarded by the token set in the same batch, so nothing is written when the revision check fails
+function boardRowStatements(env, boardId, previousRows, nextRows, writeToken) {
+  const guard = "EXISTS (SELECT 1 FROM boards WHERE id = ? AND write_token = ?)";
+  const statements = [];
+  for (const [name, { table, fields, keySize }] of Object.entries(BOARD_ROW_TABLES)) {
+    const before = previousRows?.[name];
+    const after = nextRows[name];
+    if (!before) {
+      statements.push(env.DB.prepare(`DELETE FROM ${table} WHERE board_id = ? AND ${guard}`).bind(boardId, boardId, writeToken));
+    }
+    for (const [rowKey, values] of before || []) {
+      if (after.has(rowKey)) continue;
+      const where = fields.slice(0, keySize).map((field) => `${field} = ?`).join(" AND ");
+      statements.push(
+        env.DB.prepare(`DELETE FROM ${table} WHERE board_id = ? AND ${where} AND ${guard}`).bind(boardId, ...values.slice(0, keySize), boardId, writeToken)
+      );
+    }
+    for (const [rowKey, values] of after) {
+      if (before && JSON.stringify(before.get(rowKey)) === JSON.stringify(values)) continue;
+      statements.push(
+        env.DB.prepare(
+          `INSERT OR REPLACE INTO ${table} (board_id, ${fields.join(", ")}) SELECT ?, ${fields.map(() => "?").join(", ")} WHERE ${guard}`
+        ).bind(boardId, ...values, boardId, writeToken)
+      );
+    }
+  }
+  return statements;
+}
+
+async function readBoardState(env, boardId) {
+  const [board, columnRows, cardRows, commentRows, attachmentRows] = await env.DB.batch([
+    env.DB.prepare("SELECT revision, attachment_max_size, attachment_allow_any_type FROM boards WHERE id = ?").bind(boardId),
+    env.DB.prepare("SELECT id, data_json FROM board_columns WHERE board_id = ? ORDER BY position").bind(boardId),
+    env.DB.prepare("SELECT id, column_id, data_json FROM board_cards WHERE board_id = ? ORDER BY position").bind(boardId),
+    env.DB.prepare("SELECT card_id, id, parent_id, data_json FROM board_comments WHERE board_id = ? ORDER BY position").bind(boardId),
+    env.DB.prepare("SELECT card_id, data_json FROM board_attachments WHERE board_id = ? ORDER BY position").bind(boardId),
+  ]);
+  const row = board.results?.[0] || null;
+  const columns = (columnRows.results || []).map((item) => ({ ...JSON.parse(item.data_json), cards: [] }));
+  const columnsById = new Map(columns.map((column) => [column.id, column]));
+  const cardsById = new Map();
+  for (const item of cardRows.results || []) {
+    const card = { ...JSON.parse(item.data_json), attachments: [], comments: [] };
+    cardsById.set(item.id, card);
+    columnsById.get(item.column_id)?.cards.push(card);
+  }
+  for (const item of attachmentRows.results || []) {
+    cardsById.get(item.card_id)?.attachments.push(JSON.parse(item.data_json));
+  }
+  const commentsByKey = new Map();
+  for (const item of commentRows.results || []) {
+    commentsByKey.set(JSON.stringify([item.card_id, item.id]), { ...JSON.parse(item.data_json), replies: [] });
+  }
+  for (const item of commentRows.results || []) {
+    const comment = commentsByKey.get(JSON.stringify([item.card_id, item.id]));
+    const siblings = item.parent_id
+      ? commentsByKey.get(JSON.stringify([item.card_id, item.parent_id]))?.replies
+      : cardsById.get(item.card_id)?.comments;
+    siblings?.push(comment);
+  }
+  return {
+    exists: !!row,
+    revision: Number(row?.revision || 0),
+    state: boardStatePayload({
+      columns,
+      attachmentMaxSize: row?.attachment_max_size,
+      attachmentAllowAnyType: row?.attachment_allow_any_type === null || row?.attachment_allow_any_type === undefined
+        ? undefined
+        : !!row.attachment_allow_any_type,
+    }),
+  };
+}
+
+async function loadSanitizedBoard(env, boardId) {
+  const { revision, state } = await readBoardState(env, boardId);
+  const publicUsers = await listPublicUsers(env, boardId);
+  return { ...sanitizedState(state, publicUsers), revision };
+}
+
+async function readCurrentRevision(env, boardId) {
+  const row = await env.DB.prepare("SELECT revision FROM boards WHERE id = ?").bind(boardId).first();
+  return Number(row?.revision || 0);
+}
+
+async function boardEtag(boardId, revision, users = []) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(stableStringify(users)));
+  return `"${boardId}.${revision}.${bytesToBase64(new Uint8Array(digest).slice(0, 9))}"`;
+}
+
+function parseBoardEtag(etag = "") {
+  const [boardId = "", revision = "", usersHash = ""] = String(etag || "").replace(/^W\//, "").replace(/"/g, "").split(".");
+  return { boardId, revision, usersHash };
+}
+
+function boardStateDelta(baseState = {}, nextState = {}) {
+  const baseCards = new Map();
+  for (const col of baseState.columns || []) {
+    for (const card of col.cards || []) baseCards.set(card.id, stableStringify(card));
+  }
+  const cards = [];
+  const seen = new Set();
+  const columns = (nextState.columns || []).map(({ cards: columnCards = [], ...column }) => {
+    for (const card of columnCards) {
+      seen.add(card.id);
+      if (baseCards.get(card.id) !== stableStringify(card)) cards.push(card);
+    }
+    return { ...column, cardIds: columnCards.map((card) => card.id) };
+  });
+  const settings = boardStatePayload(nextState);
+  delete settings.columns;
+  return {
+    ...settings,
+    columns,
+    cards,
+    removedCards: [...baseCards.keys()].filter((cardId) => !seen.has(cardId)),
+  };
+}
+
+// Rebuilds the board a delta was taken against: changed cards replace their old copies, the rest keep their place
+function applyBoardStateDelta(baseState = {}, delta = {}) {
+  const cards = new Map();
+  for (const col of baseState.columns || []) {
+    for (const card of col.cards || []) cards.set(card.id, card);
+  }
+  for (const card of delta.cards || []) cards.set(card.id, card);
+  const { cards: changedCards, removedCards, columns = [], ...settings } = delta;
+  return {
+    ...settings,
+    columns: columns.map(({ cardIds = [], ...column }) => ({ ...column, cards: cardIds.map((cardId) => cards.get(cardId)).filter(Boolean) })),
+  };
+}
+
+// History keeps a full snapshot every few revisions and a delta against the previous revision in between
+async function readBoardRevision(env, boardId, revision) {
+  const { results } = await env.DB.prepare(
+    `SELECT revision, data, COALESCE(is_delta, 0) AS isDelta FROM board_revisions
+     WHERE board_id = ? AND revision <= ? AND revision >= (
+       SELECT MAX(revision) FROM board_revisions WHERE board_id = ? AND revision <= ? AND COALESCE(is_delta, 0) = 0
+     )
+     ORDER BY revision`
+  ).bind(boardId, revision, boardId, revision).all();
+  const rows = results || [];
+  // A missing revision in the chain means this one can no longer be rebuilt
+  if (!rows.length || Number(rows[rows.length - 1].revision) !== revision || rows.length !== revision - Number(rows[0].revision) + 1) return null;
+  if (rows.some((row) => !row.data)) return null;
+  return rows.reduce((state, row) => (row.isDelta ? applyBoardStateDelta(state, JSON.parse(row.data)) : JSON.parse(row.data)), null);
+}
+
+function boardActivityLimit(env) {
+  const limit = Number.parseInt(env.BOARD_ACTIVITY_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : BOARD_ACTIVITY_ENTRIES;
+}
+
+function boardHistoryLimit(env) {
+  const limit = Number.parseInt(env.BOARD_HISTORY_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : BOARD_REVISION_SNAPSHOTS;
+}
+
+// The first statement claims the revision; the rest only apply if it did.
+// claimIf adds a condition to the claim, and callers pass writeToken to tie their own statements to it.
+function boardStateStatements(env, boardId, state, baseRevision, authorEmail = "", previousState = null, { claimIf = null, writeToken = crypto.randomUUID() } = {}) {
+  const payload = boardStatePayload(state);
+  const revision = baseRevision + 1;
+  const now = new Date().toISOString();
+  const isDelta = !!previousState && revision % BOARD_REVISION_SNAPSHOT_INTERVAL !== 1;
+  const revisionData = isDelta ? boardStateDelta(boardStatePayload(previousState), payload) : payload;
+  return [
+    env.DB.prepare(
+      `INSERT INTO boards (id, revision, write_token, attachment_max_size, attachment_allow_any_type, updated_at)
+       VALUES (?, 1, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         revision = COALESCE(boards.revision, 0) + 1,
+         write_token = excluded.write_token,
+         attachment_max_size = excluded.attachment_max_size,
+         attachment_allow_any_type = excluded.attachment_allow_any_type,
+         updated_at = excluded.updated_at
+       WHERE COALESCE(boards.revision, 0) = ?${claimIf ? ` AND ${claimIf.sql}` : ""}`
+    ).bind(boardId, writeToken, ...boardSettingsValues(payload), now, baseRevision, ...(claimIf?.values || [])),
+    ...boardRowStatements(env, boardId, previousState ? boardRows(previousState) : null, boardRows(payload), writeToken),
+    env.DB.prepare(
+      `INSERT OR IGNORE INTO board_revisions (board_id, revision, data, is_delta, created_at, author_email)
+       SELECT ?, ?, ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM boards WHERE id = ? AND write_token = ?)`
+    ).bind(boardId, revision, JSON.stringify(revisionData), isDelta ? 1 : 0, now, normalizeEmail(authorEmail), boardId, writeToken),
+    // Older revisions go, except the snapshot the oldest kept revision is rebuilt from
+    env.DB.prepare(
+      `DELETE FROM board_revisions WHERE board_id = ? AND revision < (
+         SELECT COALESCE(MAX(revision), 0) FROM board_revisions WHERE board_id = ? AND revision <= ? AND COALESCE(is_delta, 0) = 0
+       )`
+    ).bind(boardId, boardId, revision - boardHistoryLimit(env) + 1),
+  ];
+}
+
+async function persistBoardState(env, boardId, state, baseRevision, authorEmail = "", previousState = null) {
+  const [result] = await env.DB.batch(boardStateStatements(env, boardId, state, baseRevision, authorEmail, previousState));
+  if (!result.meta?.changes) return null;
+  return baseRevision + 1;
+}
+
+function replaceEmailInBoard(state, fromEmail, toEmail) {
+  const swap = (value) => (normalizeEmail(value) === fromEmail ? toEmail : value);
+  const replaceInComments = (comments = []) => {
+    for (const comment of comments) {
+      if (comment.authorEmail) comment.authorEmail = swap(comment.authorEmail);
+      replaceInComments(comment.replies || []);
+    }
+  };
+  for (const column of state.columns || []) {
+    for (const card of column.cards || []) {
+      if (card.createdByEmail) card.createdByEmail = swap(card.createdByEmail);
+      if (card.contentChangedByEmail) card.contentChangedByEmail = swap(card.contentChangedByEmail);
+      if (card.assignedUser?.email) card.assignedUser.email = swap(card.assignedUser.email);
+      replaceInComments(card.comments || []);
+    }
+  }
+}
+
+// Without a replacement the cards are only unassigned; the departing user stays recorded as their author.
+// Older cards that only carry a name are matched by name, as for edit permissions.
+function reassignUserCards(state, fromUser, replacement = null) {
+  let changed = 0;
+  for (const column of state.columns || []) {
+    for (const card of column.cards || []) {
+      let touched = false;
+      if (card.assignedUser && currentUserMatchesIdentity(card.assignedUser, fromUser)) {
+        card.assignedUser = replacement ? { email: replacement.email, name: userLabel(replacement) } : null;
+        touched = true;
+      }
+      if (replacement && currentUserMatchesIdentity({ email: card.createdByEmail, name: card.createdBy }, fromUser)) {
+        card.createdByEmail = replacement.email;
+        card.createdBy = userLabel(replacement);
+        touched = true;
+      }
+      if (touched) changed++;
+    }
+  }
+  return changed;
+}
+
+// The cards move in the same batch that takes the member off the board, and only while they are not an admin.
+// Returns null when the member is an admin, and false when the board kept changing underneath.
+async function reassignBoardCards(env, boardId, fromUser, replacement, actor, appUrl = "") {
+  const email = normalizeEmail(fromUser.email);
+  const claimIf = {
+    sql: "NOT EXISTS (SELECT 1 FROM board_users WHERE board_id = ? AND email = ? AND is_admin = 1)",
+    values: [boardId, email],
+  };
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { revision, state: existingState } = await readBoardState(env, boardId);
+    const nextState = structuredClone(existingState);
+    if (!reassignUserCards(nextState, fromUser, replacement)) return true;
+    const writeToken = crypto.randomUUID();
+    const [claimed] = await env.DB.batch([
+      ...boardStateStatements(env, boardId, nextState, revision, actor.email, existingState, { claimIf, writeToken }),
+      env.DB.prepare(
+        "DELETE FROM board_users WHERE board_id = ? AND email = ? AND EXISTS (SELECT 1 FROM boards WHERE id = ? AND write_token = ?)"
+      ).bind(boardId, email, boardId, writeToken),
+    ]);
+    if (!claimed.meta?.changes) {
+      if (await isUserAdmin(env, boardId, email)) return null;
+      continue;
+    }
+    try {
+      await recordBoardChanges(env, boardId, existingState, nextState, actor, await listPublicUsers(env, boardId), appUrl);
+    } catch (notificationError) {
+      console.warn("Failed to generate notifications:", notificationError);
+    }
+    return true;
+  }
+  return false;
+}
+
+// Moves an account to a new email in one batch: the account, its memberships, sessions, tokens and settings,
+// and the card data of every board that mentions it. Boards changed in the meantime are retried on their own.
+async function changeAccountEmail(env, fromEmail, toEmail, actorEmail) {
+  const from = normalizeEmail(fromEmail);
+  const to = normalizeEmail(toEmail);
+  const quoted = JSON.stringify(from);
+  const affected = await env.DB.prepare(
+    `SELECT board_id AS boardId FROM board_cards WHERE instr(lower(data_json), ?) > 0
+     UNION SELECT board_id AS boardId FROM board_comments WHERE instr(lower(data_json), ?) > 0`
+  ).bind(quoted, quoted).all();
+  const boards = [];
+  for (const { boardId } of affected.results || []) {
+    const { revision, state } = await readBoardState(env, boardId);
+    const nextState = structuredClone(state);
+    replaceEmailInBoard(nextState, from, to);
+    boards.push({ boardId, revision, state, nextState });
+  }
+  const now = new Date().toISOString();
+  const renames = [
+    // Rows left behind by a deleted account with the new address would collide with the moved ones
+    ["DELETE FROM user_telegram_settings WHERE email = ?", to],
+    ["DELETE FROM api_tokens WHERE email = ?", to],
+    ["UPDATE user_accounts SET email = ?, updated_at = ? WHERE email = ?", to, now, from],
+    ["UPDATE board_users SET email = ?, updated_at = ? WHERE email = ?", to, now, from],
+    ["UPDATE board_sessions SET user_email = ? WHERE user_email = ?", to, from],
+    ["UPDATE board_notifications SET recipient_email = ? WHERE recipient_email = ?", to, from],
+    ["UPDATE board_notifications SET actor_email = ? WHERE actor_email = ?", to, from],
+    ["UPDATE user_telegram_settings SET email = ? WHERE email = ?", to, from],
+    ["UPDATE api_tokens SET email = ? WHERE email = ?", to, from],
+    ["UPDATE board_invites SET created_by = ? WHERE created_by = ?", to, from],
+    ["UPDATE boards SET created_by = ? WHERE created_by = ?", to, from],
+    ["UPDATE board_activity SET actor_email = ? WHERE actor_email = ?", to, from],
+    ["UPDATE board_revisions SET author_email = ? WHERE author_email = ?", to, from],
+    // Stored snapshots and deltas hold the address as a JSON string, so restoring an old revision keeps the new one
+    ["UPDATE board_revisions SET data = replace(data, ?, ?) WHERE instr(data, ?) > 0", quoted, JSON.stringify(to), quoted],
+    ["DELETE FROM password_resets WHERE email = ?", from],
+    ["DELETE FROM login_attempts WHERE scope = 'email' AND key = ?", from],
+  ].map(([sql, ...values]) => env.DB.prepare(sql).bind(...values));
+  const boardBatches = boards.map((board) => boardStateStatements(env, board.boardId, board.nextState, board.revision, actorEmail, board.state));
+  const results = await env.DB.batch([...renames, ...boardBatches.flat()]);
+  let offset = renames.length;
+  for (const [index, board] of boards.entries()) {
+    const claimed = !!results[offset]?.meta?.changes;
+    offset += boardBatches[index].length;
+    if (claimed) continue;
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { revision, state } = await readBoardState(env, board.boardId);
+      const nextState = structuredClone(state);
+      replaceEmailInBoard(nextState, from, to);
+      if ((await persistBoardState(env, board.boardId, nextState, revision, actorEmail, state)) !== null) break;
+    }
+  }
+}
+
+function telegramAvailable(env) {
+  return !!String(env.TELEGRAM_BOT_TOKEN || "").trim()
+    && !!String(env.TELEGRAM_BOT_USERNAME || "").trim()
+    && !!String(env.TELEGRAM_WEBHOOK_SECRET || "").trim();
+}
+
+async function telegramApi(env, method, payload) {
+  const token = String(env.TELEGRAM_BOT_TOKEN || "").trim();
+  if (!token) throw new Error("Telegram bot token is not configured");
+  const response = await fetch(`https://api.telegram.org/bot${token}/${method}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.ok) {
     const error = new Error(data.description || `Telegram ${method} failed`);
     error.status = response.status;
     throw error;
@@ -796,6 +2208,31 @@ async function sendTelegramNotification(env, notification = {}) {
   }
 }
 
+// Sent even when notifications are turned off: the admin asked for this message explicitly
+async function sendTelegramPasswordReset(env, email, resetUrl) {
+  if (!env.TELEGRAM_BOT_TOKEN) return false;
+  const settings = await getTelegramSettings(env, email);
+  if (!settings?.chatId) return false;
+  const language = normalizeLanguage(settings.language);
+  try {
+    await telegramApi(env, "sendMessage", {
+      chat_id: settings.chatId,
+      text: language === "uk"
+        ? "<b>Скидання пароля</b>\nАдміністратор створив для вас посилання, щоб задати новий пароль. Воно діє 24 години і спрацює лише один раз."
+        : "<b>Password reset</b>\nAn admin created a link for you to choose a new password. It works once and expires in 24 hours.",
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+      reply_markup: {
+        inline_keyboard: [[{ text: language === "uk" ? "Задати пароль" : "Choose password", url: resetUrl }]],
+      },
+    });
+    return true;
+  } catch (error) {
+    console.warn("Failed to send Telegram password reset:", error.message);
+    return false;
+  }
+}
+
 async function handleTelegramWebhook(env, request) {
   const expectedSecret = String(env.TELEGRAM_WEBHOOK_SECRET || "").trim();
   const suppliedSecret = request.headers.get("X-Telegram-Bot-Api-Secret-Token") || "";
@@ -1019,13 +2456,168 @@ async function generateDueNotificationsForUser(env, boardId, user) {
   }
 }
 
-async function generateBoardChangeNotifications(env, boardId, existingState, nextState, actor, approvedUsers = [], appUrl = "") {
+function boardChangeEvents(existingState, nextState) {
+  const oldCards = flattenCards(existingState);
+  const newCards = flattenCards(nextState);
+  const events = [];
+  const push = (type, entry, data = {}) => events.push({ type, cardId: entry.card.id, entry, data });
+  const assigneeKey = (user) => normalizeEmail(user?.email || "") || String(user?.name || "").trim();
+  const attachmentKey = (attachment = {}) => attachment.key || attachment.url || attachment.name || "";
+
+  for (const [cardId, newEntry] of newCards.entries()) {
+    const oldEntry = oldCards.get(cardId);
+    const card = newEntry.card;
+    const oldCard = oldEntry?.card || {};
+
+    if (!oldEntry) {
+      push("card_created", newEntry, { column: newEntry.colTitle || "" });
+    } else {
+      if ((oldCard.title || "") !== (card.title || "")) {
+        push("title_changed", newEntry, { from: oldCard.title || "", to: card.title || "" });
+      }
+      if ((oldCard.description || "") !== (card.description || "")) {
+        push("description_changed", newEntry);
+      }
+      if ((oldCard.due || "") !== (card.due || "")) {
+        push("due_changed", newEntry, { from: oldCard.due || "", to: card.due || "" });
+      }
+      const oldTags = new Set(oldCard.tags || []);
+      const newTags = new Set(card.tags || []);
+      const addedTags = [...newTags].filter((tag) => !oldTags.has(tag));
+      const removedTags = [...oldTags].filter((tag) => !newTags.has(tag));
+      if (addedTags.length || removedTags.length) {
+        push("tags_changed", newEntry, { added: addedTags, removed: removedTags });
+      }
+      const oldAttachments = new Map((oldCard.attachments || []).map((attachment) => [attachmentKey(attachment), attachment]));
+      const newAttachments = new Map((card.attachments || []).map((attachment) => [attachmentKey(attachment), attachment]));
+      for (const [key, attachment] of newAttachments.entries()) {
+        if (!oldAttachments.has(key)) push("attachment_added", newEntry, { name: attachment.name || "" });
+      }
+      for (const [key, attachment] of oldAttachments.entries()) {
+        if (!newAttachments.has(key)) push("attachment_removed", newEntry, { name: attachment.name || "" });
+      }
+    }
+
+    const newAssignee = normalizeAssignedUser(card.assignedUser);
+    const oldAssignee = normalizeAssignedUser(oldCard.assignedUser);
+    if (assigneeKey(newAssignee) !== assigneeKey(oldAssignee)) {
+      push("card_assigned", newEntry, {
+        from: oldAssignee ? { email: oldAssignee.email || "", name: oldAssignee.name || "" } : null,
+        to: newAssignee ? { email: newAssignee.email || "", name: newAssignee.name || "" } : null,
+      });
+    }
+
+    if (oldEntry && oldEntry.colId !== newEntry.colId) {
+      push("card_moved", newEntry, { from: oldEntry.colTitle || "", to: newEntry.colTitle || "" });
+      if (newEntry.isDone && !oldEntry.isDone) {
+        push("card_completed", newEntry, { from: oldEntry.colTitle || "", to: newEntry.colTitle || "" });
+      }
+    }
+
+    const oldComments = oldEntry ? flattenComments(oldCard.comments || []) : [];
+    const newComments = flattenComments(card.comments || []);
+    const oldCommentsById = new Map(oldComments.map((comment) => [comment.id, comment]));
+    for (const comment of newComments) {
+      if (!comment.id || oldCommentsById.has(comment.id)) continue;
+      const parent = comment.parentId
+        ? oldCommentsById.get(comment.parentId) || newComments.find((item) => item.id === comment.parentId)
+        : null;
+      push("comment_added", newEntry, {
+        commentId: comment.id,
+        parentId: comment.parentId || "",
+        parentAuthorEmail: normalizeEmail(parent?.authorEmail || ""),
+        authorEmail: normalizeEmail(comment.authorEmail || ""),
+        text: truncateText(comment.text || "", 140),
+      });
+    }
+  }
+
+  for (const [cardId, oldEntry] of oldCards.entries()) {
+    if (!newCards.has(cardId)) push("card_deleted", oldEntry, { column: oldEntry.colTitle || "" });
+  }
+  return events;
+}
+
+async function recordBoardActivity(env, boardId, events = [], actor = {}) {
+  if (!events.length) return;
   const actorEmail = normalizeEmail(actor?.email || "");
   const actorName = userLabel(actor);
-  const approvedEmails = new Set((approvedUsers || []).filter((u) => u?.isApproved !== false).map((u) => normalizeEmail(u.email || "")).filter(Boolean));
+  const createdAt = new Date().toISOString();
+  const statements = events.map((event) => env.DB.prepare(
+    `INSERT INTO board_activity (id, board_id, card_id, card_title, actor_email, actor_name, type, data_json, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    crypto.randomUUID(),
+    boardId,
+    event.cardId || "",
+    event.entry ? cardLabel(event.entry.card) : "",
+    actorEmail,
+    actorName,
+    event.type,
+    JSON.stringify(event.data || {}),
+    createdAt,
+  ));
+  // Only the newest entries of each board are kept, the same way board_revisions is trimmed
+  statements.push(env.DB.prepare(
+    `DELETE FROM board_activity WHERE board_id = ? AND id NOT IN (
+       SELECT id FROM board_activity WHERE board_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?
+     )`
+  ).bind(boardId, boardId, boardActivityLimit(env)));
+  await env.DB.batch(statements);
+}
+
+function normalizeActivityRow(row = {}) {
+  let data = {};
+  try {
+    data = row.dataJson ? JSON.parse(row.dataJson) : {};
+  } catch {}
+  return {
+    id: row.id || "",
+    cardId: row.cardId || "",
+    cardTitle: row.cardTitle || "",
+    actorEmail: normalizeEmail(row.actorEmail || ""),
+    actorName: row.actorName || row.actorEmail || "",
+    type: row.type || "",
+    data,
+    createdAt: row.createdAt || "",
+  };
+}
+
+async function listBoardActivity(env, boardId, cardId = "", limit = 50) {
+  const normalizedLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const rows = await env.DB.prepare(
+    `SELECT
+       id,
+       card_id AS cardId,
+       card_title AS cardTitle,
+       actor_email AS actorEmail,
+       actor_name AS actorName,
+       type,
+       data_json AS dataJson,
+       created_at AS createdAt
+     FROM board_activity
+     WHERE board_id = ? AND (? = '' OR card_id = ?)
+     ORDER BY created_at DESC, rowid DESC
+     LIMIT ?`
+  ).bind(boardId, cardId, cardId, normalizedLimit).all();
+  return (rows.results || []).map(normalizeActivityRow);
+}
+
+async function recordBoardChanges(env, boardId, existingState, nextState, actor, approvedUsers = [], appUrl = "") {
+  const events = boardChangeEvents(existingState, nextState);
+  try {
+    await recordBoardActivity(env, boardId, events, actor);
+  } catch (activityError) {
+    console.warn("Failed to record activity:", activityError);
+  }
+  await generateBoardChangeNotifications(env, boardId, events, actor, approvedUsers, appUrl);
+}
+
+async function generateBoardChangeNotifications(env, boardId, events, actor, approvedUsers = [], appUrl = "") {
+  const actorEmail = normalizeEmail(actor?.email || "");
+  const actorName = userLabel(actor);
+  const approvedEmails = new Set((approvedUsers || []).filter((u) => u?.isApproved !== false && !u?.isSuspended).map((u) => normalizeEmail(u.email || "")).filter(Boolean));
   const isApprovedRecipient = (email) => approvedEmails.has(normalizeEmail(email));
-  const oldCards = flattenCards(existingState);
-  const newCards = flattenCards(nextState);
 
   const notify = async (recipientEmail, type, entry, extra = {}) => {
     const email = normalizeEmail(recipientEmail || "");
@@ -1055,78 +2647,538 @@ async function generateBoardChangeNotifications(env, boardId, existingState, nex
     }, extra.dedupe ? { dedupe: true } : {});
   };
 
-  for (const [cardId, newEntry] of newCards.entries()) {
-    const oldEntry = oldCards.get(cardId);
-    const newAssignee = normalizeAssignedUser(newEntry.card.assignedUser);
-    const oldAssignee = normalizeAssignedUser(oldEntry?.card?.assignedUser);
-    const newAssigneeEmail = normalizeEmail(newAssignee?.email || "");
-    const oldAssigneeEmail = normalizeEmail(oldAssignee?.email || "");
-
-    if (newAssigneeEmail && newAssigneeEmail !== oldAssigneeEmail) {
-      await notify(newAssigneeEmail, "card_assigned", newEntry, {
-        title: "Card assigned to you",
-        body: cardLabel(newEntry.card),
-      });
-    }
-    if (oldAssigneeEmail && oldAssigneeEmail !== newAssigneeEmail) {
-      await notify(oldAssigneeEmail, "card_unassigned", newEntry, {
-        title: "Card unassigned from you",
-        body: cardLabel(newEntry.card),
-      });
-    }
-
-    if (oldEntry && oldEntry.colId !== newEntry.colId) {
-      if (newAssigneeEmail) {
-        await notify(newAssigneeEmail, "card_moved", newEntry, {
+  for (const { type, entry, data } of events) {
+    const assignee = normalizeAssignedUser(entry.card.assignedUser);
+    const assigneeEmail = normalizeEmail(assignee?.email || "");
+
+    if (type === "card_assigned") {
+      const toEmail = normalizeEmail(data.to?.email || "");
+      const fromEmail = normalizeEmail(data.from?.email || "");
+      if (toEmail && toEmail !== fromEmail) {
+        await notify(toEmail, "card_assigned", entry, {
+          title: "Card assigned to you",
+          body: cardLabel(entry.card),
+        });
+      }
+      if (fromEmail && fromEmail !== toEmail) {
+        await notify(fromEmail, "card_unassigned", entry, {
+          title: "Card unassigned from you",
+          body: cardLabel(entry.card),
+        });
+      }
+    } else if (type === "card_moved") {
+      if (assigneeEmail) {
+        await notify(assigneeEmail, "card_moved", entry, {
           title: "Assigned card moved",
-          fromColumnTitle: oldEntry.colTitle || "",
-          toColumnTitle: newEntry.colTitle || "",
+          fromColumnTitle: data.from,
+          toColumnTitle: data.to,
         });
       }
-      if (newEntry.isDone && !oldEntry.isDone) {
-        for (const recipientEmail of recipientSet({ email: newEntry.card.createdByEmail }, newAssignee)) {
-          await notify(recipientEmail, "card_completed", newEntry, {
-            title: "Card completed",
-            fromColumnTitle: oldEntry.colTitle || "",
-            toColumnTitle: newEntry.colTitle || "",
-          });
-        }
+    } else if (type === "card_completed") {
+      for (const recipientEmail of recipientSet({ email: entry.card.createdByEmail }, assignee)) {
+        await notify(recipientEmail, "card_completed", entry, {
+          title: "Card completed",
+          fromColumnTitle: data.from,
+          toColumnTitle: data.to,
+        });
       }
-    }
-
-    const oldComments = oldEntry ? flattenComments(oldEntry.card.comments || []) : [];
-    const newComments = flattenComments(newEntry.card.comments || []);
-    const oldCommentIds = new Set(oldComments.map((comment) => comment.id));
-    const oldCommentsById = new Map(oldComments.map((comment) => [comment.id, comment]));
-    for (const comment of newComments) {
-      if (!comment.id || oldCommentIds.has(comment.id)) continue;
-      const commentAuthorEmail = normalizeEmail(comment.authorEmail || "");
-      if (commentAuthorEmail && commentAuthorEmail !== actorEmail) continue;
-      const commentText = truncateText(comment.text || "", 140);
+    } else if (type === "comment_added") {
+      if (data.authorEmail && data.authorEmail !== actorEmail) continue;
       const repliedTo = new Set();
-      if (comment.parentId) {
-        const parent = oldCommentsById.get(comment.parentId) || newComments.find((item) => item.id === comment.parentId);
-        await notify(parent?.authorEmail, "reply_to_comment", newEntry, {
+      if (data.parentId) {
+        await notify(data.parentAuthorEmail, "reply_to_comment", entry, {
           title: "New reply",
-          commentId: comment.id,
-          commentText,
-          body: commentText || cardLabel(newEntry.card),
+          commentId: data.commentId,
+          commentText: data.text,
+          body: data.text || cardLabel(entry.card),
         });
-        if (parent?.authorEmail) repliedTo.add(normalizeEmail(parent.authorEmail));
+        if (data.parentAuthorEmail) repliedTo.add(data.parentAuthorEmail);
       }
-      for (const recipientEmail of recipientSet({ email: newEntry.card.createdByEmail }, newAssignee)) {
+      for (const recipientEmail of recipientSet({ email: entry.card.createdByEmail }, assignee)) {
         if (repliedTo.has(normalizeEmail(recipientEmail))) continue;
-        await notify(recipientEmail, "comment_on_owned_or_assigned_card", newEntry, {
+        await notify(recipientEmail, "comment_on_owned_or_assigned_card", entry, {
           title: "New comment",
-          commentId: comment.id,
-          commentText,
-          body: commentText || cardLabel(newEntry.card),
+          commentId: data.commentId,
+          commentText: data.text,
+          body: data.text || cardLabel(entry.card),
         });
       }
     }
   }
 }
 
+function boardChangeError(baseState, nextState, currentUser) {
+  const isAdmin = !!currentUser.isAdmin;
+  const oldCards = flattenCards(baseState);
+  const newCards = flattenCards(nextState);
+
+  // Viewers cannot change anything, and commenters only the comments checked below
+  if (!roleAtLeast(currentUser, "member")) {
+    const canComment = roleAtLeast(currentUser, "commenter");
+    if (normalizeColumnShells(baseState.columns) !== normalizeColumnShells(nextState.columns) || oldCards.size !== newCards.size) {
+      return roleRestrictionError(currentUser);
+    }
+    for (const [cardId, oldEntry] of oldCards.entries()) {
+      const newEntry = newCards.get(cardId);
+      if (
+        !newEntry ||
+        oldEntry.colId !== newEntry.colId ||
+        oldEntry.index !== newEntry.index ||
+        stableStringify(comparableCardContent(oldEntry.card)) !== stableStringify(comparableCardContent(newEntry.card)) ||
+        (!canComment && stableStringify(normalizeComments(oldEntry.card.comments)) !== stableStringify(normalizeComments(newEntry.card.comments)))
+      ) {
+        return roleRestrictionError(currentUser);
+      }
+    }
+  }
+
+  for (const [cardId, oldEntry] of oldCards.entries()) {
+    const newEntry = newCards.get(cardId);
+    if (!newEntry) continue;
+
+    const commentsChanged =
+      stableStringify(normalizeComments(oldEntry.card.comments)) !==
+      stableStringify(normalizeComments(newEntry.card.comments));
+
+    if (commentsChanged && !commentsChangeAllowed(oldEntry.card.comments, newEntry.card.comments, currentUser, { canDeleteAny: isAdmin })) {
+      return "You can edit or delete only your own comments.";
+    }
+  }
+
+  for (const [cardId, newEntry] of newCards.entries()) {
+    if (oldCards.has(cardId)) continue;
+    const newComments = flattenComments(newEntry.card.comments);
+    if (newComments.some((comment) => !currentUserMatchesIdentity({ email: comment.authorEmail, name: comment.author }, currentUser))) {
+      return "You can add only your own comments.";
+    }
+  }
+
+  if (!isAdmin) {
+    if (baseState.columns.length > 0 && normalizeColumnShells(baseState.columns) !== normalizeColumnShells(nextState.columns)) {
+      return "Only admin can modify board structure.";
+    }
+
+    for (const [cardId, oldEntry] of oldCards.entries()) {
+      const newEntry = newCards.get(cardId);
+      const oldOwner = {
+        email: normalizeEmail(oldEntry.card.createdByEmail || ""),
+        name: (oldEntry.card.createdBy || "").trim(),
+      };
+      const oldAssignee = normalizeAssignedUser(oldEntry.card.assignedUser);
+
+      if (!newEntry) {
+        if (!currentUserMatchesIdentity(oldOwner, currentUser)) {
+          return "You can edit or delete only your own cards.";
+        }
+        continue;
+      }
+
+      const commentsChanged =
+        stableStringify(normalizeComments(oldEntry.card.comments)) !==
+        stableStringify(normalizeComments(newEntry.card.comments));
+
+      const cardChanged =
+        JSON.stringify(oldEntry.card) !== JSON.stringify(newEntry.card) ||
+        oldEntry.colId !== newEntry.colId ||
+        oldEntry.index !== newEntry.index;
+
+      if (cardChanged && !currentUserMatchesIdentity(oldOwner, currentUser)) {
+        const contentChanged =
+          stableStringify(comparableCardContent(oldEntry.card)) !==
+          stableStringify(comparableCardContent(newEntry.card));
+        const columnChanged = oldEntry.colId !== newEntry.colId;
+        const indexChanged = oldEntry.index !== newEntry.index;
+        const passiveReindexOnly =
+          !contentChanged &&
+          !commentsChanged &&
+          !columnChanged &&
+          indexChanged;
+        const moveOnly =
+          !contentChanged &&
+          !commentsChanged &&
+          columnChanged &&
+          currentUserMatchesIdentity(oldAssignee || {}, currentUser);
+        const commentsOnly =
+          !contentChanged &&
+          !columnChanged &&
+          !indexChanged &&
+          commentsChanged &&
+          commentsChangeAllowed(oldEntry.card.comments, newEntry.card.comments, currentUser);
+        const moveWithAllowedComments =
+          !contentChanged &&
+          columnChanged &&
+          commentsChanged &&
+          currentUserMatchesIdentity(oldAssignee || {}, currentUser) &&
+          commentsChangeAllowed(oldEntry.card.comments, newEntry.card.comments, currentUser);
+
+        if (!moveOnly && !passiveReindexOnly && !commentsOnly && !moveWithAllowedComments) {
+          return "You can edit or delete only your own cards.";
+        }
+      }
+
+      if (
+        normalizeEmail(newEntry.card.createdByEmail || "") !== normalizeEmail(oldEntry.card.createdByEmail || "") ||
+        (newEntry.card.createdBy || "").trim() !== (oldEntry.card.createdBy || "").trim()
+      ) {
+        return "Card author cannot be changed.";
+      }
+    }
+
+    for (const [cardId, newEntry] of newCards.entries()) {
+      if (oldCards.has(cardId)) continue;
+      if (!currentUserMatchesIdentity({ email: newEntry.card.createdByEmail, name: newEntry.card.createdBy }, currentUser)) {
+        return "New cards must belong to the current user.";
+      }
+    }
+  }
+
+  return "";
+}
+
+function roleAtLeast(user = {}, role) {
+  return BOARD_ROLES.indexOf(normalizeRole(user.role, user.isAdmin)) >= BOARD_ROLES.indexOf(role);
+}
+
+function roleRestrictionError(user = {}) {
+  return roleAtLeast(user, "commenter") ? "Commenters can only add comments." : "Viewers can only read this board.";
+}
+
+function userCanEditCard(card = {}, user = {}) {
+  return !!user.isAdmin || currentUserMatchesIdentity({ email: card.createdByEmail, name: card.createdBy }, user);
+}
+
+function userCanMoveCard(card = {}, user = {}) {
+  return userCanEditCard(card, user) || currentUserMatchesIdentity(normalizeAssignedUser(card.assignedUser) || {}, user);
+}
+
+function findStateCard(state = {}, cardId) {
+  for (const col of state.columns || []) {
+    const index = (col.cards || []).findIndex((card) => card.id === cardId);
+    if (index !== -1) return { card: col.cards[index], col, index };
+  }
+  return null;
+}
+
+function findStateComment(comments = [], commentId) {
+  for (const comment of comments || []) {
+    if (comment.id === commentId) return { comment, siblings: comments };
+    const nested = findStateComment(comment.replies || [], commentId);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+function pickFields(source = {}, fields = []) {
+  const picked = {};
+  for (const field of fields) {
+    if (source?.[field] !== undefined) picked[field] = source[field];
+  }
+  return picked;
+}
+
+function insertAt(list, item, index) {
+  if (!Number.isInteger(index) || index < 0 || index > list.length) {
+    list.push(item);
+  } else {
+    list.splice(index, 0, item);
+  }
+}
+
+function cardMutation(method, cardId, child, commentId, body = {}, currentUser = {}, restored = null) {
+  const contentFields = ["title", "description", "tags", "due", "assignedUser", "attachments"];
+  const metaFields = ["lastChanged", "lastChangedBy", "seq", "contentChangedAt", "contentChangedBy", "contentChangedByEmail", "positionChangedAt"];
+
+  if (!cardId) {
+    if (method !== "POST") return null;
+    return (state) => {
+      const col = state.columns.find((item) => item.id === body.colId);
+      if (!col) return { error: "Column not found.", status: 404 };
+      col.cards = col.cards || [];
+      if (body.restore) {
+        if (!restored) return { error: "Card not found.", status: 404 };
+        if (!userCanEditCard(restored, currentUser)) {
+          return { error: "You can edit or delete only your own cards.", status: 403 };
+        }
+        if (findStateCard(state, restored.id)) return { error: "Card already exists.", status: 409 };
+        const card = structuredClone(restored);
+        insertAt(col.cards, card, body.index);
+        return { payload: { card } };
+      }
+      const input = body.card || {};
+      if (!String(input.title || "").trim()) return { error: "Card title is required.", status: 400 };
+      const id = String(input.id || crypto.randomUUID());
+      if (findStateCard(state, id)) return { error: "Card already exists.", status: 409 };
+      const card = {
+        id,
+        description: "",
+        tags: [],
+        due: "",
+        assignedUser: null,
+        attachments: [],
+        ...pickFields(input, [...contentFields, ...metaFields]),
+        comments: [],
+        createdBy: userLabel(currentUser),
+        createdByEmail: currentUser.email,
+        createdAt: input.createdAt || new Date().toISOString(),
+      };
+      insertAt(col.cards, card, body.index);
+      return { payload: { card } };
+    };
+  }
+
+  if (!child) {
+    if (method === "PATCH") {
+      return (state) => {
+        const entry = findStateCard(state, cardId);
+        if (!entry) return { error: "Card not found.", status: 404 };
+        const changes = pickFields(body, contentFields);
+        const moving = body.colId !== undefined || body.index !== undefined;
+        if (!userCanMoveCard(entry.card, currentUser) || (Object.keys(changes).length && !userCanEditCard(entry.card, currentUser))) {
+          return { error: "You can edit or delete only your own cards.", status: 403 };
+        }
+        const target = body.colId === undefined ? entry.col : state.columns.find((item) => item.id === body.colId);
+        if (!target) return { error: "Column not found.", status: 404 };
+        Object.assign(entry.card, changes, pickFields(body.meta, metaFields));
+        if (Object.keys(changes).length) {
+          if (!entry.card.createdBy) entry.card.createdBy = userLabel(currentUser);
+          if (!entry.card.createdByEmail) entry.card.createdByEmail = currentUser.email;
+        }
+        if (moving) {
+          entry.col.cards.splice(entry.index, 1);
+          target.cards = target.cards || [];
+          insertAt(target.cards, entry.card, body.index);
+        }
+        return { payload: { card: entry.card } };
+      };
+    }
+    if (method === "DELETE") {
+      return (state) => {
+        const entry = findStateCard(state, cardId);
+        if (!entry) return { error: "Card not found.", status: 404 };
+        if (!userCanEditCard(entry.card, currentUser)) {
+          return { error: "You can edit or delete only your own cards.", status: 403 };
+        }
+        entry.col.cards.splice(entry.index, 1);
+        return { payload: {} };
+      };
+    }
+    return null;
+  }
+
+  if (child !== "comments") return null;
+  const commentFor = (state) => {
+    const entry = findStateCard(state, cardId);
+    if (!entry) return { error: "Card not found.", status: 404 };
+    entry.card.comments = Array.isArray(entry.card.comments) ? entry.card.comments : [];
+    if (!commentId) return { entry };
+    const found = findStateComment(entry.card.comments, commentId);
+    if (!found) return { error: "Comment not found.", status: 404 };
+    return { entry, ...found };
+  };
+
+  if (!commentId && method === "POST") {
+    return (state) => {
+      const target = commentFor(state);
+      if (target.error) return target;
+      if (body.restore) {
+        if (!restored) return { error: "Comment not found.", status: 404 };
+        if (!currentUser.isAdmin && !currentUserMatchesIdentity({ email: restored.authorEmail, name: restored.author }, currentUser)) {
+          return { error: "You can edit or delete only your own comments.", status: 403 };
+        }
+        if (findStateComment(target.entry.card.comments, restored.id)) return { error: "Comment already exists.", status: 409 };
+        const parent = body.parentId ? findStateComment(target.entry.card.comments, body.parentId) : null;
+        if (body.parentId && !parent) return { error: "Comment not found.", status: 404 };
+        const comment = structuredClone(restored);
+        if (parent) {
+          parent.comment.replies = parent.comment.replies || [];
+          parent.comment.replies.push(comment);
+        } else {
+          target.entry.card.comments.push(comment);
+        }
+        Object.assign(target.entry.card, pickFields(body.meta, metaFields));
+        return { payload: { comment } };
+      }
+      if (!String(body.text || "").trim()) return { error: "Comment text is required.", status: 400 };
+      const now = new Date().toISOString();
+      const comment = {
+        id: String(body.id || crypto.randomUUID()),
+        text: String(body.text),
+        author: userLabel(currentUser),
+        authorEmail: currentUser.email,
+        createdAt: body.createdAt || now,
+        updatedAt: body.updatedAt || body.createdAt || now,
+        replies: [],
+      };
+      if (findStateComment(target.entry.card.comments, comment.id)) return { error: "Comment already exists.", status: 409 };
+      if (body.parentId) {
+        const parent = findStateComment(target.entry.card.comments, body.parentId);
+        if (!parent) return { error: "Comment not found.", status: 404 };
+        parent.comment.replies = parent.comment.replies || [];
+        parent.comment.replies.push(comment);
+      } else {
+        target.entry.card.comments.push(comment);
+      }
+      Object.assign(target.entry.card, pickFields(body.meta, metaFields));
+      return { payload: { comment } };
+    };
+  }
+  if (commentId && method === "PATCH") {
+    return (state) => {
+      const target = commentFor(state);
+      if (target.error) return target;
+      if (!currentUserMatchesIdentity({ email: target.comment.authorEmail, name: target.comment.author }, currentUser)) {
+        return { error: "You can edit or delete only your own comments.", status: 403 };
+      }
+      if (!String(body.text || "").trim()) return { error: "Comment text is required.", status: 400 };
+      target.comment.text = String(body.text);
+      target.comment.updatedAt = body.updatedAt || new Date().toISOString();
+      Object.assign(target.entry.card, pickFields(body.meta, metaFields));
+      return { payload: { comment: target.comment } };
+    };
+  }
+  if (commentId && method === "DELETE") {
+    return (state) => {
+      const target = commentFor(state);
+      if (target.error) return target;
+      if (!currentUser.isAdmin && !currentUserMatchesIdentity({ email: target.comment.authorEmail, name: target.comment.author }, currentUser)) {
+        return { error: "You can edit or delete only your own comments.", status: 403 };
+      }
+      target.siblings.splice(target.siblings.indexOf(target.comment), 1);
+      Object.assign(target.entry.card, pickFields(body.meta, metaFields));
+      return { payload: {} };
+    };
+  }
+  return null;
+}
+
+function columnMutation(method, colId, body = {}, currentUser = {}, restored = null) {
+  let mutation = null;
+  if (!colId && method === "POST" && body.restore) {
+    mutation = (state) => {
+      if (!restored) return { error: "Column not found.", status: 404 };
+      if (state.columns.some((col) => col.id === restored.id)) return { error: "Column already exists.", status: 409 };
+      // Cards that were moved out before the column was deleted stay where they are now
+      const column = {
+        ...structuredClone(restored),
+        cards: (restored.cards || []).filter((card) => !findStateCard(state, card.id)).map((card) => structuredClone(card)),
+      };
+      if (column.isDone) state.columns.forEach((col) => { col.isDone = false; });
+      const archiveIndex = state.columns.findIndex((col) => col.isArchive);
+      insertAt(state.columns, column, Number.isInteger(body.index) ? body.index : archiveIndex === -1 ? state.columns.length : archiveIndex);
+      return { payload: { column } };
+    };
+  } else if (!colId && method === "POST") {
+    mutation = (state) => {
+      const title = String(body.title || "").trim();
+      if (!title) return { error: "Column title is required.", status: 400 };
+      const id = String(body.id || crypto.randomUUID());
+      if (state.columns.some((col) => col.id === id)) return { error: "Column already exists.", status: 409 };
+      const column = { id, title, cards: [], isDone: false };
+      if (Number.isInteger(body.index)) {
+        insertAt(state.columns, column, body.index);
+      } else {
+        const archiveIndex = state.columns.findIndex((col) => col.isArchive);
+        insertAt(state.columns, column, archiveIndex === -1 ? state.columns.length : archiveIndex);
+      }
+      return { payload: { column } };
+    };
+  } else if (!colId && method === "PUT") {
+    mutation = (state) => {
+      const order = Array.isArray(body.order) ? body.order : [];
+      state.columns.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+      return { payload: { order: state.columns.map((col) => col.id) } };
+    };
+  } else if (colId && (method === "PATCH" || method === "DELETE")) {
+    mutation = (state) => {
+      const column = state.columns.find((col) => col.id === colId);
+      if (!column) return { error: "Column not found.", status: 404 };
+      if (column.isArchive) return { error: "Archive column cannot be changed.", status: 400 };
+      if (method === "DELETE") {
+        state.columns = state.columns.filter((col) => col.id !== colId);
+        return { payload: {} };
+      }
+      if (body.title !== undefined) {
+        const title = String(body.title || "").trim();
+        if (!title) return { error: "Column title is required.", status: 400 };
+        column.title = title;
+      }
+      if (body.isDone !== undefined) {
+        if (body.isDone) state.columns.forEach((col) => { col.isDone = false; });
+        column.isDone = !!body.isDone;
+      }
+      return { payload: { column: { ...column, cards: undefined } } };
+    };
+  }
+  if (!mutation || currentUser.isAdmin) return mutation;
+  return () => ({ error: "Only admin can modify board structure.", status: 403 });
+}
+
+// Only the newest few revisions whose stored JSON mentions the id are rebuilt, instead of every snapshot
+async function findInBoardHistory(env, boardId, entityId, find) {
+  const { results } = await env.DB.prepare(
+    "SELECT revision FROM board_revisions WHERE board_id = ? AND instr(data, ?) > 0 ORDER BY revision DESC LIMIT ?"
+  ).bind(boardId, `"id":${JSON.stringify(entityId)}`, HISTORY_SEARCH_REVISIONS).all();
+  for (const row of results || []) {
+    const snapshot = await readBoardRevision(env, boardId, Number(row.revision));
+    const found = snapshot ? find(boardStatePayload(snapshot)) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+function restoreSourceFinder(resource, entityId, restoreId) {
+  if (resource === "columns") {
+    return entityId ? null : (state) => state.columns.find((col) => col.id === restoreId && !col.isArchive) || null;
+  }
+  if (!entityId) return (state) => findStateCard(state, restoreId)?.card || null;
+  return (state) => findStateComment(findStateCard(state, entityId)?.card.comments || [], restoreId)?.comment || null;
+}
+
+async function handleBoardMutation(env, request, url, path, boardId, headers) {
+  const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+  if (!currentUserEmail) {
+    return jsonResponse({ error: "Unauthorized" }, headers, 401);
+  }
+  const currentUser = await getPublicUser(env, boardId, currentUserEmail);
+  if (!currentUser) {
+    return jsonResponse({ error: "Unauthorized" }, headers, 401);
+  }
+
+  const method = request.method;
+  const body = (request.headers.get("content-type") || "").includes("application/json") ? await parseJson(request) : {};
+  const [resource, entityId = "", child = "", childId = ""] = path.split("/").filter(Boolean).map(decodeURIComponent);
+  const findRestored = method === "POST" && body.restore ? restoreSourceFinder(resource, entityId, String(body.restore)) : null;
+  const restored = findRestored ? await findInBoardHistory(env, boardId, String(body.restore), findRestored) : null;
+  const mutate = resource === "columns"
+    ? (child ? null : columnMutation(method, entityId, body, currentUser, restored))
+    : cardMutation(method, entityId, child, childId, body, currentUser, restored);
+  if (!mutate) return new Response("Not Found", { status: 404, headers });
+  if (currentUser.isSuspended) {
+    return jsonResponse({ error: "Your account is suspended on this board." }, headers, 403);
+  }
+  if (!roleAtLeast(currentUser, child === "comments" ? "commenter" : "member")) {
+    return jsonResponse({ error: roleRestrictionError(currentUser) }, headers, 403);
+  }
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { revision, state: existingState } = await readBoardState(env, boardId);
+    const nextState = structuredClone(existingState);
+    const result = mutate(nextState);
+    if (result.error) {
+      return jsonResponse({ error: result.error }, headers, result.status || 400);
+    }
+    const nextRevision = await persistBoardState(env, boardId, nextState, revision, currentUser.email, existingState);
+    if (nextRevision === null) continue;
+    try {
+      await recordBoardChanges(env, boardId, existingState, nextState, currentUser, await listPublicUsers(env, boardId), url.origin);
+    } catch (notificationError) {
+      console.warn("Failed to generate notifications:", notificationError);
+    }
+    return jsonResponse({ success: true, revision: nextRevision, ...result.payload }, headers);
+  }
+  return jsonResponse({ error: "Board was changed by someone else." }, headers, 409);
+}
+
 async function parseJson(request) {
   try {
     return await request.json();
@@ -1148,11 +3200,23 @@ export default {
     const path = url.pathname.replace(/\/+/g, "/");
     const method = request.method;
 
+    const origin = request.headers.get("Origin") || "";
     const headers = {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, X-Board-ID, X-User-Token",
+      "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Board-ID, X-User-Token, If-None-Match",
+      "Access-Control-Expose-Headers": "ETag",
+      "Vary": "Origin",
+      "X-Content-Type-Options": "nosniff",
+      // API responses and stored attachments are never meant to run as a page
+      "Content-Security-Policy": "default-src 'none'; sandbox; frame-ancestors 'none'",
     };
+    if (!isOriginAllowed(env, origin, url)) {
+      // Refused outright, because requests that skip the preflight would otherwise still run
+      return jsonResponse({ error: "Origin not allowed." }, headers, 403);
+    }
+    if (origin) {
+      headers["Access-Control-Allow-Origin"] = origin;
+    }
 
     if (method === "OPTIONS") {
       return new Response(null, { headers });
@@ -1167,6 +3231,17 @@ export default {
         return handleTelegramWebhook(env, request);
       }
 
+      const requestToken = getUserToken(request, url);
+      if (requestToken.startsWith(API_TOKEN_PREFIX)) {
+        const apiToken = await findApiToken(env, requestToken);
+        if (!apiToken) {
+          return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        }
+        if (!apiToken.scopes.includes(apiTokenScope(path, method))) {
+          return jsonResponse({ error: "This API token does not allow this request." }, headers, 403);
+        }
+      }
+
       if (path === "/boards" && method === "GET") {
         const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
         if (!currentUserEmail) {
@@ -1200,20 +3275,8 @@ export default {
         }
 
         await ensureBoardRecord(env, nextBoardId, { name: requestedName || nextBoardId, createdBy: currentUserEmail });
-        const currentUser = await getPublicUser(env, boardId, currentUserEmail);
-        const currentCredential = await getUserCredential(env, boardId, currentUserEmail);
-        await upsertUserRecord(env, nextBoardId, {
-          ...(currentUser || { email: currentUserEmail }),
-          email: currentUserEmail,
-          isAdmin: true,
-          isApproved: true,
-        });
-        if (currentCredential?.pinHash && currentCredential?.pinSalt) {
-          await env.DB.prepare(
-            "INSERT OR REPLACE INTO board_user_credentials (board_id, email, pin_hash, pin_salt, updated_at) VALUES (?, ?, ?, ?, ?)"
-          ).bind(nextBoardId, currentUserEmail, currentCredential.pinHash, currentCredential.pinSalt, new Date().toISOString()).run();
-        }
-        const session = await createSession(env, nextBoardId, currentUserEmail);
+        await upsertBoardMember(env, nextBoardId, currentUserEmail, { isAdmin: true, isApproved: true });
+        const session = await createSession(env, nextBoardId, currentUserEmail, request);
         const targetUser = await getPublicUser(env, nextBoardId, currentUserEmail);
         return jsonResponse({
           success: true,
@@ -1221,6 +3284,7 @@ export default {
           boards: await listAccessibleBoards(env, currentUserEmail),
           user: targetUser,
           token: session.token,
+          refreshToken: session.refreshToken,
           expiresAt: session.expiresAt,
           isAdmin: true,
         }, headers);
@@ -1298,10 +3362,21 @@ export default {
         }
 
         await env.DB.prepare("DELETE FROM board_sessions WHERE board_id = ?").bind(targetBoardId).run();
-        await env.DB.prepare("DELETE FROM board_user_credentials WHERE board_id = ?").bind(targetBoardId).run();
         await env.DB.prepare("DELETE FROM board_notifications WHERE board_id = ?").bind(targetBoardId).run();
+        await env.DB.prepare("DELETE FROM board_revisions WHERE board_id = ?").bind(targetBoardId).run();
+        await env.DB.prepare("DELETE FROM board_activity WHERE board_id = ?").bind(targetBoardId).run();
+        await env.DB.prepare("DELETE FROM board_invites WHERE board_id = ?").bind(targetBoardId).run();
+        for (const { table } of Object.values(BOARD_ROW_TABLES)) {
+          await env.DB.prepare(`DELETE FROM ${table} WHERE board_id = ?`).bind(targetBoardId).run();
+        }
         await env.DB.prepare("DELETE FROM board_users WHERE board_id = ?").bind(targetBoardId).run();
         await env.DB.prepare("DELETE FROM boards WHERE id = ?").bind(targetBoardId).run();
+        await env.DB.prepare(
+          "DELETE FROM user_accounts WHERE NOT EXISTS (SELECT 1 FROM board_users u WHERE u.email = user_accounts.email)"
+        ).run();
+        await env.DB.prepare(
+          "DELETE FROM api_tokens WHERE NOT EXISTS (SELECT 1 FROM user_accounts a WHERE a.email = api_tokens.email)"
+        ).run();
 
         return jsonResponse({
           success: true,
@@ -1316,23 +3391,13 @@ export default {
         if (!email || !pinCode) {
           return jsonResponse({ error: "Email and password are required." }, headers, 400);
         }
-
-        const credentials = await listCredentialsForEmail(env, email);
-        const matchedBoards = [];
-        for (const credential of credentials) {
-          if (!(await verifyPin(pinCode, credential.pinSalt, credential.pinHash))) continue;
-          const publicUser = await getPublicUser(env, credential.boardId, email);
-          if (publicUser?.isApproved) {
-            matchedBoards.push(credential.boardId);
-          }
-        }
-        if (!matchedBoards.length) {
-          return jsonResponse({ error: "Invalid email or password." }, headers, 403);
-        }
-        const boards = await listAccessibleBoards(env, email);
-        return jsonResponse({
-          boards: boards.filter((board) => matchedBoards.includes(board.id)),
-        }, headers);
+        const { account, throttleKeys, retryAfter, error } = await authenticateAccount(env, request, email, pinCode);
+        if (retryAfter) return loginLockedResponse(retryAfter, headers);
+        if (error) return jsonResponse({ error }, headers, 403);
+        const twoFactorError = await secondFactorError(env, account, body, throttleKeys);
+        if (twoFactorError) return jsonResponse(twoFactorError, headers, 403);
+        await clearLoginFailures(env, "email", email);
+        return jsonResponse({ boards: await listAccessibleBoards(env, email) }, headers);
       }
 
       if (path === "/board-session" && method === "POST") {
@@ -1350,11 +3415,18 @@ export default {
         if (!targetUser || !targetUser.isApproved) {
           return jsonResponse({ error: "You do not have access to this board." }, headers, 403);
         }
-        const session = await createSession(env, targetBoardId, currentUserEmail);
+        if (targetUser.isSuspended) {
+          return jsonResponse({ error: "Your account is suspended on this board." }, headers, 403);
+        }
+        if (!(await getAccount(env, currentUserEmail))?.totpSecret && (await isTwoFactorRequired(env, targetBoardId, currentUserEmail))) {
+          return jsonResponse({ error: "This board requires two-factor authentication. Set it up to continue.", twoFactorSetupRequired: true }, headers, 403);
+        }
+        const session = await createSession(env, targetBoardId, currentUserEmail, request);
         return jsonResponse({
           success: true,
           user: targetUser,
           token: session.token,
+          refreshToken: session.refreshToken,
           expiresAt: session.expiresAt,
           isAdmin: !!targetUser.isAdmin,
         }, headers);
@@ -1368,8 +3440,57 @@ export default {
             return jsonResponse({ error: "Unauthorized" }, headers, 401);
           }
         }
+        const ifNoneMatch = request.headers.get("If-None-Match") || "";
+        if (ifNoneMatch && ifNoneMatch === await boardEtag(boardId, await readCurrentRevision(env, boardId), publicUsers)) {
+          return new Response(null, { status: 304, headers: { ...headers, ETag: ifNoneMatch } });
+        }
         const state = await loadSanitizedBoard(env, boardId);
-        return jsonResponse(state, headers);
+        const etag = await boardEtag(boardId, state.revision, state.users);
+        const since = Number.parseInt(url.searchParams.get("since") || "", 10);
+        const base = Number.isInteger(since) ? await readBoardRevision(env, boardId, since) : null;
+        if (base) {
+          const delta = boardStateDelta(boardStatePayload(base), state);
+          if (parseBoardEtag(ifNoneMatch).usersHash !== parseBoardEtag(etag).usersHash) {
+            delta.users = state.users;
+          }
+          return jsonResponse({ revision: state.revision, delta }, { ...headers, ETag: etag });
+        }
+        return jsonResponse(state, { ...headers, ETag: etag });
+      }
+
+      if (path === "/changes" && method === "GET") {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail) {
+          return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        }
+        const since = Number.parseInt(url.searchParams.get("since") || "", 10);
+        const deadline = Date.now() + CHANGES_WAIT_MS;
+        let revision = await readCurrentRevision(env, boardId);
+        // Checks back off so an idle board costs a handful of revision reads per wait, not one a second
+        let interval = CHANGES_POLL_INTERVAL_MS;
+        while (revision === since && Date.now() < deadline && !request.signal?.aborted) {
+          await new Promise((resolve) => setTimeout(resolve, Math.min(interval, Math.max(deadline - Date.now(), 0))));
+          interval = Math.min(interval * 2, CHANGES_POLL_MAX_INTERVAL_MS);
+          revision = await readCurrentRevision(env, boardId);
+        }
+        if (revision === since) {
+          return jsonResponse({ changed: false, revision }, headers);
+        }
+        const current = await loadSanitizedBoard(env, boardId);
+        const base = Number.isInteger(since) ? await readBoardRevision(env, boardId, since) : null;
+        if (!base) {
+          return jsonResponse({ changed: true, revision: current.revision, state: current }, headers);
+        }
+        return jsonResponse({ changed: true, revision: current.revision, delta: boardStateDelta(boardStatePayload(base), current) }, headers);
+      }
+
+      if (path === "/activity" && method === "GET") {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail) {
+          return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        }
+        const activity = await listBoardActivity(env, boardId, url.searchParams.get("cardId") || "", url.searchParams.get("limit") || 50);
+        return jsonResponse({ activity }, headers);
       }
 
       if (path === "/notifications" && method === "GET") {
@@ -1431,33 +3552,25 @@ export default {
           return jsonResponse({ error: "Email and password are required." }, headers, 400);
         }
 
-        const publicUser = await getPublicUser(env, boardId, email);
-        const credential = await getUserCredential(env, boardId, email);
-        if (credential) {
-          const isValid = await verifyPin(pinCode, credential.pinSalt, credential.pinHash);
-          if (!isValid) {
-            return jsonResponse({ error: "Invalid email or password." }, headers, 403);
-          }
-        } else if (publicUser) {
-          return jsonResponse({ error: "Invalid email or password." }, headers, 403);
-        } else {
-          return jsonResponse({ error: "Invalid email or password." }, headers, 403);
-        }
+        const { account, throttleKeys, retryAfter, error } = await authenticateAccount(env, request, email, pinCode);
+        if (retryAfter) return loginLockedResponse(retryAfter, headers);
+        if (error) return jsonResponse({ error }, headers, 403);
+        const twoFactorError = await secondFactorError(env, account, body, throttleKeys);
+        if (twoFactorError) return jsonResponse(twoFactorError, headers, 403);
 
-        if (!publicUser) {
-          return jsonResponse({ error: "Invalid email or password." }, headers, 403);
+        const login = await resolveLoginBoard(env, boardId, email);
+        if (login.error) {
+          await clearLoginFailures(env, "email", email);
+          return jsonResponse({ error: login.error }, headers, 403);
         }
-        if (!publicUser.isApproved) {
-          return jsonResponse({ error: "Your account is waiting for admin approval." }, headers, 403);
+        if (!account.totpSecret && (await isTwoFactorRequired(env, login.boardId, email))) {
+          return jsonResponse({
+            error: "This board requires two-factor authentication. Set it up to continue.",
+            twoFactorSetupRequired: true,
+          }, headers, 403);
         }
-        const session = await createSession(env, boardId, email);
-        return jsonResponse({
-          success: true,
-          user: publicUser,
-          token: session.token,
-          expiresAt: session.expiresAt,
-          isAdmin: !!publicUser.isAdmin,
-        }, headers);
+        await clearLoginFailures(env, "email", email);
+        return jsonResponse(await loginSessionPayload(env, request, login.boardId, login.user), headers);
       }
 
       if (path === "/signup" && method === "POST") {
@@ -1468,19 +3581,23 @@ export default {
         if (!email || !pinCode) {
           return jsonResponse({ error: "Email and password are required." }, headers, 400);
         }
+        // Every signup counts against the caller's address, so accounts cannot be probed or mass-created
+        const throttleKeys = loginThrottleKeys(request, "", "signup_ip");
+        const retryAfter = await loginRetryAfter(env, throttleKeys);
+        if (retryAfter) return loginLockedResponse(retryAfter, headers);
+        await recordLoginFailure(env, throttleKeys);
         const existingUser = await getPublicUser(env, boardId, email);
-        const existingCredential = await getUserCredential(env, boardId, email);
-        if (existingUser || existingCredential) {
+        const existingAccount = await getAccount(env, email);
+        // An existing account can ask to join another board, but only with its own password
+        if (existingUser || (existingAccount && !(await verifyAccountPin(env, email, pinCode)))) {
           return jsonResponse({ error: "An account with this email already exists." }, headers, 409);
         }
         const allUsers = await listPublicUsers(env, boardId, { includePending: true });
         const isFirstUser = allUsers.length === 0;
-        await upsertUserRecord(env, boardId, {
-          email,
-          name,
-          isAdmin: isFirstUser,
-          isApproved: isFirstUser,
-        }, pinCode);
+        if (!existingAccount) {
+          await upsertAccount(env, { email, name }, pinCode);
+        }
+        await upsertBoardMember(env, boardId, email, { isAdmin: isFirstUser, isApproved: isFirstUser });
         return jsonResponse({
           success: true,
           pendingApproval: !isFirstUser,
@@ -1503,27 +3620,28 @@ export default {
         const nextName = (body.name || "").trim();
         const nextAvatarUrl = body.avatarUrl !== undefined ? body.avatarUrl : currentUser.avatarUrl;
         const nextAvatarKey = body.avatarKey !== undefined ? body.avatarKey : currentUser.avatarKey;
-        await upsertUserRecord(env, boardId, {
+        const nextEmail = normalizeEmail(body.email || "") || currentUser.email;
+        if (nextEmail !== currentUser.email) {
+          const passwordCheck = await authenticateAccount(env, request, currentUser.email, String(body.currentPinCode || "").trim());
+          if (passwordCheck.retryAfter) return loginLockedResponse(passwordCheck.retryAfter, headers);
+          if (passwordCheck.error) {
+            return jsonResponse({ error: "Current password is incorrect." }, headers, 403);
+          }
+          if (await isEmailTaken(env, nextEmail)) {
+            return jsonResponse({ error: "An account with this email already exists." }, headers, 409);
+          }
+          await changeAccountEmail(env, currentUser.email, nextEmail, currentUser.email);
+          currentUser.email = nextEmail;
+        }
+        await upsertAccount(env, {
           email: currentUser.email,
           name: nextName,
           avatarUrl: nextAvatarUrl,
           avatarKey: nextAvatarKey,
-          isAdmin: !!currentUser.isAdmin,
-          isApproved: !!currentUser.isApproved,
         }, pinCode || null);
-        
-        const allBoardIds = await listUserBoardIds(env, currentUser.email);
-        for (const otherBoardId of allBoardIds) {
-          if (otherBoardId === boardId) continue;
-          const otherUser = await getPublicUser(env, otherBoardId, currentUser.email);
-          if (!otherUser) continue;
-          await env.DB.prepare(
-            "UPDATE board_users SET name = ?, avatar_url = ?, avatar_key = ?, updated_at = ? WHERE board_id = ? AND email = ?"
-          ).bind(nextName, nextAvatarUrl, nextAvatarKey, new Date().toISOString(), otherBoardId, currentUser.email).run();
-        }
-        
+
         if (pinCode) {
-          await env.DB.prepare("DELETE FROM board_sessions WHERE board_id = ? AND user_email = ?").bind(boardId, currentUser.email).run();
+          await revokeAccountCredentials(env, currentUser.email);
         }
         return jsonResponse({
           success: true,
@@ -1532,6 +3650,196 @@ export default {
         }, headers);
       }
 
+      if (path === "/two-factor" && method === "GET") {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail) return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        return jsonResponse(await twoFactorPayload(env, boardId, currentUserEmail), headers);
+      }
+
+      if ((path === "/two-factor/setup" || path === "/two-factor/enable") && method === "POST") {
+        const body = await parseJson(request);
+        // Users a board forces into 2FA enroll before they have a session, so the password stands in for it
+        let email = await getSessionUser(env, boardId, getUserToken(request, url));
+        let passwordLogin = null;
+        if (!email) {
+          email = normalizeEmail(body.email || "");
+          if (!email || !body.pinCode) return jsonResponse({ error: "Unauthorized" }, headers, 401);
+          passwordLogin = await authenticateAccount(env, request, email, String(body.pinCode).trim());
+          if (passwordLogin.retryAfter) return loginLockedResponse(passwordLogin.retryAfter, headers);
+          if (passwordLogin.error) return jsonResponse({ error: passwordLogin.error }, headers, 403);
+        }
+        const account = await getAccount(env, email);
+        if (!account) return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        if (account.totpSecret) {
+          return jsonResponse({ error: "Two-factor authentication is already enabled." }, headers, 409);
+        }
+
+        if (path === "/two-factor/setup") {
+          const secret = makeTotpSecret();
+          await env.DB.prepare("UPDATE user_accounts SET totp_pending_secret = ? WHERE email = ?").bind(secret, email).run();
+          return jsonResponse({ secret, otpauthUri: totpUri(email, secret) }, headers);
+        }
+
+        const step = await verifyTotp(account.totpPendingSecret, body.code);
+        if (!step) {
+          if (passwordLogin) await recordLoginFailure(env, passwordLogin.throttleKeys);
+          return jsonResponse({ error: "Invalid verification code." }, headers, 403);
+        }
+        const recovery = await makeRecoveryCodes();
+        await env.DB.prepare(
+          `UPDATE user_accounts
+           SET totp_secret = totp_pending_secret, totp_pending_secret = '', totp_last_step = ?, totp_enabled_at = ?, recovery_codes = ?
+           WHERE email = ? AND totp_pending_secret = ?`
+        ).bind(step, new Date().toISOString(), recovery.hashes, email, account.totpPendingSecret).run();
+        if (!passwordLogin) {
+          return jsonResponse({ success: true, recoveryCodes: recovery.codes }, headers);
+        }
+        await clearLoginFailures(env, "email", email);
+        const login = await resolveLoginBoard(env, boardId, email);
+        if (login.error) return jsonResponse({ error: login.error, recoveryCodes: recovery.codes }, headers, 403);
+        return jsonResponse({
+          ...(await loginSessionPayload(env, request, login.boardId, login.user)),
+          recoveryCodes: recovery.codes,
+        }, headers);
+      }
+
+      if ((path === "/two-factor/recovery-codes" && method === "POST") || (path === "/two-factor" && method === "DELETE")) {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail) return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        const body = await parseJson(request);
+        const account = await getAccount(env, currentUserEmail);
+        if (!account?.totpSecret) {
+          return jsonResponse({ error: "Two-factor authentication is not enabled." }, headers, 400);
+        }
+        const throttleKeys = loginThrottleKeys(request, currentUserEmail);
+        const retryAfter = await loginRetryAfter(env, throttleKeys);
+        if (retryAfter) return loginLockedResponse(retryAfter, headers);
+        if (!(await verifySecondFactor(env, account, body))) {
+          await recordLoginFailure(env, throttleKeys);
+          return jsonResponse({ error: "Invalid verification code." }, headers, 403);
+        }
+
+        if (method === "POST") {
+          const recovery = await makeRecoveryCodes();
+          await env.DB.prepare("UPDATE user_accounts SET recovery_codes = ? WHERE email = ?").bind(recovery.hashes, currentUserEmail).run();
+          return jsonResponse({ success: true, recoveryCodes: recovery.codes }, headers);
+        }
+        const requiredOn = await env.DB.prepare(
+          `SELECT 1 AS required
+           FROM board_users u
+           JOIN boards b ON b.id = u.board_id
+           WHERE u.email = ? AND u.is_approved = 1
+             AND (b.require_two_factor = 'all' OR (b.require_two_factor = 'admins' AND u.is_admin = 1))
+           LIMIT 1`
+        ).bind(currentUserEmail).first();
+        if (requiredOn) {
+          return jsonResponse({ error: "Two-factor authentication is required on one of your boards." }, headers, 403);
+        }
+        await env.DB.prepare(
+          "UPDATE user_accounts SET totp_secret = '', totp_pending_secret = '', totp_last_step = 0, totp_enabled_at = '', recovery_codes = '[]' WHERE email = ?"
+        ).bind(currentUserEmail).run();
+        return jsonResponse({ success: true, ...(await twoFactorPayload(env, boardId, currentUserEmail)) }, headers);
+      }
+
+      if (path === "/two-factor/policy" && method === "POST") {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail || !(await isUserAdmin(env, boardId, currentUserEmail))) {
+          return jsonResponse({ error: "Only admin can change security settings." }, headers, 403);
+        }
+        const body = await parseJson(request);
+        const requirement = String(body.requirement || "");
+        if (!TWO_FACTOR_REQUIREMENTS.includes(requirement)) {
+          return jsonResponse({ error: "Unknown two-factor requirement." }, headers, 400);
+        }
+        if (requirement && !(await getAccount(env, currentUserEmail))?.totpSecret) {
+          return jsonResponse({ error: "Enable two-factor authentication on your account first." }, headers, 403);
+        }
+        await ensureBoardRecord(env, boardId);
+        await env.DB.prepare("UPDATE boards SET require_two_factor = ?, updated_at = ? WHERE id = ?")
+          .bind(requirement, new Date().toISOString(), boardId).run();
+        await revokeSessionsWithoutTwoFactor(env, boardId);
+        return jsonResponse({ success: true, ...(await twoFactorPayload(env, boardId, currentUserEmail)) }, headers);
+      }
+
+      if (path === "/refresh" && method === "POST") {
+        const body = await parseJson(request);
+        const session = await refreshSession(env, String(body.refreshToken || ""));
+        if (session.error) {
+          return jsonResponse({ error: session.error }, headers, 401);
+        }
+        return jsonResponse({ success: true, ...session }, headers);
+      }
+
+      if (path === "/sessions" && method === "GET") {
+        const token = getUserToken(request, url);
+        const currentUserEmail = await getSessionUser(env, boardId, token);
+        if (!currentUserEmail) {
+          return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        }
+        return jsonResponse({ sessions: await listUserSessions(env, currentUserEmail, token) }, headers);
+      }
+
+      if (path === "/sessions" && method === "DELETE") {
+        const token = getUserToken(request, url);
+        const currentUserEmail = await getSessionUser(env, boardId, token);
+        if (!currentUserEmail) {
+          return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        }
+        const body = await parseJson(request);
+        const targetEmail = normalizeEmail(body.email || "");
+        if (targetEmail && targetEmail !== currentUserEmail) {
+          if (!(await isUserAdmin(env, boardId, currentUserEmail))) {
+            return jsonResponse({ error: "Only admin can revoke other users' sessions." }, headers, 403);
+          }
+          if (!(await getPublicUser(env, boardId, targetEmail))) {
+            return jsonResponse({ error: "User not found." }, headers, 404);
+          }
+          // Admins only sign people out of their own board; sessions on other boards are not theirs to end
+          await env.DB.prepare("DELETE FROM board_sessions WHERE board_id = ? AND user_email = ?").bind(boardId, targetEmail).run();
+          return jsonResponse({ success: true, ...(await adminUsersPayload(env, boardId, currentUserEmail)) }, headers);
+        }
+        if (body.all) {
+          await env.DB.prepare("DELETE FROM board_sessions WHERE user_email = ?").bind(currentUserEmail).run();
+        } else if (body.current) {
+          await env.DB.prepare("DELETE FROM board_sessions WHERE token = ?").bind(token).run();
+        } else {
+          const sessionId = String(body.id || "");
+          if (!sessionId) {
+            return jsonResponse({ error: "Session is required." }, headers, 400);
+          }
+          await env.DB.prepare("DELETE FROM board_sessions WHERE id = ? AND user_email = ?").bind(sessionId, currentUserEmail).run();
+        }
+        return jsonResponse({ success: true, sessions: await listUserSessions(env, currentUserEmail, token) }, headers);
+      }
+
+      if (path === "/api-tokens" && (method === "GET" || method === "POST" || method === "DELETE")) {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail) {
+          return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        }
+        if (method === "GET") {
+          return jsonResponse({ tokens: await listApiTokens(env, currentUserEmail) }, headers);
+        }
+        const body = await parseJson(request);
+        if (method === "DELETE") {
+          await env.DB.prepare("DELETE FROM api_tokens WHERE id = ? AND email = ?").bind(String(body.id || ""), currentUserEmail).run();
+          return jsonResponse({ success: true, tokens: await listApiTokens(env, currentUserEmail) }, headers);
+        }
+        const name = String(body.name || "").trim().slice(0, 80);
+        if (!name) {
+          return jsonResponse({ error: "Token name is required." }, headers, 400);
+        }
+        const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes.map(String))] : [];
+        if (!scopes.length) {
+          return jsonResponse({ error: "Choose at least one scope." }, headers, 400);
+        }
+        if (scopes.some((scope) => !API_TOKEN_SCOPES.includes(scope))) {
+          return jsonResponse({ error: "Unknown scope." }, headers, 400);
+        }
+        const created = await createApiToken(env, currentUserEmail, { name, scopes, expiresInDays: body.expiresInDays });
+        return jsonResponse({ success: true, ...created, tokens: await listApiTokens(env, currentUserEmail) }, headers);
+      }
+
       if (path === "/users" && method === "GET") {
         const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
         if (!currentUserEmail || !(await isUserAdmin(env, boardId, currentUserEmail))) {
@@ -1540,6 +3848,171 @@ export default {
         return jsonResponse(await adminUsersPayload(env, boardId, currentUserEmail), headers);
       }
 
+      if (path === "/lockouts" && method === "DELETE") {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail || !(await isUserAdmin(env, boardId, currentUserEmail))) {
+          return jsonResponse({ error: "Only admin can clear lockouts." }, headers, 403);
+        }
+        const body = await parseJson(request);
+        const email = normalizeEmail(body.email || "");
+        if (!email || !(await getPublicUser(env, boardId, email))) {
+          return jsonResponse({ error: "User not found." }, headers, 404);
+        }
+        await clearLoginFailures(env, "email", email);
+        return jsonResponse({ success: true, ...(await adminUsersPayload(env, boardId, currentUserEmail)) }, headers);
+      }
+
+      if (path === "/invites" && (method === "GET" || method === "POST" || method === "DELETE")) {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail || !(await isUserAdmin(env, boardId, currentUserEmail))) {
+          return jsonResponse({ error: "Only admin can manage invites." }, headers, 403);
+        }
+        if (method === "GET") {
+          return jsonResponse({ invites: await listBoardInvites(env, boardId) }, headers);
+        }
+        const body = await parseJson(request);
+        if (method === "DELETE") {
+          await env.DB.prepare(
+            "UPDATE board_invites SET revoked_at = ? WHERE id = ? AND board_id = ? AND COALESCE(revoked_at, '') = ''"
+          ).bind(new Date().toISOString(), String(body.id || ""), boardId).run();
+          return jsonResponse({ success: true, invites: await listBoardInvites(env, boardId) }, headers);
+        }
+        const role = body.role || "member";
+        if (!BOARD_ROLES.includes(role)) {
+          return jsonResponse({ error: "Unknown role." }, headers, 400);
+        }
+        await ensureBoardRecord(env, boardId);
+        const created = await createBoardInvite(env, boardId, currentUserEmail, {
+          role,
+          expiresInHours: body.expiresInHours,
+          singleUse: !!body.singleUse,
+        });
+        return jsonResponse({ success: true, ...created, invites: await listBoardInvites(env, boardId) }, headers);
+      }
+
+      if (path === "/invites/preview" && method === "GET") {
+        const invite = await findInvite(env, url.searchParams.get("token") || "");
+        if (!invite) {
+          return jsonResponse({ error: "This invite link is invalid or has expired." }, headers, 404);
+        }
+        return jsonResponse({
+          boardId: invite.boardId,
+          boardName: invite.boardName,
+          role: invite.role,
+          expiresAt: invite.expiresAt,
+        }, headers);
+      }
+
+      if (path === "/invites/accept" && method === "POST") {
+        const body = await parseJson(request);
+        const invite = await findInvite(env, body.token || "");
+        if (!invite) {
+          return jsonResponse({ error: "This invite link is invalid or has expired." }, headers, 404);
+        }
+        // A signed-in user joins with their session; everyone else signs in or signs up with the link
+        const sessionToken = getUserToken(request, url);
+        let email = await getSessionUser(env, boardId, sessionToken);
+        let throttleKeys = null;
+        let newAccount = false;
+        if (!email) {
+          email = normalizeEmail(body.email || "");
+          const pinCode = (body.pinCode || "").trim();
+          if (!email || !pinCode) {
+            if (sessionToken) return jsonResponse({ error: "Unauthorized" }, headers, 401);
+            return jsonResponse({ error: "Email and password are required." }, headers, 400);
+          }
+          if (await getAccount(env, email)) {
+            const login = await authenticateAccount(env, request, email, pinCode);
+            if (login.retryAfter) return loginLockedResponse(login.retryAfter, headers);
+            if (login.error) return jsonResponse({ error: login.error }, headers, 403);
+            throttleKeys = login.throttleKeys;
+            const twoFactorError = await secondFactorError(env, login.account, body, throttleKeys);
+            if (twoFactorError) return jsonResponse(twoFactorError, headers, 403);
+          } else {
+            throttleKeys = loginThrottleKeys(request, "", "signup_ip");
+            const retryAfter = await loginRetryAfter(env, throttleKeys);
+            if (retryAfter) return loginLockedResponse(retryAfter, headers);
+            await recordLoginFailure(env, throttleKeys);
+            newAccount = true;
+          }
+        }
+
+        const member = await getPublicUser(env, invite.boardId, email);
+        if (member?.isSuspended) {
+          return jsonResponse({ error: "Your account is suspended on this board." }, headers, 403);
+        }
+        if (!member?.isApproved) {
+          if (!(await claimInvite(env, invite))) {
+            return jsonResponse({ error: "This invite link is invalid or has expired." }, headers, 404);
+          }
+          if (newAccount) {
+            await upsertAccount(env, { email, name: (body.name || "").trim() }, body.pinCode.trim());
+          }
+          await upsertBoardMember(env, invite.boardId, email, { role: member?.isAdmin ? "admin" : invite.role, isApproved: true });
+        }
+        if (throttleKeys && !newAccount) await clearLoginFailures(env, "email", email);
+
+        const user = await getPublicUser(env, invite.boardId, email);
+        if (!(await getAccount(env, email))?.totpSecret && (await isTwoFactorRequired(env, invite.boardId, email))) {
+          return jsonResponse({
+            error: "This board requires two-factor authentication. Set it up to continue.",
+            twoFactorSetupRequired: true,
+            boardId: invite.boardId,
+          }, headers, 403);
+        }
+        return jsonResponse(await loginSessionPayload(env, request, invite.boardId, user), headers);
+      }
+
+      if (path === "/password-reset" && method === "POST") {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail || !(await isUserAdmin(env, boardId, currentUserEmail))) {
+          return jsonResponse({ error: "Only admin can reset passwords." }, headers, 403);
+        }
+        const body = await parseJson(request);
+        const email = normalizeEmail(body.email || "");
+        if (!email || !(await getPublicUser(env, boardId, email)) || !(await getAccount(env, email))) {
+          return jsonResponse({ error: "User not found." }, headers, 404);
+        }
+        if (!(await administersAllBoards(env, currentUserEmail, email))) {
+          return jsonResponse({ error: "This account is also on boards you do not administer. Only its owner can change the password." }, headers, 403);
+        }
+        const reset = await createPasswordReset(env, email, currentUserEmail);
+        const resetUrl = new URL("/", url.origin);
+        resetUrl.searchParams.set("reset", reset.token);
+        const telegramSent = body.sendTelegram ? await sendTelegramPasswordReset(env, email, resetUrl.toString()) : false;
+        return jsonResponse({ success: true, ...reset, telegramSent }, headers);
+      }
+
+      if (path === "/password-reset" && method === "GET") {
+        const reset = await findPasswordReset(env, url.searchParams.get("token") || "");
+        if (!reset) {
+          return jsonResponse({ error: "This reset link is invalid or has expired." }, headers, 404);
+        }
+        return jsonResponse({ email: reset.email, expiresAt: reset.expiresAt }, headers);
+      }
+
+      if (path === "/password-reset/complete" && method === "POST") {
+        const body = await parseJson(request);
+        const pinCode = (body.pinCode || "").trim();
+        if (!pinCode) {
+          return jsonResponse({ error: "Password is required." }, headers, 400);
+        }
+        const reset = await findPasswordReset(env, body.token || "");
+        const claimed = reset && await env.DB.prepare(
+          "UPDATE password_resets SET used_at = ? WHERE token_hash = ? AND COALESCE(used_at, '') = ''"
+        ).bind(new Date().toISOString(), reset.tokenHash).run();
+        if (!Number(claimed?.meta?.changes || 0)) {
+          return jsonResponse({ error: "This reset link is invalid or has expired." }, headers, 404);
+        }
+        const { pinHash, pinSalt } = await makeCredential(env, pinCode);
+        await env.DB.prepare(
+          "UPDATE user_accounts SET pin_hash = ?, pin_salt = ?, updated_at = ? WHERE email = ?"
+        ).bind(pinHash, pinSalt, new Date().toISOString(), reset.email).run();
+        await revokeAccountCredentials(env, reset.email);
+        await clearLoginFailures(env, "email", reset.email);
+        return jsonResponse({ success: true, email: reset.email }, headers);
+      }
+
       if (path === "/user-board-access" && method === "POST") {
         const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
         if (!currentUserEmail || !(await isUserAdmin(env, boardId, currentUserEmail))) {
@@ -1567,18 +4040,11 @@ export default {
 
         if (hasAccess) {
           const existingTargetUser = await getPublicUser(env, targetBoardId, email);
-          await upsertUserRecord(env, targetBoardId, {
-            ...sourceUser,
-            isAdmin: !!existingTargetUser?.isAdmin,
+          await upsertBoardMember(env, targetBoardId, email, {
+            role: existingTargetUser?.role,
             isApproved: true,
+            isSuspended: existingTargetUser?.isSuspended,
           });
-          const existingCredential = await getUserCredential(env, targetBoardId, email);
-          const sourceCredential = await getUserCredential(env, boardId, email);
-          if (!existingCredential && sourceCredential?.pinHash && sourceCredential?.pinSalt) {
-            await env.DB.prepare(
-              "INSERT OR REPLACE INTO board_user_credentials (board_id, email, pin_hash, pin_salt, updated_at) VALUES (?, ?, ?, ?, ?)"
-            ).bind(targetBoardId, email, sourceCredential.pinHash, sourceCredential.pinSalt, new Date().toISOString()).run();
-          }
           if (!existingTargetUser?.isApproved) {
             const board = await readBoardRow(env, targetBoardId);
             await insertNotification(env, {
@@ -1597,10 +4063,9 @@ export default {
             }, { dedupe: true });
           }
         } else {
-          if (await isUserAdmin(env, targetBoardId, email)) {
-            return jsonResponse({ error: "Admin user cannot be removed from that board." }, headers, 403);
+          if ((await deleteUserRecords(env, targetBoardId, email, { allowAdmin: true })) === null) {
+            return jsonResponse({ error: "A board needs at least one admin." }, headers, 403);
           }
-          await deleteUserRecords(env, targetBoardId, email);
         }
 
         return jsonResponse(await adminUsersPayload(env, boardId, currentUserEmail), headers);
@@ -1619,28 +4084,83 @@ export default {
         if (!nextEmail) {
           return jsonResponse({ error: "User email is required." }, headers, 400);
         }
-        if (previousEmail && previousEmail !== nextEmail) {
-          return jsonResponse({ error: "Changing account email is not supported." }, headers, 400);
+        const renaming = !!previousEmail && previousEmail !== nextEmail;
+        if (renaming) {
+          if (!(await getPublicUser(env, boardId, previousEmail))) {
+            return jsonResponse({ error: "User not found." }, headers, 404);
+          }
+          if (!(await administersAllBoards(env, currentUserEmail, previousEmail))) {
+            return jsonResponse({ error: "This account is also on boards you do not administer. Only its owner can change the email." }, headers, 403);
+          }
+          if (await isEmailTaken(env, nextEmail)) {
+            return jsonResponse({ error: "An account with this email already exists." }, headers, 409);
+          }
         }
 
-        const existingUser = await getPublicUser(env, boardId, nextEmail);
-        if (!existingUser && !pinCode) {
+        // The member keeps their previous address until every check below has passed
+        const memberEmail = renaming ? previousEmail : nextEmail;
+        const existingUser = await getPublicUser(env, boardId, memberEmail);
+        const existingAccount = await getAccount(env, memberEmail);
+        if (!existingAccount && !pinCode) {
           return jsonResponse({ error: "Password is required for a new user." }, headers, 400);
         }
+        // People who already have an account join a board only through an invite they accept themselves
+        if (existingAccount && !existingUser) {
+          return jsonResponse({ error: "This person already has an account. Send them an invite link instead." }, headers, 409);
+        }
+        const canEditAccount = !existingAccount || (await administersAllBoards(env, currentUserEmail, memberEmail));
+        if (pinCode && !canEditAccount) {
+          return jsonResponse({ error: "This account is also on boards you do not administer. Only its owner can change the password." }, headers, 403);
+        }
         const wasApproved = !!existingUser?.isApproved;
+        let role = existingUser?.role || "member";
+        if (body.isAdmin !== undefined) role = body.isAdmin ? "admin" : (role === "admin" ? "member" : role);
+        if (body.role !== undefined) role = body.role;
+        if (!BOARD_ROLES.includes(role)) {
+          return jsonResponse({ error: "Unknown role." }, headers, 400);
+        }
+        const wasSuspended = !!existingUser?.isSuspended;
+        const isSuspended = body.isSuspended !== undefined ? !!body.isSuspended : wasSuspended;
+        if (isSuspended && memberEmail === currentUserEmail) {
+          return jsonResponse({ error: "You cannot suspend yourself." }, headers, 403);
+        }
+        if (isSuspended && role === "admin") {
+          return jsonResponse({ error: "Admin user cannot be suspended." }, headers, 403);
+        }
+        const isApproved = body.isApproved !== undefined ? !!body.isApproved : !!existingUser?.isApproved;
+        const demotesAdmin = existingUser?.isAdmin && (role !== "admin" || !isApproved);
+        if (demotesAdmin && !(await demoteBoardAdmin(env, boardId, memberEmail, { role, isApproved, isSuspended }))) {
+          return jsonResponse({ error: "A board needs at least one admin." }, headers, 403);
+        }
+        if (renaming) {
+          await changeAccountEmail(env, previousEmail, nextEmail, currentUserEmail);
+        }
 
-        await upsertUserRecord(env, boardId, {
-          email: nextEmail,
-          name: (body.name || "").trim(),
-          avatarUrl: body.avatarUrl || existingUser?.avatarUrl || "",
-          avatarKey: body.avatarKey || existingUser?.avatarKey || "",
-          isAdmin: body.isAdmin !== undefined ? !!body.isAdmin : !!existingUser?.isAdmin,
-          isApproved: body.isApproved !== undefined ? !!body.isApproved : !!existingUser?.isApproved,
-        }, pinCode || null);
+        // An account that is also on boards this admin does not control keeps its own profile and password
+        if (canEditAccount) {
+          await upsertAccount(env, {
+            email: nextEmail,
+            name: body.name !== undefined ? String(body.name || "") : existingUser?.name || "",
+            avatarUrl: body.avatarUrl || existingUser?.avatarUrl || "",
+            avatarKey: body.avatarKey || existingUser?.avatarKey || "",
+          }, pinCode || null);
+        }
+        if (!demotesAdmin) {
+          await upsertBoardMember(env, boardId, nextEmail, {
+            role,
+            isApproved,
+            isSuspended,
+          });
+        }
 
-        if (pinCode) {
+        if (pinCode && canEditAccount) {
+          await revokeAccountCredentials(env, nextEmail);
+        }
+        // Suspension only signs the user out of this board; their cards and comments keep pointing at them
+        if (isSuspended && !wasSuspended) {
           await env.DB.prepare("DELETE FROM board_sessions WHERE board_id = ? AND user_email = ?").bind(boardId, nextEmail).run();
         }
+        await revokeSessionsWithoutTwoFactor(env, boardId);
 
         if (!wasApproved && body.isApproved === true) {
           await insertNotification(env, {
@@ -1661,6 +4181,28 @@ export default {
         return jsonResponse({ success: true, ...(await adminUsersPayload(env, boardId, currentUserEmail)) }, headers);
       }
 
+      // Hands the board to another member: they become its owner and admin, and the current admin becomes a member
+      if (path === "/transfer-ownership" && method === "POST") {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail || !(await isUserAdmin(env, boardId, currentUserEmail))) {
+          return jsonResponse({ error: "Only admin can transfer ownership." }, headers, 403);
+        }
+        const body = await parseJson(request);
+        const email = normalizeEmail(body.email || "");
+        const target = email ? await getPublicUser(env, boardId, email) : null;
+        if (!target?.isApproved || target.isSuspended || email === currentUserEmail) {
+          return jsonResponse({ error: "Ownership can only go to another approved board member." }, headers, 400);
+        }
+        const now = new Date().toISOString();
+        await env.DB.batch([
+          env.DB.prepare("UPDATE board_users SET role = 'admin', is_admin = 1, updated_at = ? WHERE board_id = ? AND email = ?").bind(now, boardId, email),
+          env.DB.prepare("UPDATE board_users SET role = 'member', is_admin = 0, updated_at = ? WHERE board_id = ? AND email = ?").bind(now, boardId, currentUserEmail),
+          env.DB.prepare("UPDATE boards SET created_by = ?, updated_at = ? WHERE id = ?").bind(email, now, boardId),
+        ]);
+        await revokeSessionsWithoutTwoFactor(env, boardId);
+        return jsonResponse({ success: true, ...(await adminUsersPayload(env, boardId, currentUserEmail)) }, headers);
+      }
+
       if (path === "/user" && method === "DELETE") {
         const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
         if (!currentUserEmail || !(await isUserAdmin(env, boardId, currentUserEmail))) {
@@ -1671,10 +4213,31 @@ export default {
           return jsonResponse({ error: "Missing user email." }, headers, 400);
         }
         if (await isUserAdmin(env, boardId, email)) {
-          return jsonResponse({ error: "Admin user cannot be deleted." }, headers, 403);
+          return jsonResponse({ error: "Demote this admin before removing them." }, headers, 403);
         }
-        await deleteUserRecords(env, boardId, email);
-        return jsonResponse({ success: true, ...(await adminUsersPayload(env, boardId, currentUserEmail)) }, headers);
+        // reassignTo is optional; an empty value unassigns the user's cards instead of handing them over
+        const reassignTo = url.searchParams.get("reassignTo");
+        if (reassignTo !== null) {
+          const replacementEmail = normalizeEmail(reassignTo);
+          const replacement = replacementEmail ? await getPublicUser(env, boardId, replacementEmail) : null;
+          if (replacementEmail && (replacementEmail === email || !replacement?.isApproved || replacement.isSuspended)) {
+            return jsonResponse({ error: "Cards can only be handed to another approved board member." }, headers, 400);
+          }
+          const actor = await getPublicUser(env, boardId, currentUserEmail);
+          const user = (await getPublicUser(env, boardId, email)) || { email };
+          const reassigned = await reassignBoardCards(env, boardId, user, replacement, actor, url.origin);
+          if (reassigned === null) {
+            return jsonResponse({ error: "Demote this admin before removing them." }, headers, 403);
+          }
+          if (!reassigned) {
+            return jsonResponse({ error: "Board was changed by someone else." }, headers, 409);
+          }
+        }
+        const accountDeleted = await deleteUserRecords(env, boardId, email);
+        if (accountDeleted === null) {
+          return jsonResponse({ error: "Demote this admin before removing them." }, headers, 403);
+        }
+        return jsonResponse({ success: true, accountDeleted, ...(await adminUsersPayload(env, boardId, currentUserEmail)) }, headers);
       }
 
       if (path === "/save" && method === "POST") {
@@ -1686,14 +4249,31 @@ export default {
         if (!currentUser) {
           return jsonResponse({ error: "Unauthorized" }, headers, 401);
         }
+        if (currentUser.isSuspended) {
+          return jsonResponse({ error: "Your account is suspended on this board." }, headers, 403);
+        }
 
         const body = await parseJson(request);
-        const existingRow = await readBoardRow(env, boardId);
-        const existingRawState = existingRow?.data ? JSON.parse(existingRow.data) : null;
+        const stored = await readBoardState(env, boardId);
+        const currentRevision = stored.revision;
+        const baseRevision = Number.isInteger(body.baseRevision) ? body.baseRevision : -1;
+        const existingRawState = stored.exists ? stored.state : null;
         const currentUsers = await listPublicUsers(env, boardId);
         const existingState = existingRawState
           ? sanitizedState(existingRawState, currentUsers)
           : { columns: [], users: [] };
+        let baseState = existingState;
+        if (baseRevision !== currentRevision) {
+          const baseRawState = baseRevision >= 0 ? await readBoardRevision(env, boardId, baseRevision) : null;
+          if (!baseRawState) {
+            return jsonResponse({
+              error: "Board was changed by someone else.",
+              revision: currentRevision,
+              state: await loadSanitizedBoard(env, boardId),
+            }, headers, 409);
+          }
+          baseState = sanitizedState(baseRawState, currentUsers);
+        }
         const sentUsers = Array.isArray(body.users) ? body.users.map(normalizePublicUserRecord) : [];
         const sentUsersStable = stableStringify(sentUsers);
         const currentUsersStable = stableStringify(currentUsers);
@@ -1703,133 +4283,140 @@ export default {
           return jsonResponse({ error: "Only admin can modify users list." }, headers, 403);
         }
 
-        const oldCards = flattenCards(existingState);
-        const newCards = flattenCards(body);
-
-        for (const [cardId, oldEntry] of oldCards.entries()) {
-          const newEntry = newCards.get(cardId);
-          if (!newEntry) continue;
-
-          const commentsChanged =
-            stableStringify(normalizeComments(oldEntry.card.comments)) !==
-            stableStringify(normalizeComments(newEntry.card.comments));
-
-          if (commentsChanged && !commentsChangeAllowed(oldEntry.card.comments, newEntry.card.comments, currentUser, { canDeleteAny: isAdmin })) {
-            return jsonResponse({ error: "You can edit or delete only your own comments." }, headers, 403);
-          }
+        const changeError = boardChangeError(baseState, body, currentUser);
+        if (changeError) {
+          return jsonResponse({ error: changeError }, headers, 403);
         }
 
-        for (const [cardId, newEntry] of newCards.entries()) {
-          if (oldCards.has(cardId)) continue;
-          const newComments = flattenComments(newEntry.card.comments);
-          if (newComments.some((comment) => !currentUserMatchesIdentity({ email: comment.authorEmail, name: comment.author }, currentUser))) {
-            return jsonResponse({ error: "You can add only your own comments." }, headers, 403);
+        let nextState = body;
+        if (baseState !== existingState) {
+          const prefer = ["mine", "theirs"].includes(body.resolveConflicts) ? body.resolveConflicts : "theirs";
+          const merge = mergeBoardStates(baseState, body, existingState, { prefer });
+          if (merge.conflicts.length && !body.resolveConflicts) {
+            return jsonResponse({
+              error: "Board was changed by someone else.",
+              revision: currentRevision,
+              conflicts: merge.conflicts,
+            }, headers, 409);
           }
+          nextState = merge.state;
         }
 
-        if (!isAdmin) {
-          if (existingState.columns.length > 0 && normalizeColumnShells(existingState.columns) !== normalizeColumnShells(body.columns)) {
-            return jsonResponse({ error: "Only admin can modify board structure." }, headers, 403);
-          }
-
-          for (const [cardId, oldEntry] of oldCards.entries()) {
-            const newEntry = newCards.get(cardId);
-            const oldOwner = {
-              email: normalizeEmail(oldEntry.card.createdByEmail || ""),
-              name: (oldEntry.card.createdBy || "").trim(),
-            };
-            const oldAssignee = normalizeAssignedUser(oldEntry.card.assignedUser);
-
-            if (!newEntry) {
-              if (!currentUserMatchesIdentity(oldOwner, currentUser)) {
-                return jsonResponse({ error: "You can edit or delete only your own cards." }, headers, 403);
-              }
-              continue;
-            }
+        const revision = await persistBoardState(env, boardId, nextState, currentRevision, currentUser.email, stored.state);
+        if (revision === null) {
+          const latestState = await loadSanitizedBoard(env, boardId);
+          return jsonResponse({
+            error: "Board was changed by someone else.",
+            revision: latestState.revision,
+            state: latestState,
+          }, headers, 409);
+        }
+        try {
+          await recordBoardChanges(env, boardId, existingState, nextState, currentUser, currentUsers, url.origin);
+        } catch (notificationError) {
+          console.warn("Failed to generate notifications:", notificationError);
+        }
+        if (nextState !== body) {
+          return jsonResponse({
+            success: true,
+            revision,
+            state: { ...sanitizedState(boardStatePayload(nextState), currentUsers), revision },
+          }, headers);
+        }
+        return jsonResponse({ success: true, revision }, headers);
+      }
 
-            const commentsChanged =
-              stableStringify(normalizeComments(oldEntry.card.comments)) !==
-              stableStringify(normalizeComments(newEntry.card.comments));
-
-            const cardChanged =
-              JSON.stringify(oldEntry.card) !== JSON.stringify(newEntry.card) ||
-              oldEntry.colId !== newEntry.colId ||
-              oldEntry.index !== newEntry.index;
-
-            if (cardChanged && !currentUserMatchesIdentity(oldOwner, currentUser)) {
-              const contentChanged =
-                stableStringify(comparableCardContent(oldEntry.card)) !==
-                stableStringify(comparableCardContent(newEntry.card));
-              const columnChanged = oldEntry.colId !== newEntry.colId;
-              const indexChanged = oldEntry.index !== newEntry.index;
-              const passiveReindexOnly =
-                !contentChanged &&
-                !commentsChanged &&
-                !columnChanged &&
-                indexChanged;
-              const moveOnly =
-                !contentChanged &&
-                !commentsChanged &&
-                columnChanged &&
-                currentUserMatchesIdentity(oldAssignee || {}, currentUser);
-              const commentsOnly =
-                !contentChanged &&
-                !columnChanged &&
-                !indexChanged &&
-                commentsChanged &&
-                commentsChangeAllowed(oldEntry.card.comments, newEntry.card.comments, currentUser);
-              const moveWithAllowedComments =
-                !contentChanged &&
-                columnChanged &&
-                commentsChanged &&
-                currentUserMatchesIdentity(oldAssignee || {}, currentUser) &&
-                commentsChangeAllowed(oldEntry.card.comments, newEntry.card.comments, currentUser);
-
-              if (!moveOnly && !passiveReindexOnly && !commentsOnly && !moveWithAllowedComments) {
-                return jsonResponse({ error: "You can edit or delete only your own cards." }, headers, 403);
-              }
-            }
+      const historyMatch = path.match(/^\/history(?:\/(\d+)(\/restore)?)?$/);
+      if (historyMatch) {
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail) {
+          return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        }
+        if (!(await isUserAdmin(env, boardId, currentUserEmail))) {
+          return jsonResponse({ error: "Only admin can view board history." }, headers, 403);
+        }
+        const users = await listPublicUsers(env, boardId, { includePending: true });
+        const authorName = (email) => userLabel(users.find((user) => user.email === email) || { email });
+        const [, revisionParam, restore] = historyMatch;
+
+        if (!revisionParam && method === "GET") {
+          const { results } = await env.DB.prepare(
+            "SELECT revision, created_at, author_email FROM board_revisions WHERE board_id = ? ORDER BY revision DESC"
+          ).bind(boardId).all();
+          const row = await readBoardRow(env, boardId);
+          return jsonResponse({
+            revision: Number(row?.revision || 0),
+            revisions: (results || []).map((item) => ({
+              revision: Number(item.revision),
+              createdAt: item.created_at || "",
+              authorEmail: item.author_email || "",
+              authorName: item.author_email ? authorName(item.author_email) : "",
+            })),
+          }, headers);
+        }
 
-            if (
-              normalizeEmail(newEntry.card.createdByEmail || "") !== normalizeEmail(oldEntry.card.createdByEmail || "") ||
-              (newEntry.card.createdBy || "").trim() !== (oldEntry.card.createdBy || "").trim()
-            ) {
-              return jsonResponse({ error: "Card author cannot be changed." }, headers, 403);
-            }
+        if (revisionParam && (restore ? method === "POST" : method === "GET")) {
+          const row = await env.DB.prepare(
+            "SELECT revision, created_at, author_email FROM board_revisions WHERE board_id = ? AND revision = ?"
+          ).bind(boardId, Number(revisionParam)).first();
+          const stored = row ? await readBoardRevision(env, boardId, Number(row.revision)) : null;
+          if (!stored) {
+            return jsonResponse({ error: "Revision not found." }, headers, 404);
           }
-
-          for (const [cardId, newEntry] of newCards.entries()) {
-            if (oldCards.has(cardId)) continue;
-            if (!currentUserMatchesIdentity({ email: newEntry.card.createdByEmail, name: newEntry.card.createdBy }, currentUser)) {
-              return jsonResponse({ error: "New cards must belong to the current user." }, headers, 403);
-            }
+          const snapshot = boardStatePayload(stored);
+          if (!restore) {
+            return jsonResponse({
+              revision: Number(row.revision),
+              createdAt: row.created_at || "",
+              authorEmail: row.author_email || "",
+              authorName: row.author_email ? authorName(row.author_email) : "",
+              state: sanitizedState(snapshot, await listPublicUsers(env, boardId)),
+            }, headers);
+          }
+          const current = await readBoardState(env, boardId);
+          const revision = await persistBoardState(env, boardId, snapshot, current.revision, currentUserEmail, current.state);
+          if (revision === null) {
+            return jsonResponse({ error: "Board was changed by someone else." }, headers, 409);
+          }
+          try {
+            await recordBoardActivity(env, boardId, [{ type: "board_restored", data: { revision: Number(row.revision) } }], await getPublicUser(env, boardId, currentUserEmail));
+          } catch (activityError) {
+            console.warn("Failed to record activity:", activityError);
           }
+          return jsonResponse({ success: true, revision, state: await loadSanitizedBoard(env, boardId) }, headers);
         }
+      }
 
-        await persistBoardState(env, boardId, body);
-        try {
-          await generateBoardChangeNotifications(env, boardId, existingState, body, currentUser, currentUsers, url.origin);
-        } catch (notificationError) {
-          console.warn("Failed to generate notifications:", notificationError);
-        }
-        return jsonResponse({ success: true }, headers);
+      if (/^\/(cards|columns)(\/|$)/.test(path)) {
+        return handleBoardMutation(env, request, url, path, boardId, headers);
       }
 
       if (path === "/upload" && method === "POST") {
         if (!env.BUCKET) return new Response("R2 Bucket not configured", { status: 500, headers });
-        const currentUser = await getSessionUser(env, boardId, getUserToken(request, url));
-        if (!currentUser) return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        const currentUserEmail = await getSessionUser(env, boardId, getUserToken(request, url));
+        if (!currentUserEmail) return jsonResponse({ error: "Unauthorized" }, headers, 401);
+        const currentUser = await getPublicUser(env, boardId, currentUserEmail);
+        if (!currentUser) {
+          return jsonResponse({ error: "Unauthorized" }, headers, 403);
+        }
+        if (currentUser.isSuspended) {
+          return jsonResponse({ error: "Your account is suspended on this board." }, headers, 403);
+        }
+        // Viewers and commenters may still upload their own profile picture, but not card attachments
+        const isAvatar = url.searchParams.get("purpose") === "avatar";
+        if (!isAvatar && !roleAtLeast(currentUser, "member")) {
+          return jsonResponse({ error: roleRestrictionError(currentUser) }, headers, 403);
+        }
 
         const contentType = request.headers.get("content-type") || "";
         const row = await readBoardRow(env, boardId);
-        const state = row?.data ? JSON.parse(row.data) : {};
-        const allowAnyType = state.attachmentAllowAnyType === true;
+        const allowAnyType = row?.attachment_allow_any_type === 1 && !isAvatar;
 
         if (!allowAnyType && !contentType.startsWith("image/")) {
           return new Response("Only images are allowed", { status: 400, headers });
         }
 
-        const maxSizeMb = parseInt(state.attachmentMaxSize, 10) || 5;
+        const maxSizeMb = parseInt(row?.attachment_max_size, 10) || 5;
         const maxSizeBytes = maxSizeMb * 1024 * 1024;
 
         const contentLength = parseInt(request.headers.get("content-length") || "0", 10);
@@ -1871,7 +4458,7 @@ export default {
           const currentUserEmail = await getSessionUser(env, boardId, token);
           if (currentUserEmail) {
             const imageBoardUser = await getPublicUser(env, imageBoardId, currentUserEmail);
-            if (imageBoardUser?.isApproved) authorized = true;
+            if (imageBoardUser?.isApproved && !imageBoardUser.isSuspended) authorized = true;
           }
         } else {
           const publicUsers = await listPublicUsers(env, boardId);